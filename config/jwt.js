@@ -0,0 +1,47 @@
+import jwt from 'jsonwebtoken';
+
+// Tipo de token que acepta el middleware de autenticación
+export const ACCESS_TOKEN_TYPE = 'access';
+
+/**
+ * Obtiene el secreto JWT configurado. No existe valor por defecto:
+ * el servidor no debe arrancar ni firmar tokens sin JWT_SECRET.
+ */
+export const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET no está configurado');
+  }
+  return secret;
+};
+
+// Los tokens de acceso son de corta duración; se renuevan con el refresh token de la sesión
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+/**
+ * Firma un token de acceso con el formato único del sistema: { id, sid, type: 'access' }
+ * @param {object} user - Usuario autenticado
+ * @param {object} session - Sesión a la que pertenece el token
+ * @returns {string} - Token JWT
+ */
+export const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id.toString(), sid: session._id.toString(), type: ACCESS_TOKEN_TYPE },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verifica un token de acceso. Rechaza tokens con otro formato
+ * (p. ej. { userId } o tokens de recuperación de contraseña).
+ * @param {string} token - Token JWT
+ * @returns {object} - Claims decodificados
+ */
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== ACCESS_TOKEN_TYPE || !decoded.id || !decoded.sid) {
+    throw new jwt.JsonWebTokenError('Formato de token no válido');
+  }
+  return decoded;
+};
@@ -0,0 +1,251 @@
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import emailService from '../services/emailService.js';
+
+const VALID_ROLES = ['admin', 'docente'];
+
+const toUserResponse = (user) => ({
+    _id: user._id,
+    email: user.email,
+    numeroControl: user.numeroControl,
+    nombre: user.nombre,
+    apellidoPaterno: user.apellidoPaterno,
+    apellidoMaterno: user.apellidoMaterno,
+    carrera: user.carrera,
+    semestre: user.semestre,
+    role: user.role
+});
+
+// @desc    Crear un usuario con el rol indicado, o cambiar el rol de uno existente
+// @route   POST /api/admin/users
+// @access  Admin
+export const createOrPromoteUser = async (req, res) => {
+    try {
+        const {
+            email,
+            password,
+            numeroControl,
+            nombre,
+            apellidoPaterno,
+            apellidoMaterno,
+            carrera,
+            semestre,
+            role = 'docente'
+        } = req.body;
+
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'El correo electrónico es requerido'
+            });
+        }
+
+        if (!VALID_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rol inválido. Debe ser "admin" o "docente"'
+            });
+        }
+
+        const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+        // Usuario existente: solo se cambia el rol
+        if (existingUser) {
+            if (existingUser.role === role) {
+                return res.json({
+                    success: true,
+                    message: `El usuario ya tiene el rol ${role}`,
+                    user: toUserResponse(existingUser)
+                });
+            }
+
+            // No dejar el sistema sin administradores
+            if (await User.isLastActiveAdmin(existingUser)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No se puede quitar el rol al último administrador'
+                });
+            }
+
+            existingUser.role = role;
+            await existingUser.save();
+
+            console.log(`👤 Rol de ${existingUser.email} cambiado a ${role} por ${req.user.email}`);
+
+            return res.json({
+                success: true,
+                message: `Rol actualizado a ${role}`,
+                user: toUserResponse(existingUser)
+            });
+        }
+
+        if (!password || password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'La contraseña debe tener al menos 6 caracteres. Para que el usuario la elija, envíale una invitación.'
+            });
+        }
+
+        if (numeroControl && await User.exists({ numeroControl })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Este número de control ya está registrado'
+            });
+        }
+
+        const user = await User.create({
+            email,
+            password: await bcrypt.hash(password, 10),
+            numeroControl,
+            nombre,
+            apellidoPaterno,
+            apellidoMaterno,
+            carrera,
+            semestre,
+            role
+        });
+
+        console.log(`👤 Usuario ${user.email} (${role}) creado por ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Usuario creado exitosamente',
+            user: toUserResponse(user)
+        });
+    } catch (error) {
+        console.error('Error al crear usuario:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Datos de usuario inválidos',
+                error: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear usuario',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Invitar a una persona por correo para que cree su cuenta
+// @route   POST /api/admin/invitations
+// @access  Admin
+export const createInvitation = async (req, res) => {
+    try {
+        const { email, role = 'docente', carrera } = req.body;
+
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'El correo electrónico es requerido'
+            });
+        }
+
+        if (!VALID_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rol inválido. Debe ser "admin" o "docente"'
+            });
+        }
+
+        if (await User.exists({ email: email.toLowerCase() })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Este correo electrónico ya está registrado'
+            });
+        }
+
+        const { invitation, token } = await Invitation.issue({
+            email,
+            role,
+            carrera,
+            invitedBy: req.user._id
+        });
+
+        // Se envía en línea y no por la cola: el token en claro no debe quedar guardado en un trabajo
+        const emailResult = await emailService.sendInvitationEmail(invitation, token, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: emailResult.success
+                ? 'Invitación enviada exitosamente'
+                : 'La invitación se creó, pero no se pudo enviar el correo',
+            emailSent: emailResult.success,
+            invitation: {
+                _id: invitation._id,
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Error al crear invitación:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al crear invitación',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Listar invitaciones pendientes
+// @route   GET /api/admin/invitations
+// @access  Admin
+export const listInvitations = async (req, res) => {
+    try {
+        const invitations = await Invitation.find({
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('-tokenHash')
+            .populate('invitedBy', 'nombre apellidoPaterno email')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            invitations
+        });
+    } catch (error) {
+        console.error('Error al listar invitaciones:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al listar invitaciones',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Revocar una invitación pendiente
+// @route   DELETE /api/admin/invitations/:id
+// @access  Admin
+export const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+
+        if (!invitation || !invitation.isPending()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitación no encontrada o ya no está vigente'
+            });
+        }
+
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        res.json({
+            success: true,
+            message: 'Invitación revocada'
+        });
+    } catch (error) {
+        console.error('Error al revocar invitación:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error al revocar invitación',
+            error: error.message
+        });
+    }
+};
@@ -1,10 +1,35 @@
 import TeacherStats from '../models/TeacherStats.js';
-import Assignment from '../models/Assignment.js';
+import Assignment, { ASSIGNMENT_STATUSES, TEACHER_OUTCOMES } from '../models/Assignment.js';
 import User from '../models/User.js';
+import mongoose from 'mongoose';
 import path from 'path';
 import fs from 'fs';
-import emailService from '../services/emailService.js';
-import notificationService from '../services/notificationService.js';
+import {
+    notifyNewAssignment,
+    notifyStatusChange,
+    notifyAdminReview,
+    notifyResponseReview,
+    notifyDeadlineExtension
+} from '../services/notificationDispatcher.js';
+import { enqueueTeacherStatsUpdate } from '../services/backgroundJobs.js';
+
+// La búsqueda es texto literal, no una expresión regular
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Un docente solo ve su propia entrega; las de sus compañeros (con sus revisiones) son
+// exclusivas de los administradores. Recibe el objeto plano de la asignación (lean/toObject)
+const ownResponses = (assignment, userId) => {
+    assignment.responses = (assignment.responses || [])
+        .filter(response => (response.user?._id || response.user)?.toString() === userId.toString());
+    return assignment;
+};
+
+// Lo mismo con las prórrogas: cada docente solo ve la suya, con su motivo
+const ownExtensions = (assignment, userId) => {
+    assignment.extensions = (assignment.extensions || [])
+        .filter(extension => extension.teacher?.toString() === userId.toString());
+    return assignment;
+};
 
 // Crear una nueva asignación
 export const createAssignment = async (req, res) => {
@@ -49,7 +74,8 @@ export const createAssignment = async (req, res) => {
             closeDate: closeDateObj,
             isGeneral: isGeneral === 'true' || isGeneral === true,
             createdBy: req.user._id,
-            status: 'pending'
+            status: 'active',
+            publishedAt: new Date()
         });
 
         // Manejar archivos adjuntos si existen
@@ -97,14 +123,9 @@ export const createAssignment = async (req, res) => {
         // Guardar la asignación
         await assignment.save();
 
-        // Actualizar estadísticas para cada profesor asignado
-        try {
-            for (const teacher of teachers) {
-                await TeacherStats.updateTeacherStats(teacher._id);
-            }
-        } catch (statsError) {
-            console.error('Error al actualizar estadísticas:', statsError);
-            // No detenemos el proceso si falla la actualización de estadísticas
+        // Encolar el recálculo de estadísticas de cada profesor asignado
+        for (const teacher of teachers) {
+            await enqueueTeacherStatsUpdate(teacher._id);
         }
 
         // Poblar los datos de los usuarios asignados para la respuesta
@@ -112,28 +133,9 @@ export const createAssignment = async (req, res) => {
             .populate('assignedTo', 'nombre apellidoPaterno apellidoMaterno email')
             .populate('createdBy', 'nombre apellidoPaterno apellidoMaterno');
 
-        // Enviar notificaciones por correo electrónico y en tiempo real
-        for (const teacher of teachers) {
-            const teacherName = `${teacher.nombre} ${teacher.apellidoPaterno} ${teacher.apellidoMaterno}`;
-            const assignmentUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/dashboard/assignments/${assignment._id}`;
-
-            // Enviar correo electrónico
-            await emailService.sendNewAssignmentNotification({
-                to: teacher.email,
-                teacherName,
-                title: assignment.title,
-                description: assignment.description,
-                dueDate: assignment.dueDate,
-                closeDate: assignment.closeDate,
-                assignmentUrl
-            });
-        }
-
-        // Enviar notificaciones en tiempo real
-        notificationService.sendNewAssignmentNotification(
-            assignment.assignedTo,
-            populatedAssignment
-        );
+        // Bandeja, tiempo real y correo según las preferencias de cada docente
+        // (los correos se encolan: la respuesta no espera a que se envíen)
+        await notifyNewAssignment(teachers, assignment);
 
         res.status(201).json({
             success: true,
@@ -183,11 +185,19 @@ export const getAllAssignments = async (req, res) => {
 // Obtener asignaciones de un usuario específico
 export const getUserAssignments = async (req, res) => {
     try {
-        const assignments = await Assignment.find({
-            assignedTo: req.user._id
+        // Los docentes solo ven asignaciones publicadas
+        let assignments = await Assignment.find({
+            assignedTo: req.user._id,
+            status: 'active'
         })
         .populate('createdBy', 'nombre apellidoPaterno apellidoMaterno role')
-        .sort('-createdAt');
+        .sort('-createdAt')
+        .lean();
+
+        if (req.user.role !== 'admin') {
+            assignments = assignments.map(assignment =>
+                ownExtensions(ownResponses(assignment, req.user._id), req.user._id));
+        }
 
         res.status(200).json({
             success: true,
@@ -223,9 +233,9 @@ export const submitAssignmentResponse = async (req, res) => {
             });
         }
 
+        // Fechas del docente: las de su prórroga si tiene una
         const now = new Date();
-        const dueDate = new Date(assignment.dueDate);
-        const closeDate = new Date(assignment.closeDate);
+        const { dueDate, closeDate } = Assignment.teacherDeadline(assignment, req.user._id);
 
         // Verificar si la fecha de cierre ya pasó
         if (now > closeDate) {
@@ -250,47 +260,50 @@ export const submitAssignmentResponse = async (req, res) => {
             submissionStatus = 'late';
         }
 
-        const response = {
-            user: req.user._id,
+        // Cada entrega es una versión nueva: las anteriores se conservan con sus archivos
+        const version = assignment.submitVersion(req.user._id, {
             files: req.files ? req.files.map(file => ({
                 fileName: file.originalname,
                 fileUrl: file.path
             })) : [],
-            submissionStatus: submissionStatus,
-            submittedAt: now
-        };
-
-        // Evitar respuestas duplicadas del mismo usuario
-        const existingResponseIndex = assignment.responses.findIndex(
-            r => r.user.toString() === req.user._id.toString()
-        );
-
-        if (existingResponseIndex !== -1) {
-            assignment.responses[existingResponseIndex] = response;
-        } else {
-            assignment.responses.push(response);
-        }
+            submissionStatus,
+            submittedAt: now,
+            submittedBy: req.user._id
+        });
 
         await assignment.save();
 
+        await enqueueTeacherStatsUpdate(req.user._id);
+
         res.status(200).json({
             success: true,
             data: assignment,
             submissionStatus: submissionStatus,
+            version: version.version,
             message: submissionStatus === 'late' ? 
                 'Entrega realizada con retraso' : 
                 'Entrega realizada a tiempo'
         });
     } catch (error) {
+        // Una transición rechazada ocurre antes de guardar: los archivos subidos no se usarán
+        if (error.status && req.files) {
+            req.files.forEach(file => {
+                if (fs.existsSync(file.path)) {
+                    fs.unlinkSync(file.path);
+                }
+            });
+        }
+
         console.error('Error al subir respuesta:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al subir la respuesta'
         });
     }
 };
 
-// Actualizar estado de una asignación
+// Actualizar el ciclo de vida de una asignación (scheduled, active, cancelled, publication_error).
+// El estado de cada docente se cambia con PATCH /:assignmentId/teacher-status
 export const updateAssignmentStatus = async (req, res) => {
     try {
         const { status } = req.body;
@@ -303,16 +316,42 @@ export const updateAssignmentStatus = async (req, res) => {
             });
         }
 
-        assignment.status = status;
+        const previousStatus = assignment.status;
+
+        // Publicar asigna a los docentes (generales) y los notifica; eso lo hace el publicador
+        if (previousStatus === 'scheduled' && status === 'active') {
+            return res.status(409).json({
+                success: false,
+                error: 'Las asignaciones programadas se publican en su fecha de publicación o con POST /api/assignments/admin/publish-scheduled'
+            });
+        }
+
+        assignment.transitionTo(status);
+        if (status === 'cancelled' && previousStatus !== 'cancelled') {
+            assignment.cancelledAt = new Date();
+            assignment.cancelledBy = req.user._id;
+        }
+        if (status === 'active' && !assignment.publishedAt) {
+            assignment.publishedAt = new Date();
+        }
+        assignment.updatedAt = new Date();
+        assignment.updatedBy = req.user._id;
         await assignment.save();
 
+        if (previousStatus !== status) {
+            await notifyStatusChange(assignment.assignedTo, assignment, {
+                previousStatus,
+                changedBy: req.user._id
+            });
+        }
+
         res.status(200).json({
             success: true,
             data: assignment
         });
     } catch (error) {
         console.error('Error al actualizar estado:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al actualizar el estado'
         });
@@ -378,9 +417,31 @@ export const getAssignmentById = async (req, res) => {
             });
         }
 
+        // El docente ve el estado de su entrega y el resultado de la última revisión
+        const data = assignment.toObject();
+        if (!isAdmin) {
+            ownResponses(data, userId);
+            // Las prórrogas (con sus motivos) son de cada docente; la propia va en teacherStatus
+            delete data.extensions;
+        }
+        if (isAssigned) {
+            const response = assignment.getResponse(userId);
+            const { dueDate, closeDate, extension } = Assignment.teacherDeadline(assignment, userId);
+            data.teacherStatus = {
+                dueDate,
+                closeDate,
+                extension,
+                status: response?.status || 'pending',
+                submissionStatus: response?.submissionStatus || null,
+                submittedAt: response?.submittedAt || null,
+                mappedStatus: assignment.status === 'active' ? Assignment.teacherOutcome(assignment, userId) : null,
+                review: Assignment.latestReview(assignment, userId)
+            };
+        }
+
         res.status(200).json({
             success: true,
-            data: assignment
+            data
         });
     } catch (error) {
         console.error('Error al obtener asignación:', error);
@@ -397,13 +458,11 @@ export const getFilteredAssignments = async (req, res) => {
         const userId = req.user._id;
         const { status, priority, sort = 'dueDate', order = 'asc' } = req.query;
 
-        // Construir filtros
-        const filter = { assignedTo: userId };
-        
-        if (status) {
-            filter.status = status;
-        }
-        
+        // El estado es el del docente (su entrega), no el de la asignación
+        const filter = status && status !== 'all'
+            ? { assignedTo: userId, ...Assignment.outcomeFilter(status, { teacherId: userId }) }
+            : { assignedTo: userId, status: 'active' };
+
         if (priority) {
             filter.priority = priority;
         }
@@ -412,9 +471,14 @@ export const getFilteredAssignments = async (req, res) => {
         const sortObj = {};
         sortObj[sort] = order === 'desc' ? -1 : 1;
 
-        const assignments = await Assignment.find(filter)
+        let assignments = await Assignment.find(filter)
             .populate('createdBy', 'nombre apellidoPaterno apellidoMaterno')
-            .sort(sortObj);
+            .sort(sortObj)
+            .lean();
+
+        if (req.user.role !== 'admin') {
+            assignments = assignments.map(assignment => ownExtensions(ownResponses(assignment, userId), userId));
+        }
 
         res.status(200).json({
             success: true,
@@ -424,7 +488,7 @@ export const getFilteredAssignments = async (req, res) => {
         });
     } catch (error) {
         console.error('Error al obtener asignaciones filtradas:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al obtener las asignaciones filtradas'
         });
@@ -439,75 +503,36 @@ export const getTeacherAssignmentStats = async (req, res) => {
         console.log('📊 Calculando estadísticas para docente:', req.user.email);
         console.log('📋 ID del docente:', userId);
 
-        // Obtener todas las asignaciones del docente con respuestas populadas
+        // Solo asignaciones publicadas; el estado sale de la entrega del docente
         const assignments = await Assignment.find({
-            assignedTo: userId
-        }).populate('responses.user', 'nombre apellidoPaterno apellidoMaterno email');
+            assignedTo: userId,
+            status: 'active'
+        })
+            .select('dueDate closeDate extensions responses.user responses.status responses.submissionStatus')
+            .lean();
 
         console.log(`📊 Total de asignaciones encontradas: ${assignments.length}`);
 
-        // Calcular estadísticas considerando las respuestas individuales del docente
-        const total = assignments.length;
-        let pending = 0;
-        let completed = 0;
-        let completedLate = 0;
-        let notDelivered = 0;
-
+        const counts = Object.fromEntries(TEACHER_OUTCOMES.map(outcome => [outcome, 0]));
+        const now = new Date();
         assignments.forEach(assignment => {
-            // Buscar respuesta específica del docente actual
-            const teacherResponse = assignment.responses.find(r => 
-                r.user._id.toString() === userId.toString()
-            );
-
-            if (teacherResponse) {
-                // Si existe respuesta, usar el mapeo de estados de la respuesta
-                if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'on-time') {
-                    completed++;
-                } else if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'late') {
-                    completedLate++;
-                } else if (teacherResponse.submissionStatus === 'closed' || (teacherResponse.status === 'reviewed' && !teacherResponse.submittedAt)) {
-                    notDelivered++;
-                } else {
-                    pending++;
-                }
-            } else {
-                // Si no hay respuesta, usar el estado base de la asignación
-                switch(assignment.status) {
-                    case 'completed':
-                        completed++;
-                        break;
-                    case 'completed-late':
-                        completedLate++;
-                        break;
-                    case 'not-delivered':
-                        notDelivered++;
-                        break;
-                    case 'pending':
-                    case 'active':
-                    default:
-                        pending++;
-                        break;
-                }
-            }
+            counts[Assignment.teacherOutcome(assignment, userId, now)]++;
         });
 
-        console.log('📊 Estadísticas calculadas (con respuestas individuales):', { 
-            total, 
-            pending, 
-            completed, 
-            completedLate, 
-            notDelivered 
-        });
+        const stats = {
+            total: assignments.length,
+            pending: counts.pending,
+            overdue: counts.overdue,
+            completed: counts.completed,
+            completedLate: counts['completed-late'],
+            notDelivered: counts['not-delivered']
+        };
+
+        console.log('📊 Estadísticas calculadas (con respuestas individuales):', stats);
 
         res.status(200).json({
             success: true,
-            stats: {
-                total,
-                pending,
-                completed,
-                completedLate,
-                notDelivered
-            }
+            stats
         });
     } catch (error) {
         console.error('Error al obtener estadísticas de asignaciones:', error);
@@ -518,149 +543,187 @@ export const getTeacherAssignmentStats = async (req, res) => {
     }
 };
 
-// Obtener asignaciones filtradas para el docente
+// Filtros de estado del docente → resultado de su entrega ('vencido' y 'late' se conservan por compatibilidad)
+const TEACHER_STATUS_FILTERS = {
+    pending: 'pending',
+    completed: 'completed',
+    late: 'completed-late',
+    'completed-late': 'completed-late',
+    'not-delivered': 'not-delivered',
+    overdue: 'overdue',
+    vencido: 'overdue',
+    'due-soon': 'due-soon'
+};
+
+const TEACHER_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'closeDate', 'title'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'closeDate'];
+
+// updatedAt solo existe tras la primera edición; las asignaciones sin editar se ordenan
+// por su fecha de creación para que la clave de orden nunca sea null
+const sortKeyExpression = (field) =>
+    field === 'updatedAt' ? { $ifNull: ['$updatedAt', '$createdAt'] } : `$${field}`;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Cursor opaco con la clave de orden y el _id del último elemento de la página
+const encodeCursor = (assignment) =>
+    Buffer.from(JSON.stringify({ v: assignment.sortKey, id: assignment._id })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const value = DATE_SORT_FIELDS.includes(field) && v !== null ? new Date(v) : v;
+        if (value instanceof Date && isNaN(value)) {
+            throw new Error('Fecha inválida');
+        }
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        throw badRequest('Cursor de paginación inválido');
+    }
+};
+
+// Obtener asignaciones del docente con filtros, conteos y paginación resueltos en la base de datos
 export const getTeacherFilteredAssignments = async (req, res) => {
     try {
-        const { status, search, sort = '-createdAt', page = 1, limit = 10 } = req.query;
+        const { status, search, sort = '-createdAt', page = 1, cursor } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
         const userId = req.user._id;
         const now = new Date();
 
         console.log('🔍 Obteniendo asignaciones para docente:', req.user.email);
-        console.log('📋 Filtros recibidos:', { status, search, sort });
+        console.log('📋 Filtros recibidos:', { status, search, sort, cursor: Boolean(cursor) });
+
+        const statusFilter = status && status !== 'all' ? TEACHER_STATUS_FILTERS[status] : null;
+        if (status && status !== 'all' && !statusFilter) {
+            throw badRequest(`Filtro de estado inválido. Opciones: all, ${Object.keys(TEACHER_STATUS_FILTERS).join(', ')}`);
+        }
 
-        // Construir query base - buscar asignaciones asignadas al docente
-        let query = { assignedTo: userId };
+        const sortField = sort.replace(/^-/, '');
+        const sortDirection = sort.startsWith('-') ? -1 : 1;
+        if (!TEACHER_SORT_FIELDS.includes(sortField)) {
+            throw badRequest(`Orden inválido. Campos permitidos: ${TEACHER_SORT_FIELDS.join(', ')}`);
+        }
 
-        // Para filtros de estado, NO aplicar filtro directo al query porque cada docente puede tener un estado individual
-        // El filtrado se hará después basándose en las respuestas individuales
-        const statusFilter = status && status !== 'all' ? status : null;
+        // Asignaciones publicadas del docente con el resultado de su entrega
+        const pipeline = Assignment.teacherStages(userId, now);
 
-        // Aplicar búsqueda si existe
         if (search) {
-            query.$and = query.$and || [];
-            query.$and.push({
-                $or: [
-                    { title: { $regex: search, $options: 'i' } },
-                    { description: { $regex: search, $options: 'i' } }
-                ]
+            pipeline.push({
+                $match: {
+                    $or: [
+                        { title: { $regex: escapeRegex(String(search)), $options: 'i' } },
+                        { description: { $regex: escapeRegex(String(search)), $options: 'i' } }
+                    ]
+                }
             });
         }
 
-        console.log('🔎 Query construida:', JSON.stringify(query, null, 2));
-
-        const assignments = await Assignment.find(query)
-            .populate('createdBy', 'nombre apellidoPaterno apellidoMaterno role')
-            .populate('responses.user', 'nombre apellidoPaterno apellidoMaterno email')
-            .sort(sort)
-            .skip((parseInt(page) - 1) * parseInt(limit))
-            .limit(parseInt(limit));
-
-        const total = await Assignment.countDocuments(query);
-
-        console.log(`📊 Asignaciones encontradas: ${assignments.length} de ${total} total`);
-
-        // Procesar las asignaciones para incluir el estado específico del docente actual
-        let processedAssignments = assignments.map(assignment => {
-            const assignmentObj = assignment.toObject();
-            
-            // Buscar la respuesta específica del docente actual
-            const teacherResponse = assignment.responses.find(
-                response => response.user._id.toString() === userId.toString()
-            );
-            
-            let teacherSpecificStatus = 'pending'; // Estado por defecto
-            
-            if (teacherResponse) {
-                // Si existe una respuesta, mapear el estado usando la misma lógica que en getTeachersStatusForAssignment
-                if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'on-time') {
-                    teacherSpecificStatus = 'completed';
-                } else if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'late') {
-                    teacherSpecificStatus = 'completed-late';
-                } else if (teacherResponse.submissionStatus === 'closed' || (teacherResponse.status === 'reviewed' && !teacherResponse.submittedAt)) {
-                    teacherSpecificStatus = 'not-delivered';
-                } else {
-                    teacherSpecificStatus = 'pending';
-                }
-                
-                assignmentObj.teacherStatus = {
-                    submissionStatus: teacherResponse.submissionStatus,
-                    status: teacherResponse.status,
-                    submittedAt: teacherResponse.submittedAt,
-                    adminUpdated: true,
-                    mappedStatus: teacherSpecificStatus
-                };
-                
-                console.log(`✅ "${assignment.title}" - Estado específico del docente:`, {
-                    status: teacherResponse.status,
-                    submissionStatus: teacherResponse.submissionStatus,
-                    mappedStatus: teacherSpecificStatus
-                });
-            } else {
-                // Si no existe respuesta, usar el estado base de la asignación
-                teacherSpecificStatus = assignment.status === 'active' ? 'pending' : assignment.status;
-                
-                // Para vencidas, verificar la fecha si no hay respuesta
-                if (teacherSpecificStatus === 'pending' && new Date(assignment.dueDate) < now) {
-                    teacherSpecificStatus = 'vencido';
+        const filtered = [];
+        if (statusFilter) {
+            filtered.push({ $match: statusFilter === 'due-soon' ? { dueSoon: true } : { teacherOutcome: statusFilter } });
+        }
+
+        // Con cursor se continúa después del último elemento recibido (no se usa skip)
+        const pageStages = [{ $addFields: { sortKey: sortKeyExpression(sortField) } }];
+        if (cursor) {
+            const { value, id } = decodeCursor(cursor, sortField);
+            const after = sortDirection === -1 ? '$lt' : '$gt';
+            pageStages.push({
+                $match: {
+                    $or: [
+                        { sortKey: { [after]: value } },
+                        { sortKey: value, _id: { [after]: id } }
+                    ]
                 }
-                
-                assignmentObj.teacherStatus = {
-                    submissionStatus: null,
-                    status: teacherSpecificStatus,
-                    submittedAt: null,
-                    adminUpdated: false,
-                    mappedStatus: teacherSpecificStatus
-                };
-                
-                console.log(`📋 "${assignment.title}" - Estado base (sin respuesta):`, {
-                    statusOriginal: assignment.status,
-                    statusParaDocente: teacherSpecificStatus
-                });
+            });
+        }
+        pageStages.push({ $sort: { sortKey: sortDirection, _id: sortDirection } });
+        if (!cursor) {
+            pageStages.push({ $skip: (currentPage - 1) * limit });
+        }
+        // Un elemento extra para saber si hay más páginas
+        pageStages.push({ $limit: limit + 1 });
+
+        pipeline.push({
+            $facet: {
+                counts: [{
+                    $group: {
+                        _id: '$teacherOutcome',
+                        count: { $sum: 1 },
+                        dueSoon: { $sum: { $cond: ['$dueSoon', 1, 0] } }
+                    }
+                }],
+                total: [...filtered, { $count: 'count' }],
+                items: [...filtered, ...pageStages]
             }
-            
-            return assignmentObj;
         });
 
-        // Aplicar filtro de estado DESPUÉS de mapear los estados individuales
-        if (statusFilter) {
-            processedAssignments = processedAssignments.filter(assignment => {
-                const mappedStatus = assignment.teacherStatus.mappedStatus;
-                
-                switch(statusFilter) {
-                    case 'pending':
-                        return mappedStatus === 'pending';
-                    case 'completed':
-                        return mappedStatus === 'completed';
-                    case 'completed-late':
-                        return mappedStatus === 'completed-late';
-                    case 'not-delivered':
-                        return mappedStatus === 'not-delivered';
-                    case 'vencido':
-                        return mappedStatus === 'vencido';
-                    default:
-                        return mappedStatus === statusFilter;
-                }
+        const [result] = await Assignment.aggregate(pipeline);
+        const total = result.total[0]?.count || 0;
+        const hasNext = result.items.length > limit;
+        const items = result.items.slice(0, limit);
+        if (req.user.role !== 'admin') {
+            items.forEach(item => {
+                ownResponses(item, userId);
+                // La prórroga propia ya va en teacherStatus.extension
+                delete item.extensions;
             });
-            
-            console.log(`🔽 Después del filtro "${statusFilter}": ${processedAssignments.length} asignaciones`);
         }
 
-        // Recalcular el total y paginación basándose en los resultados filtrados
-        const filteredTotal = statusFilter ? processedAssignments.length : total;
-        const totalPages = Math.ceil(filteredTotal / parseInt(limit));
+        await Assignment.populate(items, [
+            { path: 'createdBy', select: 'nombre apellidoPaterno apellidoMaterno role' },
+            { path: 'responses.user', select: 'nombre apellidoPaterno apellidoMaterno email' }
+        ]);
+
+        // Conteos por estado del docente (con la búsqueda aplicada, sin el filtro de estado)
+        const counts = { all: 0, dueSoon: 0 };
+        TEACHER_OUTCOMES.forEach(outcome => { counts[outcome] = 0; });
+        result.counts.forEach(({ _id, count, dueSoon }) => {
+            counts[_id] = count;
+            counts.all += count;
+            counts.dueSoon += dueSoon;
+        });
+
+        console.log(`📊 Asignaciones encontradas: ${items.length} de ${total} total`);
+
+        // Incluir el estado específico del docente actual
+        const processedAssignments = items.map(({
+            teacherResponse, teacherExtension, teacherDueDate, teacherCloseDate, teacherOutcome, dueSoon, sortKey, ...assignment
+        }) => ({
+            ...assignment,
+            teacherStatus: {
+                dueDate: teacherDueDate,
+                closeDate: teacherCloseDate,
+                extension: teacherExtension || null,
+                submissionStatus: teacherResponse?.submissionStatus || null,
+                status: teacherResponse?.status || 'pending',
+                submittedAt: teacherResponse?.submittedAt || null,
+                adminUpdated: Boolean(teacherResponse?.statusChangedBy
+                    && teacherResponse.statusChangedBy.toString() !== userId.toString()),
+                mappedStatus: teacherOutcome,
+                dueSoon,
+                review: teacherResponse?.reviews?.length ? teacherResponse.reviews[teacherResponse.reviews.length - 1] : null
+            }
+        }));
 
         res.status(200).json({
             success: true,
             assignments: processedAssignments,
+            counts,
             pagination: {
-                currentPage: parseInt(page),
-                totalPages: totalPages,
-                totalItems: filteredTotal
+                currentPage: cursor ? null : currentPage,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                limit,
+                hasNext,
+                hasPrev: cursor ? true : currentPage > 1,
+                nextCursor: hasNext ? encodeCursor(items[items.length - 1]) : null
             }
         });
     } catch (error) {
         console.error('Error al obtener asignaciones filtradas:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al obtener las asignaciones'
         });
@@ -707,8 +770,9 @@ export const markAssignmentCompleted = async (req, res) => {
             });
         }
 
-        // Verificar que la asignación no esté ya completada
-        if (assignment.status === 'completed') {
+        // Verificar que el docente no la haya completado ya (el estado es el de su entrega)
+        const currentOutcome = Assignment.teacherOutcome(assignment, userId);
+        if (currentOutcome === 'completed' || currentOutcome === 'completed-late') {
             return res.status(400).json({
                 success: false,
                 error: 'Esta asignación ya está marcada como completada'
@@ -717,7 +781,7 @@ export const markAssignmentCompleted = async (req, res) => {
 
         // Verificar que no haya pasado la fecha de cierre
         const now = new Date();
-        const closeDate = new Date(assignment.closeDate);
+        const { dueDate, closeDate } = Assignment.teacherDeadline(assignment, userId);
         if (now > closeDate) {
             return res.status(403).json({
                 success: false,
@@ -725,36 +789,18 @@ export const markAssignmentCompleted = async (req, res) => {
             });
         }
 
-        // Crear o actualizar la respuesta específica del docente
-        const teacherResponseIndex = assignment.responses.findIndex(
-            r => r.user.toString() === userId.toString()
-        );
-
-        const responseData = {
-            user: userId,
-            submissionStatus: 'on-time',
-            status: 'submitted',
-            submittedAt: now
-        };
-
-        if (teacherResponseIndex !== -1) {
-            assignment.responses[teacherResponseIndex] = {
-                ...assignment.responses[teacherResponseIndex],
-                ...responseData
-            };
-        } else {
-            assignment.responses.push(responseData);
-        }
+        // Solo cambia la entrega de este docente; la asignación sigue activa para los demás
+        const version = assignment.submitVersion(userId, {
+            submissionStatus: now > dueDate ? 'late' : 'on-time',
+            submittedAt: now,
+            submittedBy: userId
+        });
 
-        // Actualizar la asignación
-        assignment.status = 'completed';
-        assignment.completedAt = now;
-        
         const savedAssignment = await assignment.save();
         console.log('✅ Asignación guardada exitosamente');
 
         // Actualizar estadísticas del profesor
-        await TeacherStats.updateTeacherStats(req.user._id);
+        await enqueueTeacherStatsUpdate(req.user._id);
 
         // Respuesta simple y directa
         res.status(200).json({
@@ -763,16 +809,17 @@ export const markAssignmentCompleted = async (req, res) => {
             data: {
                 _id: savedAssignment._id,
                 title: savedAssignment.title,
-                status: savedAssignment.status,
-                completedAt: savedAssignment.completedAt,
-                dueDate: savedAssignment.dueDate,
-                closeDate: savedAssignment.closeDate
+                status: Assignment.teacherOutcome(savedAssignment, userId, now),
+                completedAt: version.submittedAt,
+                version: version.version,
+                dueDate,
+                closeDate
             }
         });
         
     } catch (error) {
         console.error('❌ Error al marcar asignación como completada:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al actualizar la asignación'
         });
@@ -794,6 +841,7 @@ export const getAdminAllAssignments = async (req, res) => {
 
         const {
             status = 'all',
+            lifecycle = 'all',
             search = '',
             sort = '-createdAt',
             page = 1,
@@ -801,41 +849,54 @@ export const getAdminAllAssignments = async (req, res) => {
             teacherId
         } = req.query;
 
-        console.log('🔍 Admin query params:', { status, search, sort, page, limit, teacherId });
+        console.log('🔍 Admin query params:', { status, lifecycle, search, sort, page, limit, teacherId });
 
-        // Construir filtros
-        const filters = {};
-        
-        // Debug: mostrar el status recibido
-        console.log('🔍 Status filter received:', status);
-        
-        if (status !== 'all') {
-            // Para los nuevos estados específicos
-            if (status === 'completed' || status === 'completed-late' || status === 'not-delivered' || status === 'pending') {
-                filters.status = status;
-                console.log('📅 Status filter applied:', filters);
-            } else if (status === 'overdue') {
-                // Para vencidas: asignaciones pendientes que pasaron su fecha límite
-                const now = new Date();
-                filters.status = 'pending';
-                filters.dueDate = { $lt: now };
-                console.log('⚠️ Overdue filter applied:', filters);
+        const now = new Date();
+        const byTeacher = teacherId && teacherId !== 'all' ? teacherId : null;
+        if (byTeacher && !mongoose.Types.ObjectId.isValid(byTeacher)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ID de docente inválido'
+            });
+        }
+        const conditions = [];
+
+        // `lifecycle` filtra el ciclo de vida de la asignación; `status` también lo acepta
+        // por compatibilidad cuando recibe uno de esos valores
+        const lifecycleFilter = lifecycle !== 'all' ? lifecycle : (ASSIGNMENT_STATUSES.includes(status) ? status : null);
+        if (lifecycleFilter) {
+            if (!ASSIGNMENT_STATUSES.includes(lifecycleFilter)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Estado de asignación inválido. Opciones: ${ASSIGNMENT_STATUSES.join(', ')}`
+                });
             }
+            conditions.push({ status: lifecycleFilter });
+        }
+
+        // Cualquier otro `status` es el estado de entrega del docente indicado
+        // (o de al menos uno de los asignados si no se filtra por docente)
+        if (status !== 'all' && !ASSIGNMENT_STATUSES.includes(status)) {
+            conditions.push(Assignment.outcomeFilter(status, { teacherId: byTeacher, now }));
         }
 
         if (search) {
-            filters.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
+            conditions.push({
+                $or: [
+                    { title: { $regex: escapeRegex(String(search)), $options: 'i' } },
+                    { description: { $regex: escapeRegex(String(search)), $options: 'i' } }
+                ]
+            });
         }
 
         // Filtro por docente - CORREGIDO
-        if (teacherId && teacherId !== 'all') {
-            console.log('🎯 Filtering by teacher:', teacherId);
-            filters.assignedTo = teacherId;
+        if (byTeacher) {
+            console.log('🎯 Filtering by teacher:', byTeacher);
+            conditions.push({ assignedTo: byTeacher });
         }
 
+        const filters = conditions.length > 0 ? { $and: conditions } : {};
+
         console.log('🔎 Final filters:', JSON.stringify(filters, null, 2));
 
         // Configurar paginación
@@ -865,6 +926,20 @@ export const getAdminAllAssignments = async (req, res) => {
             currentPage: pageNum
         });
 
+        // Resumen por asignación del estado de entrega de sus docentes
+        for (const assignment of assignments) {
+            const outcomes = Object.fromEntries(TEACHER_OUTCOMES.map(outcome => [outcome, 0]));
+            if (assignment.status === 'active') {
+                for (const teacher of assignment.assignedTo) {
+                    outcomes[Assignment.teacherOutcome(assignment, teacher._id, now)]++;
+                }
+            }
+            assignment.teacherOutcomes = outcomes;
+            if (byTeacher && assignment.status === 'active') {
+                assignment.teacherStatus = Assignment.teacherOutcome(assignment, byTeacher, now);
+            }
+        }
+
         // Obtener lista de profesores para filtros
         const teachers = await User.find({ role: 'docente' })
             .select('nombre apellidoPaterno apellidoMaterno email')
@@ -891,7 +966,7 @@ export const getAdminAllAssignments = async (req, res) => {
 
     } catch (error) {
         console.error('Error obteniendo todas las asignaciones para admin:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al obtener las asignaciones'
         });
@@ -909,34 +984,47 @@ export const getAdminAssignmentStats = async (req, res) => {
             });
         }
 
-        // Obtener estadísticas generales de asignaciones
-        const totalAssignments = await Assignment.countDocuments();
-        const completedAssignments = await Assignment.countDocuments({ status: 'completed' });
-        const completedLateAssignments = await Assignment.countDocuments({ status: 'completed-late' });
-        const notDeliveredAssignments = await Assignment.countDocuments({ status: 'not-delivered' });
-        const pendingAssignments = await Assignment.countDocuments({ status: 'pending' });
-        
-        // Calcular asignaciones vencidas (pendientes que pasaron su fecha límite)
         const now = new Date();
-        const overdueAssignments = await Assignment.countDocuments({
-            status: 'pending',
-            dueDate: { $lt: now }
-        });
-        
-        // Asignaciones por vencer en 24 horas (solo pendientes)
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        const dueSoonAssignments = await Assignment.countDocuments({
-            status: 'pending',
-            dueDate: { $gte: now, $lte: tomorrow }
+        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+        const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+        const isOutcome = (outcome) => ({ $eq: ['$outcome', outcome] });
+
+        // Ciclo de vida de las asignaciones
+        const lifecycleCounts = await Assignment.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const lifecycle = Object.fromEntries(ASSIGNMENT_STATUSES.map(status => [status, 0]));
+        lifecycleCounts.forEach(({ _id, count }) => {
+            lifecycle[_id] = count;
         });
+        const totalAssignments = Object.values(lifecycle).reduce((sum, count) => sum + count, 0);
+
+        // Entregas esperadas (docente × asignación activa) según el estado de cada docente
+        const outcomeGroup = {
+            total: { $sum: 1 },
+            completed: countIf(isOutcome('completed')),
+            completedLate: countIf(isOutcome('completed-late')),
+            notDelivered: countIf(isOutcome('not-delivered')),
+            pending: countIf(isOutcome('pending')),
+            overdue: countIf(isOutcome('overdue')),
+            dueSoon: countIf({ $and: [isOutcome('pending'), { $lte: ['$teacherDueDate', tomorrow] }] })
+        };
+
+        const [deliveries = {}] = await Assignment.aggregate([
+            { $match: { status: 'active' } },
+            ...Assignment.outcomeStages(now),
+            { $group: { _id: null, ...outcomeGroup } }
+        ]);
 
         // Estadísticas por profesor
         const teacherStats = await Assignment.aggregate([
+            { $match: { status: 'active' } },
+            ...Assignment.outcomeStages(now),
+            { $group: { _id: '$teacher', ...outcomeGroup } },
             {
                 $lookup: {
                     from: 'users',
-                    localField: 'assignedTo',
+                    localField: '_id',
                     foreignField: '_id',
                     as: 'teacher'
                 }
@@ -945,64 +1033,49 @@ export const getAdminAssignmentStats = async (req, res) => {
                 $unwind: '$teacher'
             },
             {
-                $group: {
-                    _id: '$assignedTo',
+                $addFields: {
                     teacherName: {
-                        $first: {
-                            $concat: ['$teacher.nombre', ' ', '$teacher.apellidoPaterno', ' ', '$teacher.apellidoMaterno']
-                        }
-                    },
-                    total: { $sum: 1 },
-                    completed: {
-                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
-                    },
-                    pending: {
-                        $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+                        $concat: [
+                            '$teacher.nombre', ' ',
+                            { $ifNull: ['$teacher.apellidoPaterno', ''] }, ' ',
+                            { $ifNull: ['$teacher.apellidoMaterno', ''] }
+                        ]
                     },
-                    overdue: {
-                        $sum: {
-                            $cond: [
-                                {
-                                    $and: [
-                                        { $eq: ['$status', 'pending'] },
-                                        { $lt: ['$dueDate', now] }
-                                    ]
-                                },
-                                1,
-                                0
-                            ]
-                        }
-                    }
-                }
-            },
-            {
-                $addFields: {
                     completionRate: {
                         $cond: [
                             { $eq: ['$total', 0] },
                             0,
-                            { $multiply: [{ $divide: ['$completed', '$total'] }, 100] }
+                            { $multiply: [{ $divide: [{ $add: ['$completed', '$completedLate'] }, '$total'] }, 100] }
                         ]
                     }
                 }
             },
+            {
+                $project: { teacher: 0 }
+            },
             {
                 $sort: { completionRate: -1 }
             }
         ]);
 
+        const expected = deliveries.total || 0;
+        const delivered = (deliveries.completed || 0) + (deliveries.completedLate || 0);
+
         res.json({
             success: true,
             data: {
                 overview: {
+                    // Asignaciones; los demás conteos son entregas de docentes en asignaciones activas
                     total: totalAssignments,
-                    completed: completedAssignments,
-                    'completed-late': completedLateAssignments,
-                    'not-delivered': notDeliveredAssignments,
-                    pending: pendingAssignments,
-                    overdue: overdueAssignments,
-                    dueSoon: dueSoonAssignments,
-                    completionRate: totalAssignments > 0 ? (((completedAssignments + completedLateAssignments) / totalAssignments) * 100).toFixed(1) : 0
+                    lifecycle,
+                    expectedDeliveries: expected,
+                    completed: deliveries.completed || 0,
+                    'completed-late': deliveries.completedLate || 0,
+                    'not-delivered': deliveries.notDelivered || 0,
+                    pending: deliveries.pending || 0,
+                    overdue: deliveries.overdue || 0,
+                    dueSoon: deliveries.dueSoon || 0,
+                    completionRate: expected > 0 ? ((delivered / expected) * 100).toFixed(1) : 0
                 },
                 teacherStats
             }
@@ -1041,45 +1114,42 @@ export const markAssignmentCompletedByAdmin = async (req, res) => {
             });
         }
 
-        // Verificar que la asignación no esté ya completada
-        if (assignment.status === 'completed') {
+        // Completar la asignación = completar la entrega de cada docente que aún no la tenía
+        const now = new Date();
+        const completedTeachers = assignment.completePendingResponses({ changedBy: req.user._id, at: now });
+
+        if (completedTeachers.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Esta asignación ya está marcada como completada'
             });
         }
 
-        // Marcar como completada
-        assignment.status = 'completed';
-        assignment.completedAt = new Date();
-        assignment.completedBy = req.user._id;
-        assignment.adminCompleted = true; // Flag para indicar que fue completada por admin
+        assignment.completedAt = now;
+        assignment.updatedAt = now;
+        assignment.updatedBy = req.user._id;
 
         await assignment.save();
 
-        // Enviar notificación al profesor
-        try {
-            await notificationService.sendNotification({
-                userId: assignment.assignedTo._id,
-                type: 'assignment_completed_by_admin',
-                title: 'Asignación marcada como completada',
-                message: `El administrador ha marcado la asignación "${assignment.title}" como completada.`,
-                relatedId: assignment._id,
-                relatedType: 'Assignment'
+        // Notificar y recalcular estadísticas de los docentes afectados
+        for (const teacherId of completedTeachers) {
+            await notifyAdminReview(teacherId, assignment, {
+                status: 'completed',
+                reviewedBy: req.user._id
             });
-        } catch (notifError) {
-            console.error('Error enviando notificación:', notifError);
+            await enqueueTeacherStatsUpdate(teacherId);
         }
 
         res.json({
             success: true,
             message: 'Asignación marcada como completada exitosamente',
-            data: assignment
+            data: assignment,
+            completedTeachers
         });
 
     } catch (error) {
         console.error('Error marcando asignación como completada por admin:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Error al marcar la asignación como completada'
         });
@@ -1167,7 +1237,8 @@ export const updateAssignmentByAdmin = async (req, res) => {
                 assignedTo: [updateData.specificTeacherId],
                 createdBy: assignment.createdBy,
                 isGeneral: false,
-                status: 'pending',
+                status: 'active',
+                publishedAt: new Date(),
                 originalAssignmentId: assignmentId // Referencia a la asignación original
             });
 
@@ -1184,7 +1255,7 @@ export const updateAssignmentByAdmin = async (req, res) => {
             console.log('✅ Asignación específica creada exitosamente');
 
             // Actualizar estadísticas del docente
-            await TeacherStats.updateTeacherStats(updateData.specificTeacherId);
+            await enqueueTeacherStatsUpdate(updateData.specificTeacherId);
 
             return res.json({
                 success: true,
@@ -1213,14 +1284,14 @@ export const updateAssignmentByAdmin = async (req, res) => {
                 // Actualizar estadísticas de los docentes previamente asignados
                 if (assignment.assignedTo && assignment.assignedTo.length > 0) {
                     for (const teacherId of assignment.assignedTo) {
-                        await TeacherStats.updateTeacherStats(teacherId);
+                        await enqueueTeacherStatsUpdate(teacherId);
                     }
                 }
                 
                 // Actualizar estadísticas de los nuevos docentes asignados
                 if (filteredData.assignedTo.length > 0) {
                     for (const teacherId of filteredData.assignedTo) {
-                        await TeacherStats.updateTeacherStats(teacherId);
+                        await enqueueTeacherStatsUpdate(teacherId);
                     }
                 }
             }
@@ -1437,8 +1508,8 @@ export const getScheduledAssignments = async (req, res) => {
 
         if (search) {
             filters.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { title: { $regex: escapeRegex(String(search)), $options: 'i' } },
+                { description: { $regex: escapeRegex(String(search)), $options: 'i' } }
             ];
         }
 
@@ -1537,9 +1608,9 @@ export const cancelScheduledAssignment = async (req, res) => {
         }
 
         // Actualizar estado a cancelado
-        assignment.status = 'cancelled';
+        assignment.transitionTo('cancelled');
         assignment.cancelledAt = new Date();
-        assignment.cancelledBy = req.user.userId;
+        assignment.cancelledBy = req.user._id;
         
         await assignment.save();
 
@@ -1634,7 +1705,7 @@ export const updateScheduledAssignment = async (req, res) => {
         });
 
         assignment.updatedAt = new Date();
-        assignment.updatedBy = req.user.userId;
+        assignment.updatedBy = req.user._id;
 
         await assignment.save();
 
@@ -1663,24 +1734,32 @@ export const publishScheduledAssignments = async () => {
     try {
         const now = new Date();
         
-        // Buscar asignaciones que deben ser publicadas
+        // Buscar asignaciones que deben ser publicadas (incluye fechas ya pasadas tras una caída)
         const assignmentsToPublish = await Assignment.find({
             scheduledPublish: true,
             status: 'scheduled',
             publishDate: { $lte: now }
-        }).populate('assignedTo', 'nombre apellidoPaterno apellidoMaterno email');
+        }).select('_id');
 
         console.log(`📅 Verificando asignaciones programadas... Encontradas: ${assignmentsToPublish.length}`);
 
-        for (const assignment of assignmentsToPublish) {
+        let publishedCount = 0;
+
+        for (const { _id } of assignmentsToPublish) {
+            // Reclamar la asignación de forma atómica: si otra ejecución ya la publicó, se omite
+            const assignment = await Assignment.findOneAndUpdate(
+                { _id, status: 'scheduled' },
+                { $set: { status: 'active', publishedAt: now } },
+                { new: true }
+            );
+
+            if (!assignment) {
+                continue;
+            }
+
             try {
                 console.log(`📝 Procesando asignación: "${assignment.title}"`);
                 console.log(`👥 Docentes asignados (antes de populate): ${assignment.assignedTo?.length || 0}`);
-                
-                // Cambiar estado a publicado
-                assignment.status = 'active';
-                assignment.publishedAt = now;
-                await assignment.save();
 
                 // Si es asignación general, asignar a todos los docentes
                 if (assignment.isGeneral) {
@@ -1701,42 +1780,19 @@ export const publishScheduledAssignments = async () => {
                     });
                 }
 
-                // Enviar notificaciones
+                // Enviar notificaciones según las preferencias de cada docente
                 if (assignment.assignedTo && assignment.assignedTo.length > 0) {
-                    for (const teacher of assignment.assignedTo) {
-                        try {
-                            // Enviar email
-                            await emailService.sendNewAssignmentNotification({
-                                to: teacher.email,
-                                teacherName: `${teacher.nombre} ${teacher.apellidoPaterno}`,
-                                title: assignment.title,
-                                description: assignment.description,
-                                dueDate: assignment.dueDate.toLocaleDateString('es-ES'),
-                                closeDate: assignment.closeDate.toLocaleDateString('es-ES'),
-                                assignmentUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/assignment/${assignment._id}`
-                            });
-
-                            // Enviar notificación web
-                            await notificationService.sendNotification([teacher._id], {
-                                type: 'new_assignment',
-                                title: '📝 Nueva Asignación Disponible',
-                                message: `Se ha publicado una nueva asignación: "${assignment.title}"`,
-                                assignmentId: assignment._id
-                            });
-
-                        } catch (notificationError) {
-                            console.error(`Error enviando notificación a ${teacher.email}:`, notificationError);
-                        }
-                    }
+                    await notifyNewAssignment(assignment.assignedTo, assignment);
                 }
 
+                publishedCount++;
                 console.log(`✅ Asignación publicada: "${assignment.title}"`);
 
             } catch (error) {
                 console.error(`❌ Error publicando asignación ${assignment._id}:`, error);
                 
                 // Marcar como error de publicación
-                assignment.status = 'publication_error';
+                assignment.transitionTo('publication_error');
                 assignment.publicationError = error.message;
                 await assignment.save();
             }
@@ -1744,7 +1800,7 @@ export const publishScheduledAssignments = async () => {
 
         return {
             success: true,
-            publishedCount: assignmentsToPublish.length
+            publishedCount
         };
 
     } catch (error) {
@@ -1786,8 +1842,14 @@ export const updateTeacherAssignmentStatus = async (req, res) => {
             });
         }
 
-        // Validar el estado proporcionado
-        const validStatuses = ['entregado', 'entregado_tarde', 'no_entregado', 'pendiente'];
+        // Validar el estado proporcionado (equivalen a los estados de entrega del docente)
+        const outcomeByStatus = {
+            entregado: 'completed',
+            entregado_tarde: 'completed-late',
+            no_entregado: 'not-delivered',
+            pendiente: 'pending'
+        };
+        const validStatuses = Object.keys(outcomeByStatus);
         if (!validStatuses.includes(status)) {
             return res.status(400).json({
                 success: false,
@@ -1807,64 +1869,24 @@ export const updateTeacherAssignmentStatus = async (req, res) => {
             });
         }
 
-        // Verificar que el docente esté asignado a esta asignación
-        const isTeacherAssigned = assignment.assignedTo.some(
-            teacher => teacher._id.toString() === teacherId
-        );
-        
-        if (!isTeacherAssigned) {
-            return res.status(400).json({
-                success: false,
-                error: 'El docente no está asignado a esta asignación'
-            });
-        }
-
-        // Buscar si ya existe una respuesta del docente
-        let teacherResponse = assignment.responses.find(
-            response => response.user.toString() === teacherId
-        );
-
+        // La transición (y que el docente esté asignado) se valida en el modelo
         const now = new Date();
-        let submissionStatus = 'on-time';
-        
-        // Determinar el estado de entrega basado en las fechas
-        if (status === 'entregado' || status === 'entregado_tarde') {
-            if (now > new Date(assignment.dueDate)) {
-                submissionStatus = 'late';
-            }
-            if (now > new Date(assignment.closeDate)) {
-                submissionStatus = 'closed';
-            }
-        }
-
-        if (teacherResponse) {
-            // Actualizar respuesta existente
-            if (status === 'entregado' || status === 'entregado_tarde') {
-                teacherResponse.submissionStatus = submissionStatus;
-                teacherResponse.status = 'submitted';
-                teacherResponse.submittedAt = now;
-            } else {
-                // Para 'no_entregado' o 'pendiente'
-                teacherResponse.submissionStatus = null;
-                teacherResponse.status = 'reviewed';
-                teacherResponse.submittedAt = null;
-            }
-        } else {
-            // Crear nueva respuesta
-            assignment.responses.push({
-                user: teacherId,
-                files: [],
-                submittedAt: status === 'entregado' || status === 'entregado_tarde' ? now : null,
-                submissionStatus: status === 'entregado' || status === 'entregado_tarde' ? submissionStatus : null,
-                status: status === 'entregado' || status === 'entregado_tarde' ? 'submitted' : 'reviewed'
-            });
-        }
+        assignment.setTeacherOutcome(teacherId, outcomeByStatus[status], {
+            changedBy: req.user._id,
+            at: now
+        });
 
         // Actualizar timestamp de modificación
         assignment.updatedAt = now;
         assignment.updatedBy = req.user._id;
 
         await assignment.save();
+        await enqueueTeacherStatsUpdate(teacherId);
+
+        await notifyAdminReview(teacherId, assignment, {
+            status: outcomeByStatus[status],
+            reviewedBy: req.user._id
+        });
 
         // Poblar la asignación actualizada para la respuesta
         await assignment.populate([
@@ -1883,9 +1905,9 @@ export const updateTeacherAssignmentStatus = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error actualizando estado del docente:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Error interno del servidor'
+            error: error.status ? error.message : 'Error interno del servidor'
         });
     }
 };
@@ -1908,26 +1930,10 @@ export const getTeachersStatusForAssignment = async (req, res) => {
             });
         }
 
-        // Construir lista de docentes con sus estados usando el campo status directamente
+        // Estado de cada docente según su entrega y las fechas de la asignación
+        const now = new Date();
         const teachersStatus = assignment.assignedTo.map(teacher => {
-            const response = assignment.responses.find(r => 
-                r.user._id.toString() === teacher._id.toString()
-            );
-
-            // Mapear el estado interno del backend al estado esperado por el frontend
-            let status = 'pending'; // Por defecto
-            
-            if (response) {
-                if (response.status === 'submitted' && response.submissionStatus === 'on-time') {
-                    status = 'completed';
-                } else if (response.status === 'submitted' && response.submissionStatus === 'late') {
-                    status = 'completed-late';
-                } else if (response.submissionStatus === 'closed' || (response.status === 'reviewed' && !response.submittedAt)) {
-                    status = 'not-delivered';
-                } else {
-                    status = 'pending';
-                }
-            }
+            const response = assignment.getResponse(teacher._id);
 
             return {
                 _id: teacher._id,
@@ -1936,8 +1942,12 @@ export const getTeachersStatusForAssignment = async (req, res) => {
                 apellidoPaterno: teacher.apellidoPaterno,
                 apellidoMaterno: teacher.apellidoMaterno,
                 email: teacher.email,
-                status: status,
-                submittedAt: response?.submittedAt || null
+                status: assignment.status === 'active' ? Assignment.teacherOutcome(assignment, teacher._id, now) : null,
+                responseStatus: response?.status || 'pending',
+                submissionStatus: response?.submissionStatus || null,
+                submittedAt: response?.submittedAt || null,
+                review: Assignment.latestReview(assignment, teacher._id),
+                ...Assignment.teacherDeadline(assignment, teacher._id)
             };
         });
 
@@ -1947,7 +1957,8 @@ export const getTeachersStatusForAssignment = async (req, res) => {
             assignment: {
                 _id: assignment._id,
                 title: assignment.title,
-                description: assignment.description
+                description: assignment.description,
+                status: assignment.status
             }
         });
 
@@ -1985,84 +1996,27 @@ export const updateTeacherStatusInAssignment = async (req, res) => {
             });
         }
 
-        // Verificar que el docente está asignado a esta asignación
-        const isAssigned = assignment.assignedTo.some(id => id.toString() === teacherId);
-        if (!isAssigned) {
-            return res.status(400).json({
-                success: false,
-                error: 'El docente no está asignado a esta asignación'
-            });
-        }
-
         const now = new Date();
-        
-        // Mapear estados del frontend al sistema interno del backend
-        let submissionStatus = 'on-time'; 
-        let responseStatus = 'submitted';
-        let submittedAt = null;
-
-        switch (status) {
-            case 'completed':
-                submissionStatus = 'on-time';  
-                responseStatus = 'submitted';
-                submittedAt = now; // Marcar como entregado ahora
-                break;
-            case 'completed-late':
-                submissionStatus = 'late';     
-                responseStatus = 'submitted';
-                submittedAt = now; // Marcar como entregado tarde ahora
-                break;
-            case 'not-delivered':
-                submissionStatus = 'closed';   
-                responseStatus = 'reviewed';   // Marcado como revisado porque no se entregó
-                submittedAt = null; // Sin fecha de entrega
-                break;
-            case 'pending':
-                // Para pendiente, eliminar la respuesta existente en lugar de crearla
-                submissionStatus = null;  
-                responseStatus = null;
-                submittedAt = null;
-                break;
-        }
-
-        // Buscar respuesta existente del docente
-        let teacherResponse = assignment.responses.find(r => 
-            r.user.toString() === teacherId
-        );
 
-        if (status === 'pending') {
-            // Si se establece como pendiente, eliminar la respuesta existente
-            if (teacherResponse) {
-                assignment.responses = assignment.responses.filter(r => 
-                    r.user.toString() !== teacherId
-                );
-            }
-        } else {
-            // Para otros estados, crear o actualizar la respuesta
-            if (teacherResponse) {
-                // Actualizar respuesta existente
-                teacherResponse.submissionStatus = submissionStatus;
-                teacherResponse.status = responseStatus;
-                teacherResponse.submittedAt = submittedAt;
-            } else {
-                // Crear nueva respuesta
-                assignment.responses.push({
-                    user: teacherId,
-                    files: [],
-                    submittedAt: submittedAt,
-                    submissionStatus: submissionStatus,
-                    status: responseStatus
-                });
-            }
-        }
+        // Solo cambia la entrega de este docente; el modelo valida la transición
+        const response = assignment.setTeacherOutcome(teacherId, status, {
+            changedBy: req.user._id,
+            at: now
+        });
 
         // Actualizar timestamp de modificación
         assignment.updatedAt = now;
         assignment.updatedBy = req.user._id;
 
-        // NO actualizar el estado base de la asignación para mantener la individualidad
-        // El estado se maneja por respuestas individuales, no por el estado general
         await assignment.save();
+        await enqueueTeacherStatsUpdate(teacherId);
+
+        await notifyAdminReview(teacherId, assignment, {
+            status,
+            reviewedBy: req.user._id
+        });
+
+        const { submissionStatus, submittedAt, status: responseStatus } = response;
 
         console.log('✅ Estado de docente actualizado exitosamente:', {
             assignmentTitle: assignment.title,
@@ -2089,91 +2043,272 @@ export const updateTeacherStatusInAssignment = async (req, res) => {
 
     } catch (error) {
         console.error('❌ Error actualizando estado del docente:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Error interno del servidor'
+            error: error.status ? error.message : 'Error interno del servidor'
         });
     }
 };
 
-// FUNCIÓN COMENTADA: Esta función actualizaba el estado base de toda la asignación
-// pero necesitamos mantener estados individuales por docente sin afectar a otros
-/*
-// Función auxiliar para actualizar el estado base de la asignación según las respuestas individuales
-async function updateAssignmentStatusBasedOnResponses(assignment) {
+// Revisar la entrega de un docente: aceptarla, rechazarla con motivos (pide reenvío) o calificarla
+export const reviewAssignmentResponse = async (req, res) => {
     try {
-        console.log(`🔄 Actualizando estado base de la asignación "${assignment.title}"`);
-        
-        // Si no hay docentes asignados, mantener el estado actual
-        if (!assignment.assignedTo || assignment.assignedTo.length === 0) {
-            console.log('   ⚪ No hay docentes asignados, manteniendo estado actual');
-            return;
-        }
-
-        // Contar respuestas por tipo
-        const responseStats = {
-            total: assignment.responses.length,
-            completed: 0,
-            completedLate: 0,
-            notDelivered: 0,
-            pending: assignment.assignedTo.length
+        const { id, userId } = req.params;
+        const { decision, reasons, comments, score, rubric } = req.body;
+
+        const assignment = await Assignment.findById(id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Asignación no encontrada'
+            });
+        }
+
+        // El modelo valida la decisión y la transición de la entrega
+        const review = assignment.reviewResponse(userId, {
+            decision,
+            reasons,
+            comments,
+            score,
+            rubric,
+            reviewedBy: req.user._id,
+            at: new Date()
+        });
+
+        assignment.updatedAt = review.reviewedAt;
+        assignment.updatedBy = req.user._id;
+
+        await assignment.save();
+        await enqueueTeacherStatsUpdate(userId);
+        await notifyResponseReview(userId, assignment, review);
+
+        const response = assignment.getResponse(userId);
+
+        console.log('✅ Entrega revisada:', {
+            assignmentTitle: assignment.title,
+            teacherId: userId,
+            decision,
+            responseStatus: response.status
+        });
+
+        const messages = {
+            accepted: 'Entrega aceptada',
+            rejected: 'Entrega rechazada; se solicitó al docente volver a enviarla',
+            graded: 'Entrega calificada'
         };
 
-        // Analizar cada respuesta
-        assignment.responses.forEach(response => {
-            if (response.submissionStatus === 'on-time' && response.status === 'submitted') {
-                responseStats.completed++;
-                responseStats.pending--;
-            } else if (response.submissionStatus === 'late' && response.status === 'submitted') {
-                responseStats.completedLate++;
-                responseStats.pending--;
-            } else if (response.submissionStatus === 'closed') {
-                responseStats.notDelivered++;
-                responseStats.pending--;
+        res.json({
+            success: true,
+            message: messages[decision],
+            data: {
+                assignmentId: assignment._id,
+                teacherId: userId,
+                responseStatus: response.status,
+                status: Assignment.teacherOutcome(assignment, userId),
+                review
             }
         });
+    } catch (error) {
+        console.error('❌ Error revisando la entrega:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error interno del servidor'
+        });
+    }
+};
 
-        console.log('   ��� Estadísticas de respuestas:', responseStats);
+// Verificar acceso a la entrega de un docente: el propio docente o un administrador
+const canAccessResponse = (user, teacherId) =>
+    user.role === 'admin' || user._id.toString() === teacherId.toString();
 
-        // Determinar el nuevo estado base
-        let newBaseStatus = assignment.status; // Estado actual por defecto
+// Listar las versiones de la entrega de un docente (la última es la vigente)
+export const getResponseVersions = async (req, res) => {
+    try {
+        const { id, userId } = req.params;
 
-        // NUEVA LÓGICA: Más flexible para filtros de administrador
-        // Priorizar estados que permitan que las asignaciones aparezcan en filtros apropiados
-        
-        if (responseStats.completed > 0) {
-            // Si hay al menos una entrega completada a tiempo, marcar como 'completed'
-            // Esto permite que aparezca en el filtro "Completadas" del admin
-            newBaseStatus = 'completed';
-            console.log('   💡 Hay entregas completadas -> estado "completed"');
-        } else if (responseStats.completedLate > 0) {
-            // Si hay entregas tardías pero ninguna a tiempo, marcar como 'completed-late'
-            newBaseStatus = 'completed-late';
-            console.log('   💡 Hay entregas tardías -> estado "completed-late"');
-        } else if (responseStats.notDelivered > 0 && responseStats.pending === 0) {
-            // Si todos los docentes asignados están marcados como no-entregados
-            newBaseStatus = 'not-delivered';
-            console.log('   💡 Todos marcados como no-entregados -> estado "not-delivered"');
-        } else if (responseStats.notDelivered > 0 && responseStats.pending > 0) {
-            // Hay algunos no-entregados pero otros aún pendientes
-            newBaseStatus = 'pending';
-            console.log('   💡 Mezcla de no-entregados y pendientes -> estado "pending"');
-        } else {
-            // Sin respuestas o solo pendientes
-            newBaseStatus = 'pending';
-            console.log('   💡 Sin respuestas definidas -> estado "pending"');
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ID de asignación o de docente inválido'
+            });
         }
 
-        // Actualizar solo si cambió
-        if (newBaseStatus !== assignment.status) {
-            console.log(`   🔄 Cambiando estado base: "${assignment.status}" -> "${newBaseStatus}"`);
-            assignment.status = newBaseStatus;
-        } else {
-            console.log(`   ✅ Estado base se mantiene: "${assignment.status}"`);
+        if (!canAccessResponse(req.user, userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'No tienes permiso para ver esta entrega'
+            });
         }
 
+        const assignment = await Assignment.findById(id)
+            .populate('responses.versions.submittedBy', 'nombre apellidoPaterno apellidoMaterno email');
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Asignación no encontrada'
+            });
+        }
+
+        const response = assignment.getResponse(userId);
+        if (!response) {
+            return res.status(404).json({
+                success: false,
+                error: 'El docente no tiene entregas en esta asignación'
+            });
+        }
+
+        const latest = response.versions.length;
+        const versions = response.versions
+            .map(version => ({
+                version: version.version,
+                effective: version.version === latest,
+                submittedAt: version.submittedAt,
+                submissionStatus: version.submissionStatus,
+                submittedBy: version.submittedBy,
+                files: version.files.map((file, index) => ({
+                    fileName: file.fileName,
+                    uploadedAt: file.uploadedAt,
+                    downloadUrl: `/api/assignments/${assignment._id}/responses/${userId}/versions/${version.version}/files/${index}`
+                })),
+                reviews: response.reviews.filter(review => review.version === version.version)
+            }))
+            .reverse();
+
+        res.json({
+            success: true,
+            assignment: {
+                _id: assignment._id,
+                title: assignment.title,
+                dueDate: assignment.dueDate,
+                closeDate: assignment.closeDate
+            },
+            responseStatus: response.status,
+            total: versions.length,
+            versions
+        });
+    } catch (error) {
+        console.error('❌ Error obteniendo versiones de la entrega:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+};
+
+// Descargar un archivo de una versión de la entrega
+export const downloadResponseVersionFile = async (req, res) => {
+    try {
+        const { id, userId, version, fileIndex } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ID de asignación o de docente inválido'
+            });
+        }
+
+        if (!canAccessResponse(req.user, userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'No tienes permiso para ver esta entrega'
+            });
+        }
+
+        const assignment = await Assignment.findById(id).select('responses');
+        const submission = assignment?.getResponse(userId)?.versions
+            .find(item => item.version === parseInt(version));
+        const file = submission?.files[parseInt(fileIndex)];
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                error: 'Archivo no encontrado'
+            });
+        }
+
+        // Solo se sirven archivos dentro del directorio de uploads
+        const uploadsDir = path.resolve('uploads');
+        const filePath = path.resolve(file.fileUrl);
+        if (!filePath.startsWith(uploadsDir + path.sep) || !fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                error: 'El archivo ya no está disponible en el servidor'
+            });
+        }
+
+        res.download(filePath, file.fileName);
     } catch (error) {
-        console.error('❌ Error actualizando estado base de asignación:', error);
+        console.error('❌ Error descargando archivo de la entrega:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
     }
-}
-*/
+};
+
+// Conceder prórroga individual (nuevas fechas y motivo) a uno o varios docentes
+export const grantDeadlineExtension = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { teacherId, teacherIds, dueDate, closeDate, reason } = req.body;
+        const teachers = [...new Set([].concat(teacherIds || teacherId || []).map(String))];
+
+        if (teachers.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Indica el docente (teacherId) o los docentes (teacherIds) a los que se concede la prórroga'
+            });
+        }
+
+        const assignment = await Assignment.findById(id);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Asignación no encontrada'
+            });
+        }
+
+        // El modelo valida las fechas, el motivo y que cada docente esté asignado
+        const now = new Date();
+        const extensions = teachers.map(teacher => assignment.grantExtension(teacher, {
+            dueDate,
+            closeDate,
+            reason,
+            grantedBy: req.user._id,
+            at: now
+        }));
+
+        assignment.updatedAt = now;
+        assignment.updatedBy = req.user._id;
+
+        await assignment.save();
+
+        for (const extension of extensions) {
+            await enqueueTeacherStatsUpdate(extension.teacher);
+            await notifyDeadlineExtension(extension.teacher, assignment, extension);
+        }
+
+        console.log('✅ Prórroga concedida:', {
+            assignmentTitle: assignment.title,
+            teachers,
+            dueDate: extensions[0].dueDate,
+            closeDate: extensions[0].closeDate
+        });
+
+        res.json({
+            success: true,
+            message: `Prórroga concedida a ${extensions.length} docente(s)`,
+            data: {
+                assignmentId: assignment._id,
+                extensions
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error concediendo prórroga:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error interno del servidor'
+        });
+    }
+};
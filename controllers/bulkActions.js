@@ -1,5 +1,5 @@
 import Assignment from '../models/Assignment.js';
-import TeacherStats from '../models/TeacherStats.js';
+import { enqueueTeacherStatsUpdate } from '../services/backgroundJobs.js';
 
 // Marcar múltiples asignaciones como completadas
 export const markMultipleAssignmentsCompleted = async (req, res) => {
@@ -14,45 +14,37 @@ export const markMultipleAssignmentsCompleted = async (req, res) => {
             });
         }
 
-        // Actualizar todas las asignaciones seleccionadas
-        const result = await Assignment.updateMany(
-            { 
-                _id: { $in: assignmentIds },
-                status: { $ne: 'completed' } // Solo actualizar las que no estén completadas
-            },
-            {
-                $set: {
-                    status: 'completed',
-                    completedAt: now,
-                    completedBy: req.user._id,
-                    adminCompleted: true
-                }
+        // Completar cada asignación activa = completar las entregas pendientes de sus docentes
+        const assignments = await Assignment.find({ _id: { $in: assignmentIds }, status: 'active' });
+
+        let modifiedCount = 0;
+        const teacherIds = new Set();
+
+        for (const assignment of assignments) {
+            const completedTeachers = assignment.completePendingResponses({ changedBy: req.user._id, at: now });
+            if (completedTeachers.length === 0) {
+                continue;
             }
-        );
 
-        // Obtener las asignaciones actualizadas para actualizar estadísticas
-        const updatedAssignments = await Assignment.find({ _id: { $in: assignmentIds } })
-            .populate('assignedTo', 'nombre apellidoPaterno apellidoMaterno email');
+            assignment.completedAt = now;
+            assignment.updatedAt = now;
+            assignment.updatedBy = req.user._id;
+            await assignment.save();
 
-        // Actualizar estadísticas para cada profesor afectado
-        const teacherIds = new Set();
-        updatedAssignments.forEach(assignment => {
-            assignment.assignedTo.forEach(teacher => {
-                teacherIds.add(teacher._id.toString());
-            });
-        });
+            modifiedCount++;
+            completedTeachers.forEach(teacherId => teacherIds.add(teacherId));
+        }
 
-        // Actualizar estadísticas en paralelo
+        // Encolar el recálculo de estadísticas de los docentes afectados
         await Promise.all(
-            Array.from(teacherIds).map(teacherId => 
-                TeacherStats.updateTeacherStats(teacherId)
-            )
+            Array.from(teacherIds).map(teacherId => enqueueTeacherStatsUpdate(teacherId))
         );
 
         res.json({
             success: true,
-            message: `${result.modifiedCount} asignaciones marcadas como completadas`,
-            modifiedCount: result.modifiedCount
+            message: `${modifiedCount} asignaciones marcadas como completadas`,
+            modifiedCount,
+            teachersUpdated: teacherIds.size
         });
 
     } catch (error) {
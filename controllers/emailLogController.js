@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import EmailLog from '../models/EmailLog.js';
+import emailService from '../services/emailService.js';
+import { enqueueEmail } from '../services/backgroundJobs.js';
+import { SUPPORTED_LOCALES } from '../services/emailRenderer.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Datos de ejemplo para la vista previa de cada plantilla de templates/emails
+const sampleData = () => {
+    const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const assignmentUrl = `${FRONTEND_URL}/dashboard/assignments/ejemplo`;
+    const unsubscribeUrl = `${FRONTEND_URL}/unsubscribe?token=ejemplo`;
+    const overdue = [
+        { title: 'Reporte de tutorías', dueDate: new Date(now - 15 * DAY_MS), closeDate: new Date(now - 12 * DAY_MS), status: 'active', daysPastDue: 12 },
+        { title: 'Acta de calificaciones', dueDate: new Date(now - 7 * DAY_MS), closeDate: new Date(now - 4 * DAY_MS), status: 'active', daysPastDue: 4 }
+    ];
+
+    return {
+        'account-locked': {
+            userName: 'María López',
+            lockUntil: new Date(now + 15 * 60 * 1000),
+            attempts: 5,
+            ipAddress: '192.168.1.10',
+            resetUrl: `${FRONTEND_URL}/forgot-password`
+        },
+        'assignment-reminders': {
+            teacherName: 'María López García',
+            count: 2,
+            urgentCount: 1,
+            importantCount: 1,
+            assignments: [
+                { title: 'Planeación didáctica', description: 'Subir la planeación didáctica de todas las materias asignadas.', dueDate: new Date(now + DAY_MS), closeDate: new Date(now + 3 * DAY_MS), priority: 'high', daysUntilDue: 1 },
+                { title: 'Reporte de tutorías', description: 'Reporte mensual de las tutorías realizadas.', dueDate: new Date(now + 3 * DAY_MS), closeDate: new Date(now + 5 * DAY_MS), priority: 'medium', daysUntilDue: 3 }
+            ],
+            dashboardUrl: `${FRONTEND_URL}/dashboard/assignments`,
+            unsubscribeUrl
+        },
+        invitation: {
+            inviterName: 'Juan Pérez',
+            role: 'docente',
+            acceptUrl: `${FRONTEND_URL}/accept-invitation?token=ejemplo`,
+            expiresAt: new Date(now + 7 * DAY_MS)
+        },
+        'new-assignment': {
+            teacherName: 'María López García',
+            title: 'Planeación didáctica del semestre',
+            description: 'Subir la planeación didáctica de todas las materias asignadas.',
+            dueDate: new Date(now + 7 * DAY_MS),
+            closeDate: new Date(now + 10 * DAY_MS),
+            assignmentUrl,
+            unsubscribeUrl
+        },
+        notification: {
+            userName: 'María López García',
+            title: 'Entrega revisada',
+            message: 'Tu entrega de "Planeación didáctica del semestre" fue aprobada.',
+            actionUrl: assignmentUrl,
+            unsubscribeUrl
+        },
+        'notification-digest': {
+            userName: 'María López García',
+            count: 2,
+            items: [
+                { title: 'Nueva asignación: Reporte de tutorías', message: 'Fecha de entrega: próxima semana', url: assignmentUrl },
+                { title: 'Entrega revisada', message: 'Tu entrega de "Planeación didáctica" fue aprobada.' }
+            ],
+            dashboardUrl: FRONTEND_URL,
+            unsubscribeUrl
+        },
+        'password-changed': {
+            userName: 'María López',
+            changeDate: new Date(now)
+        },
+        'password-reset': {
+            userName: 'María López',
+            resetUrl: `${FRONTEND_URL}/reset-password?token=ejemplo`,
+            expirationHours: 1
+        },
+        'performance-rollup': {
+            generatedAt: new Date(now),
+            teacherCount: 1,
+            totalOverdue: overdue.length,
+            teachers: [{
+                teacherName: 'Juan Pérez Sánchez',
+                email: 'juan.perez@tesjo.edu.mx',
+                overdueCount: overdue.length,
+                maxDaysPastDue: 12,
+                assignments: overdue
+            }],
+            dashboardUrl: `${FRONTEND_URL}/admin/stats`
+        },
+        'poor-performance-report': {
+            teacherName: 'Juan Pérez Sánchez',
+            count: overdue.length,
+            assignments: overdue,
+            generatedAt: new Date(now),
+            dashboardUrl: `${FRONTEND_URL}/dashboard/assignments`
+        }
+    };
+};
+
+// @desc    Historial de correos enviados con filtros y paginación
+// @route   GET /api/admin/email-logs?status=&template=&recipient=&since=&until=&page=&limit=
+// @access  Admin
+export const listEmailLogs = async (req, res) => {
+    try {
+        const { status, template, recipient, since, until } = req.query;
+
+        // Un parámetro repetido (?status=a&status=b) o con corchetes llega como array u
+        // objeto; se rechaza en vez de pasarlo tal cual al filtro de Mongo
+        const textParams = { status, template, recipient, since, until };
+        const invalid = Object.keys(textParams)
+            .filter(key => textParams[key] !== undefined && typeof textParams[key] !== 'string');
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Parámetros de búsqueda inválidos: ${invalid.join(', ')}`
+            });
+        }
+
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const filters = {};
+        if (status && status !== 'all') {
+            filters.status = status;
+        }
+        if (template && template !== 'all') {
+            filters.template = template;
+        }
+        if (recipient) {
+            filters.to = { $regex: escapeRegex(recipient.toLowerCase()) };
+        }
+        if (since || until) {
+            filters.createdAt = {};
+            if (since) {
+                filters.createdAt.$gte = new Date(since);
+            }
+            if (until) {
+                filters.createdAt.$lte = new Date(until);
+            }
+            if (Object.values(filters.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ success: false, error: 'Rango de fechas inválido' });
+            }
+        }
+
+        const [logs, total] = await Promise.all([
+            EmailLog.find(filters)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            EmailLog.countDocuments(filters)
+        ]);
+
+        const totalPages = Math.ceil(total / limitNum);
+
+        res.json({
+            success: true,
+            logs,
+            pagination: {
+                current: pageNum,
+                pages: totalPages,
+                total,
+                limit: limitNum,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error al listar el historial de correos:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al listar el historial de correos'
+        });
+    }
+};
+
+// @desc    Detalle de un correo enviado (incluye el contenido si se guardó)
+// @route   GET /api/admin/email-logs/:id
+// @access  Admin
+export const getEmailLog = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'ID de registro inválido' });
+        }
+
+        const log = await EmailLog.findById(req.params.id).select('+content').lean();
+        if (!log) {
+            return res.status(404).json({ success: false, error: 'Registro de correo no encontrado' });
+        }
+
+        const resends = await EmailLog.find({ resendOf: log._id })
+            .select('status sentAt createdAt resentBy')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({ success: true, log, resends });
+    } catch (error) {
+        console.error('Error al obtener registro de correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el registro de correo'
+        });
+    }
+};
+
+// @desc    Reenviar un correo registrado (se encola con el mismo contenido)
+// @route   POST /api/admin/email-logs/:id/resend
+// @access  Admin
+export const resendEmail = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'ID de registro inválido' });
+        }
+
+        const log = await EmailLog.findById(req.params.id).select('to template resendable').lean();
+        if (!log) {
+            return res.status(404).json({ success: false, error: 'Registro de correo no encontrado' });
+        }
+
+        // Recuperación de contraseña e invitaciones llevan enlaces de un solo uso que no se guardan
+        if (!log.resendable) {
+            return res.status(409).json({
+                success: false,
+                error: 'Este correo contiene un enlace de un solo uso y no puede reenviarse; genera uno nuevo'
+            });
+        }
+
+        const job = await enqueueEmail('resendLoggedEmail', log._id.toString(), req.user._id.toString());
+        if (!job) {
+            return res.status(503).json({
+                success: false,
+                error: 'No se pudo encolar el reenvío, intenta de nuevo más tarde'
+            });
+        }
+
+        console.log(`🔁 Correo ${log.template} a ${log.to} reenviado por ${req.user.email}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'Reenvío encolado',
+            jobId: job._id
+        });
+    } catch (error) {
+        console.error('Error al reenviar correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al reenviar el correo'
+        });
+    }
+};
+
+// @desc    Plantillas de correo disponibles e idiomas soportados
+// @route   GET /api/admin/email-templates
+// @access  Admin
+export const listEmailTemplates = async (req, res) => {
+    try {
+        const samples = sampleData();
+        const templates = emailService.listTemplates().map(name => ({
+            name,
+            hasSampleData: Boolean(samples[name])
+        }));
+
+        res.json({ success: true, templates, locales: SUPPORTED_LOCALES });
+    } catch (error) {
+        console.error('Error al listar plantillas de correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al listar las plantillas de correo'
+        });
+    }
+};
+
+// @desc    Vista previa de una plantilla con datos de ejemplo
+//          (HTML; ?format=text para el texto plano, ?format=json para todo)
+// @route   GET /api/admin/email-templates/:name/preview?locale=es|en&format=
+// @access  Admin
+export const previewEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { locale, format } = req.query;
+
+        // Solo plantillas existentes: el nombre nunca se usa como ruta arbitraria
+        if (!emailService.listTemplates().includes(name)) {
+            return res.status(404).json({ success: false, error: 'Plantilla de correo no encontrada' });
+        }
+
+        if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+            return res.status(400).json({
+                success: false,
+                error: `Idioma no soportado. Opciones: ${SUPPORTED_LOCALES.join(', ')}`
+            });
+        }
+
+        const data = sampleData()[name] || {};
+        const email = emailService.render(name, data, locale);
+
+        if (format === 'json') {
+            return res.json({ success: true, template: name, data, ...email });
+        }
+        if (format === 'text') {
+            return res.type('text').send(email.text);
+        }
+
+        res.type('html').send(email.html);
+    } catch (error) {
+        console.error('Error al generar vista previa de plantilla:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al generar la vista previa'
+        });
+    }
+};
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import jobQueue from '../services/jobQueue.js';
+
+// @desc    Listar trabajos de la cola con filtros y paginación
+// @route   GET /api/admin/jobs?status=&type=&page=&limit=
+// @access  Admin
+export const listJobs = async (req, res) => {
+    try {
+        const { status, type } = req.query;
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const filters = {};
+        if (status && status !== 'all') {
+            filters.status = status;
+        }
+        if (type && type !== 'all') {
+            filters.type = type;
+        }
+
+        const [jobs, total] = await Promise.all([
+            Job.find(filters)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Job.countDocuments(filters)
+        ]);
+
+        const totalPages = Math.ceil(total / limitNum);
+
+        res.json({
+            success: true,
+            jobs,
+            pagination: {
+                current: pageNum,
+                pages: totalPages,
+                total,
+                limit: limitNum,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error al listar trabajos:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al listar trabajos'
+        });
+    }
+};
+
+// @desc    Resumen de la cola: conteos por estado y tipo, y estado del worker local
+// @route   GET /api/admin/jobs/stats
+// @access  Admin
+export const getJobStats = async (req, res) => {
+    try {
+        const stats = await jobQueue.getStats();
+        res.json({ success: true, stats });
+    } catch (error) {
+        console.error('Error al obtener estadísticas de la cola:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener estadísticas de la cola'
+        });
+    }
+};
+
+// @desc    Detalle de un trabajo (incluye historial de errores)
+// @route   GET /api/admin/jobs/:id
+// @access  Admin
+export const getJob = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'ID de trabajo inválido' });
+        }
+
+        const job = await Job.findById(req.params.id).lean();
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+        }
+
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error al obtener trabajo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el trabajo'
+        });
+    }
+};
+
+// @desc    Reintentar de inmediato un trabajo 'dead' o en espera de reintento
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Admin
+export const retryJob = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'ID de trabajo inválido' });
+        }
+
+        const job = await jobQueue.retry(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Trabajo no encontrado o no se puede reintentar (en ejecución o completado)'
+            });
+        }
+
+        console.log(`🔁 Trabajo ${job.type} (${job._id}) reencolado por ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: 'Trabajo reencolado',
+            job
+        });
+    } catch (error) {
+        console.error('Error al reintentar trabajo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al reintentar el trabajo'
+        });
+    }
+};
@@ -0,0 +1,169 @@
+import {
+    listMessages,
+    getMessage,
+    getRawMessage,
+    clearMailbox,
+    getMailboxDir
+} from '../services/mailCaptureService.js';
+
+const notFound = (res) =>
+    res.status(404).json({ success: false, error: 'Mensaje no encontrado en el buzón' });
+
+// @desc    Correos capturados con EMAIL_PROVIDER=capture, más recientes primero
+// @route   GET /api/dev/mailbox?to=&subject=&limit=
+// @access  Desarrollo (no se monta en producción)
+export const listMailbox = async (req, res) => {
+    try {
+        const { to, subject } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+        const { messages, total } = await listMessages({ to, subject, limit });
+
+        res.json({
+            success: true,
+            provider: process.env.EMAIL_PROVIDER || 'development',
+            mailboxDir: getMailboxDir(),
+            total,
+            messages
+        });
+    } catch (error) {
+        console.error('Error al listar el buzón local:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al listar el buzón local'
+        });
+    }
+};
+
+// @desc    Último correo capturado (opcionalmente para un destinatario)
+// @route   GET /api/dev/mailbox/latest?to=&subject=
+// @access  Desarrollo (no se monta en producción)
+export const getLatestMessage = async (req, res) => {
+    try {
+        const { to, subject } = req.query;
+        const { messages } = await listMessages({ to, subject, limit: 1 });
+
+        const message = messages.length ? await getMessage(messages[0].id) : null;
+        if (!message) {
+            return notFound(res);
+        }
+
+        res.json({ success: true, message });
+    } catch (error) {
+        console.error('Error al obtener el último correo del buzón:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el último correo'
+        });
+    }
+};
+
+// @desc    Correo capturado completo (encabezados, HTML, texto, enlaces y adjuntos)
+// @route   GET /api/dev/mailbox/:id
+// @access  Desarrollo (no se monta en producción)
+export const getMailboxMessage = async (req, res) => {
+    try {
+        const message = await getMessage(req.params.id);
+        if (!message) {
+            return notFound(res);
+        }
+
+        res.json({ success: true, message });
+    } catch (error) {
+        console.error('Error al obtener correo del buzón:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el correo'
+        });
+    }
+};
+
+// @desc    Cuerpo HTML del correo tal como lo vería el destinatario
+// @route   GET /api/dev/mailbox/:id/html
+// @access  Desarrollo (no se monta en producción)
+export const getMailboxMessageHtml = async (req, res) => {
+    try {
+        const message = await getMessage(req.params.id);
+        if (!message) {
+            return notFound(res);
+        }
+        if (!message.html) {
+            return res.type('text').send(message.text || '');
+        }
+
+        res.type('html').send(message.html);
+    } catch (error) {
+        console.error('Error al obtener HTML del correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el HTML del correo'
+        });
+    }
+};
+
+// @desc    Fuente RFC 822 del correo (se puede abrir con cualquier cliente de correo)
+// @route   GET /api/dev/mailbox/:id/raw
+// @access  Desarrollo (no se monta en producción)
+export const getMailboxMessageRaw = async (req, res) => {
+    try {
+        const raw = await getRawMessage(req.params.id);
+        if (!raw) {
+            return notFound(res);
+        }
+
+        res.type('message/rfc822');
+        res.setHeader('Content-Disposition', `inline; filename="${req.params.id}.eml"`);
+        res.send(raw);
+    } catch (error) {
+        console.error('Error al obtener fuente del correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener la fuente del correo'
+        });
+    }
+};
+
+// @desc    Descargar un adjunto del correo por su posición
+// @route   GET /api/dev/mailbox/:id/attachments/:index
+// @access  Desarrollo (no se monta en producción)
+export const getMailboxAttachment = async (req, res) => {
+    try {
+        const message = await getMessage(req.params.id);
+        const attachment = message?.attachments[parseInt(req.params.index)];
+        if (!attachment || attachment.content === null) {
+            return res.status(404).json({ success: false, error: 'Adjunto no encontrado' });
+        }
+
+        const filename = attachment.filename || `adjunto-${req.params.index}`;
+        res.type(attachment.contentType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
+        res.send(Buffer.from(attachment.content, attachment.encoding));
+    } catch (error) {
+        console.error('Error al obtener adjunto del correo:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener el adjunto'
+        });
+    }
+};
+
+// @desc    Vaciar el buzón local
+// @route   DELETE /api/dev/mailbox
+// @access  Desarrollo (no se monta en producción)
+export const clearMailboxMessages = async (req, res) => {
+    try {
+        const deleted = await clearMailbox();
+
+        res.json({
+            success: true,
+            message: `${deleted} correo(s) eliminados del buzón`,
+            deleted
+        });
+    } catch (error) {
+        console.error('Error al vaciar el buzón local:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al vaciar el buzón local'
+        });
+    }
+};
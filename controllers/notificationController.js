@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import notificationService from '../services/notificationService.js';
+import { applyUnsubscribe, verifyUnsubscribeToken } from '../services/unsubscribeService.js';
+
+const EVENT_LABELS = {
+    all: 'todas las notificaciones',
+    newAssignment: 'avisos de nuevas asignaciones',
+    statusChange: 'cambios de estado de asignaciones',
+    deadlineApproaching: 'recordatorios de entregas próximas',
+    adminReview: 'revisiones de entregas'
+};
+
+const unsubscribePage = (title, message, action = '') => `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f4; padding: 40px 20px;">
+    <div style="max-width: 500px; margin: 0 auto; background: #fff; padding: 30px; border-radius: 8px; text-align: center;">
+        <h2 style="color: #667eea;">${title}</h2>
+        <p style="color: #555;">${message}</p>
+        ${action}
+    </div>
+</body>
+</html>`;
+
+// @desc    Bandeja de notificaciones del usuario autenticado
+// @route   GET /api/notifications?unread=true&page=&limit=
+// @access  Private
+export const getNotifications = async (req, res) => {
+    try {
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const filters = { recipient: req.user._id };
+        if (req.query.unread === 'true') {
+            filters.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filters)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            Notification.countDocuments(filters),
+            Notification.countUnread(req.user._id)
+        ]);
+
+        const totalPages = Math.ceil(total / limitNum);
+
+        res.json({
+            success: true,
+            notifications,
+            unreadCount,
+            pagination: {
+                current: pageNum,
+                pages: totalPages,
+                total,
+                limit: limitNum,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error al obtener notificaciones:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener notificaciones'
+        });
+    }
+};
+
+// @desc    Número de notificaciones sin leer
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await Notification.countUnread(req.user._id);
+        res.json({ success: true, unreadCount });
+    } catch (error) {
+        console.error('Error al contar notificaciones sin leer:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al contar notificaciones sin leer'
+        });
+    }
+};
+
+// @desc    Marcar una notificación como leída
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+export const markAsRead = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'ID de notificación inválido'
+            });
+        }
+
+        // Solo el destinatario puede marcarla; conserva la fecha de la primera lectura
+        const notification = await Notification.findOne({
+            _id: req.params.id,
+            recipient: req.user._id
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                error: 'Notificación no encontrada'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+            notificationService.emitRead(req.user._id, { ids: [notification._id] });
+        }
+
+        const unreadCount = await Notification.countUnread(req.user._id);
+
+        res.json({
+            success: true,
+            notification,
+            unreadCount
+        });
+    } catch (error) {
+        console.error('Error al marcar notificación como leída:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al marcar notificación como leída'
+        });
+    }
+};
+
+// @desc    Marcar todas las notificaciones como leídas
+// @route   POST /api/notifications/read-all
+// @access  Private
+export const markAllAsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        if (result.modifiedCount > 0) {
+            notificationService.emitRead(req.user._id, { all: true });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notificaciones marcadas como leídas',
+            updated: result.modifiedCount,
+            unreadCount: 0
+        });
+    } catch (error) {
+        console.error('Error al marcar notificaciones como leídas:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al marcar notificaciones como leídas'
+        });
+    }
+};
+
+// @desc    Confirmación de la baja desde el enlace del correo. No cambia nada: los
+//          antivirus y clientes de correo abren los enlaces por su cuenta, así que la
+//          baja solo se aplica con el POST del formulario
+// @route   GET /api/notifications/unsubscribe?token=
+// @access  Public (token firmado)
+export const confirmUnsubscribe = (req, res) => {
+    const token = req.query.token;
+    const parsed = verifyUnsubscribeToken(token);
+
+    if (!parsed) {
+        return res.status(400).send(unsubscribePage('Enlace inválido', 'El enlace de baja no es válido.'));
+    }
+
+    const form = `<form method="POST" action="unsubscribe?token=${encodeURIComponent(token)}">
+            <button type="submit" style="background: #667eea; color: #fff; border: none; padding: 12px 24px; border-radius: 6px; cursor: pointer;">Confirmar baja</button>
+        </form>`;
+
+    res.send(unsubscribePage(
+        'Cancelar suscripción',
+        `¿Quieres dejar de recibir ${EVENT_LABELS[parsed.event]} por correo?`,
+        form
+    ));
+};
+
+// @desc    Baja de correos: formulario de confirmación o botón del cliente de correo
+//          (POST de un clic, RFC 8058)
+// @route   POST /api/notifications/unsubscribe?token=
+// @access  Public (token firmado)
+export const unsubscribe = async (req, res) => {
+    // El formulario de confirmación pide HTML; los clientes de la API y de correo, JSON
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    try {
+        const result = await applyUnsubscribe(req.query.token || req.body?.token);
+
+        if (!result) {
+            const message = 'El enlace de baja no es válido.';
+            return wantsHtml
+                ? res.status(400).send(unsubscribePage('Enlace inválido', message))
+                : res.status(400).json({ success: false, error: message });
+        }
+
+        console.log(`📭 ${result.user.email} dejó de recibir por correo: ${result.event}`);
+
+        const message = `Ya no recibirás ${EVENT_LABELS[result.event]} por correo. Puedes volver a activarlas en tus preferencias de notificación.`;
+        return wantsHtml
+            ? res.send(unsubscribePage('Suscripción cancelada', message))
+            : res.json({ success: true, message, event: result.event });
+    } catch (error) {
+        console.error('Error al procesar la baja de correos:', error);
+        const message = 'No se pudo procesar la baja. Intenta de nuevo más tarde.';
+        return wantsHtml
+            ? res.status(500).send(unsubscribePage('Error', message))
+            : res.status(500).json({ success: false, error: message });
+    }
+};
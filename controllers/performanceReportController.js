@@ -0,0 +1,145 @@
+import PerformanceReportSettings from '../models/PerformanceReportSettings.js';
+import {
+    getReportSlot,
+    runPerformanceReport,
+    previewPerformanceReport,
+    getPerformanceReportStatus
+} from '../services/performanceReportService.js';
+
+const EDITABLE_SETTINGS = [
+    'enabled',
+    'frequency',
+    'dayOfWeek',
+    'hour',
+    'minOverdue',
+    'minDaysPastDue',
+    'lookbackDays',
+    'sendToTeachers',
+    'notifyAdmins',
+    'additionalRecipients'
+];
+
+// Campos que cambian cuándo se envía el reporte
+const SCHEDULE_SETTINGS = ['enabled', 'frequency', 'dayOfWeek', 'hour'];
+
+// @desc    Obtener la configuración y el estado del reporte de desempeño
+// @route   GET /api/admin/reports/performance/settings
+// @access  Admin
+export const getPerformanceSettings = async (req, res) => {
+    try {
+        const [settings, status] = await Promise.all([
+            PerformanceReportSettings.getSettings(),
+            getPerformanceReportStatus()
+        ]);
+
+        res.json({ success: true, settings, status });
+    } catch (error) {
+        console.error('Error al obtener configuración del reporte de desempeño:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al obtener configuración del reporte de desempeño'
+        });
+    }
+};
+
+// @desc    Actualizar umbrales, calendario y destinatarios del reporte de desempeño
+// @route   PUT /api/admin/reports/performance/settings
+// @access  Admin
+export const updatePerformanceSettings = async (req, res) => {
+    try {
+        const settings = await PerformanceReportSettings.getSettings();
+
+        const updates = {};
+        EDITABLE_SETTINGS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No se proporcionaron campos para actualizar'
+            });
+        }
+
+        if (updates.additionalRecipients !== undefined && !Array.isArray(updates.additionalRecipients)) {
+            return res.status(400).json({
+                success: false,
+                error: 'additionalRecipients debe ser una lista de correos'
+            });
+        }
+
+        settings.set(updates);
+        settings.updatedBy = req.user._id;
+
+        // Al cambiar el calendario, el siguiente envío es la próxima ventana
+        // (no se envía de inmediato la ventana que "ya pasó" con el nuevo horario)
+        if (SCHEDULE_SETTINGS.some(field => settings.isModified(field))) {
+            settings.lastSlot = getReportSlot(settings);
+        }
+
+        await settings.save();
+
+        res.json({
+            success: true,
+            message: 'Configuración del reporte de desempeño actualizada',
+            settings
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error al actualizar configuración del reporte de desempeño:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al actualizar configuración del reporte de desempeño'
+        });
+    }
+};
+
+// @desc    Vista previa del correo (HTML renderizado) sin enviarlo
+// @route   GET /api/admin/reports/performance/preview?type=teacher|rollup&teacherId=
+// @access  Admin
+export const previewPerformanceEmail = async (req, res) => {
+    try {
+        const { type = 'teacher', teacherId } = req.query;
+
+        if (!['teacher', 'rollup'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: "El tipo de vista previa debe ser 'teacher' o 'rollup'"
+            });
+        }
+
+        const preview = await previewPerformanceReport({ type, teacherId });
+
+        if (!preview) {
+            return res.status(404).json({
+                success: false,
+                error: teacherId
+                    ? 'El docente no tiene asignaciones vencidas sin entrega con los umbrales actuales'
+                    : 'No hay docentes con asignaciones vencidas sin entrega con los umbrales actuales'
+            });
+        }
+
+        res.json({ success: true, preview });
+    } catch (error) {
+        console.error('Error al generar vista previa del reporte de desempeño:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Error al generar vista previa del reporte de desempeño'
+        });
+    }
+};
+
+// @desc    Generar y enviar el reporte ahora (aunque no toque según el calendario)
+// @route   POST /api/admin/reports/performance/run
+// @access  Admin
+export const runPerformanceReportNow = async (req, res) => {
+    const result = await runPerformanceReport('manual', { force: true });
+    res.status(result.success ? 200 : 500).json(result);
+};
@@ -8,8 +8,10 @@ export const getTeacherStats = async (req, res) => {
         const teachers = await User.find({ role: 'docente' });
         console.log(`Encontrados ${teachers.length} docentes`);
 
-        // 2. Obtener todas las asignaciones
-        const assignments = await Assignment.find();
+        // 2. Obtener las asignaciones publicadas (el estado de cada docente sale de su entrega)
+        const assignments = await Assignment.find({ status: 'active' })
+            .select('assignedTo dueDate closeDate extensions responses.user responses.status responses.submissionStatus')
+            .lean();
         console.log(`Encontradas ${assignments.length} asignaciones`);
 
         // 3. Calcular estadísticas para cada docente
@@ -18,25 +20,23 @@ export const getTeacherStats = async (req, res) => {
 
         for (const teacher of teachers) {
             // Filtrar asignaciones del profesor
-            const teacherAssignments = assignments.filter(assignment => {
-                const isCreator = assignment.createdBy?.toString() === teacher._id.toString();
-                const isAssigned = assignment.assignedTo?.includes(teacher._id.toString());
-                return isCreator || isAssigned;
-            });
+            const teacherAssignments = assignments.filter(assignment =>
+                assignment.assignedTo?.some(id => id.toString() === teacher._id.toString())
+            );
+            const outcomes = teacherAssignments.map(assignment =>
+                Assignment.teacherOutcome(assignment, teacher._id, now)
+            );
+            const count = (...values) => outcomes.filter(outcome => values.includes(outcome)).length;
 
-            // Calcular estadísticas
+            // Calcular estadísticas (vencidas = sin entregar después de la fecha de entrega)
             const teacherStats = {
                 teacherId: teacher.numeroControl,
                 teacherName: `${teacher.nombre} ${teacher.apellidoPaterno || ''} ${teacher.apellidoMaterno || ''}`.trim(),
                 email: teacher.email,
                 total: teacherAssignments.length,
-                completed: teacherAssignments.filter(a => a.status === 'completed').length,
-                pending: teacherAssignments.filter(a => 
-                    a.status === 'pending' && new Date(a.dueDate) > now
-                ).length,
-                overdue: teacherAssignments.filter(a => 
-                    a.status === 'pending' && new Date(a.dueDate) <= now
-                ).length
+                completed: count('completed', 'completed-late'),
+                pending: count('pending'),
+                overdue: count('overdue', 'not-delivered')
             };
 
             console.log(`Estadísticas para ${teacherStats.teacherName}:`, teacherStats);
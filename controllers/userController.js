@@ -1,85 +1,516 @@
     import asyncHandler from 'express-async-handler';
+    import bcrypt from 'bcrypt';
+    import fs from 'fs';
+    import path from 'path';
+    import mongoose from 'mongoose';
     import User from '../models/User.js';
+    import { enqueueEmail, emailRecipient } from '../services/backgroundJobs.js';
+    import { handleFailedLogin, lockedAccountResponse } from '../services/accountLockoutService.js';
+    import { deleteUserWithData } from '../services/userDeletionService.js';
+    import { revokeAllSessions } from '../services/sessionService.js';
+    import { EMAIL_EVENTS } from '../services/unsubscribeService.js';
 
-    // @desc    Obtener el perfil del usuario
-    // @route   GET /api/users/profile
+    const USER_LIST_FIELDS = 'numeroControl nombre apellidoPaterno apellidoMaterno email carrera semestre role activo fotoPerfil createdAt';
+    const PROFILE_FIELDS = 'email numeroControl nombre apellidoPaterno apellidoMaterno carrera semestre role fotoPerfil notificationPreferences locale createdAt';
+    const PROFILE_EDITABLE_FIELDS = ['nombre', 'apellidoPaterno', 'apellidoMaterno', 'carrera', 'semestre', 'locale'];
+    const PREFERENCE_CHANNELS = ['email', 'inApp'];
+    const QUIET_HOURS_FIELDS = ['enabled', 'start', 'end'];
+    const EDITABLE_FIELDS = ['email', 'numeroControl', 'nombre', 'apellidoPaterno', 'apellidoMaterno', 'carrera', 'semestre', 'role'];
+
+    const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+    // @desc    Obtener el perfil del usuario autenticado
+    // @route   GET /api/users/me
     // @access  Private
     export const getUserProfile = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id);
-
-    if (user) {        res.json({
-          _id: user._id,
-          nombre: user.nombre,
-          email: user.email,
-          direccion: user.direccion,
-          role: user.role,
-          fotoPerfil: user.fotoPerfil,
-        });
-    } else {
-        res.status(404);
-        throw new Error('Usuario no encontrado');
-    }
+        const user = await User.findById(req.user._id)
+            .select(PROFILE_FIELDS)
+            .populate('carrera', 'nombre')
+            .lean();
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        res.json({ success: true, user });
     });
 
-    // @desc    Actualizar perfil de usuario
-    // @route   PUT /api/users/profile
+    // @desc    Actualizar el perfil propio (nombre, carrera, semestre y foto)
+    // @route   PUT /api/users/me
     // @access  Private
     export const updateUserProfile = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id);
+        // La contraseña solo se cambia verificando la actual en POST /api/users/me/password
+        if (req.body.password !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Para cambiar tu contraseña usa la opción de cambio de contraseña'
+            });
+        }
+
+        if (req.body.carrera !== undefined && !isValidId(req.body.carrera)) {
+            return res.status(400).json({ success: false, message: 'Carrera inválida' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        for (const field of PROFILE_EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                user[field] = req.body[field];
+            }
+        }
 
-    if (user) {
-        user.nombre = req.body.nombre || user.nombre;
-        user.email = req.body.email || user.email;
-        
-        // Actualizar foto de perfil si se proporciona
+        const previousPhoto = user.fotoPerfil;
         if (req.file) {
             user.fotoPerfil = req.file.filename;
         }
-        
-        // Si se proporciona una nueva contraseña
-        if (req.body.password) {
-            user.password = req.body.password;
+
+        await user.save();
+
+        // Eliminar la foto anterior una vez guardada la nueva
+        if (req.file && previousPhoto && previousPhoto !== user.fotoPerfil) {
+            fs.unlink(path.join('uploads', 'perfiles', previousPhoto), () => {});
         }
 
-        const updatedUser = await user.save();
+        const updatedUser = await User.findById(user._id)
+            .select(PROFILE_FIELDS)
+            .populate('carrera', 'nombre')
+            .lean();
 
         res.json({
-        _id: updatedUser._id,
-        nombre: updatedUser.nombre,
-        email: updatedUser.email,
-        direccion: updatedUser.direccion,
-        role: updatedUser.role,
-        token: req.headers.authorization ? req.headers.authorization.split(' ')[1] : null,
+            success: true,
+            message: 'Perfil actualizado exitosamente',
+            user: updatedUser
         });
-    } else {
-        res.status(404);
-        throw new Error('Usuario no encontrado');
-    }
     });
 
-    // @desc    Obtener todos los usuarios
-    // @route   GET /api/users
+    /**
+     * Convierte el cuerpo de la petición en rutas de notificationPreferences
+     * (p. ej. events.newAssignment.email). Las claves desconocidas son un error.
+     * @returns {object} - { updates } o { error }
+     */
+    const buildPreferenceUpdates = (body) => {
+        const updates = {};
+        const { events, emailDelivery, digestHour, quietHours, ...unknown } = body;
+
+        if (Object.keys(unknown).length > 0) {
+            return { error: `Campos no permitidos: ${Object.keys(unknown).join(', ')}` };
+        }
+
+        for (const [event, channels] of Object.entries(events || {})) {
+            if (!EMAIL_EVENTS.includes(event)) {
+                return { error: `Tipo de evento desconocido: ${event}` };
+            }
+            for (const [channel, enabled] of Object.entries(channels || {})) {
+                if (!PREFERENCE_CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+                    return { error: `Preferencia inválida: events.${event}.${channel}` };
+                }
+                updates[`notificationPreferences.events.${event}.${channel}`] = enabled;
+            }
+        }
+
+        if (emailDelivery !== undefined) {
+            updates['notificationPreferences.emailDelivery'] = emailDelivery;
+        }
+        if (digestHour !== undefined) {
+            updates['notificationPreferences.digestHour'] = digestHour;
+        }
+
+        for (const [field, value] of Object.entries(quietHours || {})) {
+            if (!QUIET_HOURS_FIELDS.includes(field)) {
+                return { error: `Preferencia inválida: quietHours.${field}` };
+            }
+            updates[`notificationPreferences.quietHours.${field}`] = value;
+        }
+
+        return { updates };
+    };
+
+    // @desc    Obtener las preferencias de notificación propias
+    // @route   GET /api/users/me/notification-preferences
+    // @access  Private
+    export const getNotificationPreferences = asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user._id).select('notificationPreferences');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        res.json({ success: true, preferences: user.notificationPreferences });
+    });
+
+    // @desc    Actualizar canales por evento, resumen diario y horas de silencio
+    // @route   PUT /api/users/me/notification-preferences
+    // @access  Private
+    export const updateNotificationPreferences = asyncHandler(async (req, res) => {
+        const { updates, error } = buildPreferenceUpdates(req.body || {});
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, message: 'No se proporcionaron preferencias para actualizar' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        for (const [field, value] of Object.entries(updates)) {
+            user.set(field, value);
+        }
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Preferencias de notificación actualizadas',
+            preferences: user.notificationPreferences
+        });
+    });
+
+    // @desc    Cambiar la contraseña propia verificando la actual
+    // @route   POST /api/users/me/password
+    // @access  Private
+    export const changePassword = asyncHandler(async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'La contraseña actual y la nueva son requeridas'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'La contraseña debe tener al menos 6 caracteres'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (user.isLocked()) {
+            return res.status(423).json(lockedAccountResponse(user));
+        }
+
+        // Un token robado no debe permitir adivinar la contraseña sin límite
+        const validPassword = await bcrypt.compare(currentPassword, user.password);
+        if (!validPassword) {
+            const lockedNow = await handleFailedLogin(user, req);
+            if (lockedNow) {
+                return res.status(423).json(lockedAccountResponse(user));
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'La contraseña actual es incorrecta'
+            });
+        }
+
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'La nueva contraseña debe ser diferente a la actual'
+            });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+        await user.resetLoginAttempts();
+
+        // Mantener solo la sesión desde la que se hizo el cambio
+        const revokedSessions = await revokeAllSessions(user._id, 'password-change', req.sessionId);
+        console.log(`🔒 Contraseña cambiada por ${user.email}; sesiones revocadas:`, revokedSessions);
+
+        await enqueueEmail('sendPasswordChangeConfirmation', user.email, emailRecipient(user));
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada exitosamente',
+            revokedSessions
+        });
+    });
+
+    // @desc    Obtener usuarios con búsqueda y paginación
+    // @route   GET /api/users?search=&carrera=&role=&activo=&page=&limit=
     // @access  Private/Admin
     export const getAllUsers = asyncHandler(async (req, res) => {
-    const users = await User.find({})
-        .select('numeroControl nombre apellidoPaterno apellidoMaterno email carrera fotoPerfil')
-        .populate('carrera', 'nombre')
-        .lean();
+        const { search, carrera, role, activo } = req.query;
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const filters = {};
+
+        if (search) {
+            const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+            filters.$or = [
+                { nombre: pattern },
+                { apellidoPaterno: pattern },
+                { apellidoMaterno: pattern },
+                { numeroControl: pattern },
+                { email: pattern }
+            ];
+        }
+
+        if (carrera && carrera !== 'all') {
+            if (!isValidId(carrera)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Carrera inválida'
+                });
+            }
+            filters.carrera = carrera;
+        }
 
-    res.json({ users });
+        if (role && role !== 'all') {
+            filters.role = role;
+        }
+
+        // Las cuentas sin el campo se consideran activas
+        if (activo === 'true') {
+            filters.activo = { $ne: false };
+        } else if (activo === 'false') {
+            filters.activo = false;
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filters)
+                .select(USER_LIST_FIELDS)
+                .populate('carrera', 'nombre')
+                .sort({ apellidoPaterno: 1, nombre: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            User.countDocuments(filters)
+        ]);
+
+        const totalPages = Math.ceil(total / limitNum);
+
+        res.json({
+            success: true,
+            users,
+            pagination: {
+                current: pageNum,
+                pages: totalPages,
+                total,
+                limit: limitNum,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
+            }
+        });
+    });
+
+    // @desc    Obtener un usuario por ID
+    // @route   GET /api/users/:id
+    // @access  Private/Admin
+    export const getUserById = asyncHandler(async (req, res) => {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'ID de usuario inválido' });
+        }
+
+        const user = await User.findById(req.params.id)
+            .select(USER_LIST_FIELDS)
+            .populate('carrera', 'nombre')
+            .lean();
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        res.json({ success: true, user });
+    });
+
+    // @desc    Actualizar datos de un usuario (sin contraseña)
+    // @route   PUT /api/users/:id
+    // @access  Private/Admin
+    export const updateUser = asyncHandler(async (req, res) => {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'ID de usuario inválido' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        const updates = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        if (updates.role && !['admin', 'docente'].includes(updates.role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rol inválido. Debe ser "admin" o "docente"'
+            });
+        }
+
+        if (updates.role && updates.role !== user.role && await User.isLastActiveAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se puede quitar el rol al último administrador'
+            });
+        }
+
+        if (updates.email) {
+            updates.email = updates.email.toLowerCase().trim();
+            if (updates.email !== user.email && await User.exists({ email: updates.email, _id: { $ne: user._id } })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Este correo electrónico ya está registrado'
+                });
+            }
+        }
+
+        if (updates.numeroControl && updates.numeroControl !== user.numeroControl
+            && await User.exists({ numeroControl: updates.numeroControl, _id: { $ne: user._id } })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Este número de control ya está registrado'
+            });
+        }
+
+        user.set(updates);
+        await user.save();
+
+        const updatedUser = await User.findById(user._id)
+            .select(USER_LIST_FIELDS)
+            .populate('carrera', 'nombre')
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Usuario actualizado exitosamente',
+            user: updatedUser
+        });
     });
 
-    // @desc    Eliminar usuario
-    // @route   DELETE /api/users/:id
+    // @desc    Activar o desactivar (baja lógica) un usuario
+    // @route   PATCH /api/users/:id/status
+    // @access  Private/Admin
+    export const setUserStatus = asyncHandler(async (req, res) => {
+        const { activo } = req.body;
+
+        if (typeof activo !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "activo" debe ser booleano'
+            });
+        }
+
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'ID de usuario inválido' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (!activo) {
+            if (user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No puedes desactivar tu propia cuenta'
+                });
+            }
+            if (await User.isLastActiveAdmin(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No se puede desactivar al último administrador'
+                });
+            }
+        }
+
+        user.activo = activo;
+        user.deactivatedAt = activo ? null : new Date();
+        user.deactivatedBy = activo ? null : req.user._id;
+        await user.save();
+
+        // Una cuenta desactivada pierde todas sus sesiones de inmediato
+        let revokedSessions = 0;
+        if (!activo) {
+            revokedSessions = await revokeAllSessions(user._id, 'user-deactivated');
+        }
+
+        console.log(`👤 Usuario ${user.email} ${activo ? 'activado' : 'desactivado'} por ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: activo ? 'Usuario activado' : 'Usuario desactivado',
+            revokedSessions,
+            user: {
+                _id: user._id,
+                email: user.email,
+                activo: user.activo,
+                deactivatedAt: user.deactivatedAt
+            }
+        });
+    });
+
+    // @desc    Eliminar usuario reasignando o archivando sus entregas y registros diarios
+    // @route   DELETE /api/users/:id?reassignTo=<userId>
     // @access  Private/Admin
     export const deleteUser = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.params.id);
-
-    if (user) {
-        await user.deleteOne(); // En versiones recientes de Mongoose, remove() está obsoleto
-        res.json({ message: 'Usuario eliminado' });
-    } else {
-        res.status(404);
-        throw new Error('Usuario no encontrado');
-    }
-    });
\ No newline at end of file
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'ID de usuario inválido' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'No puedes eliminar tu propia cuenta'
+            });
+        }
+
+        if (await User.isLastActiveAdmin(user)) {
+            return res.status(400).json({
+                success: false,
+                message: 'No se puede eliminar al último administrador'
+            });
+        }
+
+        const reassignToId = req.query.reassignTo || req.body?.reassignTo;
+        let reassignTo = null;
+
+        if (reassignToId) {
+            if (!isValidId(reassignToId) || user._id.equals(reassignToId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Usuario destino inválido'
+                });
+            }
+            reassignTo = await User.findById(reassignToId);
+            if (!reassignTo || reassignTo.activo === false) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario destino no existe o está desactivado'
+                });
+            }
+        }
+
+        const { archiveId, summary } = await deleteUserWithData(user, { reassignTo, actor: req.user });
+
+        res.json({
+            success: true,
+            message: reassignTo
+                ? 'Usuario eliminado; sus datos se reasignaron'
+                : 'Usuario eliminado; sus datos se archivaron',
+            archiveId,
+            summary
+        });
+    });
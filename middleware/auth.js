@@ -1,14 +1,17 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { verifyAccessToken } from '../config/jwt.js';
 
+/**
+ * Middleware único de autenticación.
+ * Verifica el token de acceso, comprueba que su sesión siga activa
+ * y carga el usuario completo en req.user (y el ID de sesión en req.sessionId).
+ */
 export const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    
-    console.log('🔍 Auth Header:', authHeader ? 'Presente' : 'Ausente');
-    
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('❌ No hay token de autorización válido');
       return res.status(401).json({
         success: false,
         message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
@@ -16,45 +19,40 @@ export const verifyToken = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    console.log('🔑 Token encontrado:', token ? 'Sí' : 'No');
-    
-    // Verificar el JWT_SECRET
-    const jwtSecret = process.env.JWT_SECRET || 'tu_secreto_muy_seguro_123';
-    console.log('🔐 JWT Secret configurado:', jwtSecret ? 'Sí' : 'No');
-    
-    const decoded = jwt.verify(token, jwtSecret);
-    console.log('✅ Token decodificado:', decoded);
-    
+    const decoded = verifyAccessToken(token);
+
+    // Una sesión revocada invalida sus tokens de acceso aunque no hayan expirado
+    const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
+      });
+    }
+
     // Obtener el usuario completo de la base de datos
     const user = await User.findById(decoded.id).select('-password');
-    if (!user) {
-      console.log('❌ Usuario no encontrado en BD');
+    if (!user || user.activo === false) {
+      console.log('❌ Usuario del token no encontrado en BD');
       return res.status(401).json({
         success: false,
         message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
       });
     }
 
-    console.log('👤 Usuario autenticado:', user.email, 'Role:', user.role);
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('❌ Error de autenticación:', error.message);
-    
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Sesión inválida. Por favor, inicia sesión nuevamente.'
       });
     }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
-      });
-    }
-    
+
     return res.status(401).json({
       success: false,
       message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
@@ -62,17 +60,23 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
-export const isAdmin = async (req, res, next) => {
-  try {
-    if (req.user && req.user.role === 'admin') {
-      next();
-    } else {
-      res.status(403).json({ message: 'Acceso denegado: se requieren permisos de administrador' });
+/**
+ * Restringe una ruta a los roles indicados. Debe usarse después de verifyToken.
+ * @param {...string} roles - Roles permitidos ('admin', 'docente')
+ */
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Acceso denegado: se requiere rol ${roles.join('/')}`
+      });
     }
-  } catch (error) {
-    res.status(500).json({ message: 'Error al verificar permisos' });
-  }
+    next();
+  };
 };
 
+export const isAdmin = requireRole('admin');
+
 // Alias para compatibilidad
 export const auth = verifyToken;
@@ -8,7 +8,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // Usar el número de control como parte del nombre del archivo
-    const numeroControl = req.body.numeroControl || 'temp';
+    const numeroControl = req.body.numeroControl || req.user?.numeroControl || 'temp';
     const uniqueSuffix = Date.now();
     cb(null, `${numeroControl}_${uniqueSuffix}${path.extname(file.originalname)}`);
   }
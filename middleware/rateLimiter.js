@@ -0,0 +1,132 @@
+import rateLimit from 'express-rate-limit';
+import jwt from 'jsonwebtoken';
+import { getJwtSecret } from '../config/jwt.js';
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Crea un limitador con la respuesta JSON estándar de la API
+ * @param {object} options - windowMs, limit, message y keyGenerator opcional
+ */
+const createLimiter = ({ windowMs, limit, message, keyGenerator, skipSuccessfulRequests = false }) => {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests,
+    // Las solicitudes sin identificador de cuenta solo cuentan para el límite por IP
+    skip: keyGenerator ? (req) => !keyGenerator(req) : undefined,
+    keyGenerator,
+    handler: (req, res, next, options) => {
+      console.warn(`⛔ Límite de solicitudes alcanzado en ${req.method} ${req.originalUrl} (IP: ${req.ip})`);
+      res.status(options.statusCode).json({
+        success: false,
+        message,
+        code: 'RATE_LIMITED'
+      });
+    }
+  });
+};
+
+// Claves por cuenta
+const emailKey = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' && email ? `email:${email.trim().toLowerCase()}` : null;
+};
+
+// Solo un token con firma válida identifica la cuenta; uno falso o caducado cuenta por IP
+// (si no, cualquiera podría agotar el límite de otra cuenta con un token fabricado)
+const resetTokenKey = (req) => {
+  if (typeof req.body?.token !== 'string') {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(req.body.token, getJwtSecret());
+    if (decoded?.id) {
+      return `reset:${decoded.id}`;
+    }
+  } catch (error) {
+    // Token inválido: se limita por IP
+  }
+  return `reset-ip:${req.ip}`;
+};
+
+const credentialKey = (req) => {
+  const credentialId = req.body?.response?.id;
+  return typeof credentialId === 'string' && credentialId ? `credential:${credentialId}` : null;
+};
+
+// ========== LOGIN ==========
+
+export const loginIpLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 20,
+  message: 'Demasiados intentos de inicio de sesión desde esta red. Inténtalo de nuevo en 15 minutos.'
+});
+
+export const loginAccountLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  keyGenerator: emailKey,
+  skipSuccessfulRequests: true,
+  message: 'Demasiados intentos de inicio de sesión para esta cuenta. Inténtalo de nuevo en 15 minutos.'
+});
+
+// ========== RECUPERACIÓN DE CONTRASEÑA ==========
+
+export const forgotPasswordIpLimiter = createLimiter({
+  windowMs: ONE_HOUR,
+  limit: 10,
+  message: 'Demasiadas solicitudes de recuperación. Inténtalo de nuevo más tarde.'
+});
+
+export const forgotPasswordAccountLimiter = createLimiter({
+  windowMs: ONE_HOUR,
+  limit: 3,
+  keyGenerator: emailKey,
+  message: 'Ya se enviaron varios correos de recuperación a esta cuenta. Revisa tu bandeja o inténtalo más tarde.'
+});
+
+export const resetPasswordIpLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  message: 'Demasiados intentos de restablecimiento. Inténtalo de nuevo en 15 minutos.'
+});
+
+export const resetPasswordAccountLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 5,
+  keyGenerator: resetTokenKey,
+  message: 'Demasiados intentos de restablecimiento para esta cuenta. Inténtalo de nuevo en 15 minutos.'
+});
+
+// ========== LOGIN BIOMÉTRICO ==========
+
+export const quickLoginIpLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 30,
+  message: 'Demasiados intentos de inicio de sesión biométrico. Inténtalo de nuevo en 15 minutos.'
+});
+
+export const quickLoginAccountLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  keyGenerator: (req) => credentialKey(req) || emailKey(req),
+  skipSuccessfulRequests: true,
+  message: 'Demasiados intentos de inicio de sesión biométrico para esta cuenta. Inténtalo de nuevo en 15 minutos.'
+});
+
+// ========== INVITACIONES ==========
+
+export const invitationIpLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 20,
+  message: 'Demasiados intentos con enlaces de invitación. Inténtalo de nuevo en 15 minutos.'
+});
+
+export const loginLimiters = [loginIpLimiter, loginAccountLimiter];
+export const forgotPasswordLimiters = [forgotPasswordIpLimiter, forgotPasswordAccountLimiter];
+export const resetPasswordLimiters = [resetPasswordIpLimiter, resetPasswordAccountLimiter];
+export const quickLoginLimiters = [quickLoginIpLimiter, quickLoginAccountLimiter];
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migración 1: normalizar los datos biométricos en authenticators[]
+ *
+ * Los usuarios registrados con la implementación anterior guardaban la credencial
+ * principal en biometric_public_key / biometric_credential_id / biometric_counter
+ * además de (o en lugar de) authenticators[]. Esta migración:
+ * - Copia la credencial heredada a authenticators[] si aún no existe ahí
+ * - Conserva el contador más alto cuando la credencial ya estaba duplicada
+ * - Convierte biometric_enabled=false con dispositivos en biometric_paused=true
+ * - Elimina los campos heredados (biometric_enabled pasa a ser derivado)
+ */
+const LEGACY_FIELDS = [
+  'biometric_enabled',
+  'biometric_public_key',
+  'biometric_credential_id',
+  'biometric_counter',
+  'biometric_registered_at',
+  'biometricEnabled'
+];
+
+export default {
+  version: 1,
+  name: 'normalize-biometric-fields',
+
+  async up() {
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find({
+      $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } }))
+    });
+
+    let migrated = 0;
+
+    for await (const doc of cursor) {
+      const authenticators = Array.isArray(doc.authenticators) ? doc.authenticators : [];
+
+      if (doc.biometric_credential_id && doc.biometric_public_key) {
+        const existing = authenticators.find(auth => auth.credentialID === doc.biometric_credential_id);
+
+        if (existing) {
+          existing.counter = Math.max(existing.counter || 0, doc.biometric_counter || 0);
+        } else {
+          const registeredAt = doc.biometric_registered_at || new Date();
+          authenticators.unshift({
+            _id: new mongoose.Types.ObjectId(),
+            credentialID: doc.biometric_credential_id,
+            publicKey: doc.biometric_public_key,
+            counter: doc.biometric_counter || 0,
+            transports: ['internal'],
+            deviceName: 'Dispositivo Biométrico',
+            registeredAt,
+            lastUsed: registeredAt
+          });
+        }
+      }
+
+      const unset = {};
+      LEGACY_FIELDS.forEach(field => {
+        unset[field] = '';
+      });
+
+      await users.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            authenticators,
+            biometric_paused: authenticators.length > 0 && doc.biometric_enabled === false
+          },
+          $unset: unset
+        }
+      );
+      migrated++;
+    }
+
+    return { migrated };
+  }
+};
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migración 2: remindersOptOut pasa a notificationPreferences
+ *
+ * Los docentes que desactivaron los recordatorios conservan esa decisión como
+ * notificationPreferences.events.deadlineApproaching.email = false.
+ * El campo remindersOptOut se elimina de todos los usuarios.
+ */
+export default {
+  version: 2,
+  name: 'reminders-opt-out-to-preferences',
+
+  async up() {
+    const users = mongoose.connection.collection('users');
+
+    const optedOut = await users.updateMany(
+      { remindersOptOut: true },
+      { $set: { 'notificationPreferences.events.deadlineApproaching.email': false } }
+    );
+
+    const cleaned = await users.updateMany(
+      { remindersOptOut: { $exists: true } },
+      { $unset: { remindersOptOut: '' } }
+    );
+
+    return { optedOut: optedOut.modifiedCount, cleaned: cleaned.modifiedCount };
+  }
+};
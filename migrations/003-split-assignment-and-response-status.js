@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Estados de asignación que en realidad describían la entrega de los docentes
+const LEGACY_OUTCOMES = {
+  completed: { status: 'submitted', submissionStatus: 'on-time' },
+  'completed-late': { status: 'submitted', submissionStatus: 'late' },
+  'not-delivered': { status: 'not-delivered', submissionStatus: null }
+};
+
+/**
+ * Migración 3: ciclo de vida de la asignación separado del estado de cada docente
+ *
+ * - Asignaciones en 'pending' (o sin estado) pasan a 'active'.
+ * - Asignaciones en 'completed', 'completed-late' o 'not-delivered' pasan a 'active' y
+ *   ese resultado se guarda como entrega de cada docente asignado que aún no tenía una.
+ * - Entregas marcadas como no entregadas con el esquema anterior (submissionStatus 'closed'
+ *   o 'reviewed' sin fecha de entrega) pasan a responses.status = 'not-delivered'.
+ */
+export default {
+  version: 3,
+  name: 'split-assignment-and-response-status',
+
+  async up() {
+    const assignments = mongoose.connection.collection('assignments');
+    const now = new Date();
+
+    const activated = await assignments.updateMany(
+      { $or: [{ status: 'pending' }, { status: { $exists: false } }] },
+      { $set: { status: 'active' } }
+    );
+
+    let outcomesMoved = 0;
+    const legacy = assignments.find({ status: { $in: Object.keys(LEGACY_OUTCOMES) } });
+
+    for await (const assignment of legacy) {
+      const outcome = LEGACY_OUTCOMES[assignment.status];
+      const answered = new Set((assignment.responses || []).map(r => r.user?.toString()));
+      const delivered = outcome.status === 'submitted';
+
+      const responses = (assignment.assignedTo || [])
+        .filter(teacherId => !answered.has(teacherId.toString()))
+        .map(teacherId => ({
+          _id: new mongoose.Types.ObjectId(),
+          user: teacherId,
+          files: [],
+          submittedAt: delivered ? (assignment.completedAt || assignment.updatedAt || now) : null,
+          submissionStatus: outcome.submissionStatus,
+          status: outcome.status,
+          statusChangedAt: now
+        }));
+
+      await assignments.updateOne(
+        { _id: assignment._id },
+        {
+          $set: { status: 'active' },
+          $push: { responses: { $each: responses } }
+        }
+      );
+      outcomesMoved += responses.length;
+    }
+
+    const closed = await assignments.updateMany(
+      { 'responses.submissionStatus': 'closed' },
+      { $set: { 'responses.$[r].status': 'not-delivered', 'responses.$[r].submissionStatus': null } },
+      { arrayFilters: [{ 'r.submissionStatus': 'closed' }] }
+    );
+
+    const reviewedWithoutSubmission = await assignments.updateMany(
+      { responses: { $elemMatch: { status: 'reviewed', submittedAt: null } } },
+      { $set: { 'responses.$[r].status': 'not-delivered', 'responses.$[r].submissionStatus': null } },
+      { arrayFilters: [{ 'r.status': 'reviewed', 'r.submittedAt': null }] }
+    );
+
+    return {
+      activated: activated.modifiedCount,
+      outcomesMoved,
+      notDeliveredResponses: closed.modifiedCount + reviewedWithoutSubmission.modifiedCount
+    };
+  }
+};
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migración 4: historial de versiones de las entregas
+ *
+ * Cada entrega con fecha de envío y sin versiones recibe la versión 1 con sus archivos,
+ * submittedAt y submissionStatus actuales. Los envíos que ya se habían sobrescrito no
+ * se pueden recuperar.
+ */
+export default {
+  version: 4,
+  name: 'response-submission-versions',
+
+  async up() {
+    const assignments = mongoose.connection.collection('assignments');
+    let versionsCreated = 0;
+
+    const pending = assignments.find({
+      responses: { $elemMatch: { submittedAt: { $ne: null }, 'versions.0': { $exists: false } } }
+    });
+
+    for await (const assignment of pending) {
+      const responses = (assignment.responses || []).map(response => {
+        if (!response.submittedAt || response.versions?.length) {
+          return response;
+        }
+        versionsCreated++;
+        return {
+          ...response,
+          versions: [{
+            _id: new mongoose.Types.ObjectId(),
+            version: 1,
+            files: response.files || [],
+            submissionStatus: response.submissionStatus || null,
+            submittedAt: response.submittedAt,
+            submittedBy: response.user
+          }]
+        };
+      });
+
+      await assignments.updateOne({ _id: assignment._id }, { $set: { responses } });
+    }
+
+    return { versionsCreated };
+  }
+};
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migración 5: elimina los correos de recuperación que se encolaron antes de enviarse
+ * en línea. Su payload guarda el token de recuperación en claro y los trabajos
+ * completados o fallidos se conservan días (o indefinidamente).
+ */
+export default {
+  version: 5,
+  name: 'purge-queued-password-reset-tokens',
+
+  async up() {
+    const result = await mongoose.connection.collection('jobs').deleteMany({
+      type: 'email',
+      'payload.method': 'sendPasswordResetEmail'
+    });
+
+    return { jobsDeleted: result.deletedCount };
+  }
+};
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migración 6: índice único parcial en jobs.uniqueKey para los trabajos pendientes.
+ * Antes de crearlo se eliminan los duplicados pendientes (se conserva el más antiguo)
+ * y el índice anterior { uniqueKey, status }, que no era único.
+ */
+export default {
+  version: 6,
+  name: 'unique-pending-job-key',
+
+  async up() {
+    const jobs = mongoose.connection.collection('jobs');
+
+    const duplicates = await jobs.aggregate([
+      { $match: { status: 'pending', uniqueKey: { $type: 'string' } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: '$uniqueKey', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+
+    const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+    const removed = extraIds.length > 0
+      ? await jobs.deleteMany({ _id: { $in: extraIds } })
+      : { deletedCount: 0 };
+
+    // Sin la colección todavía no hay índices que quitar
+    const indexes = await jobs.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'uniqueKey_1_status_1')) {
+      await jobs.dropIndex('uniqueKey_1_status_1');
+    }
+
+    // Mismo nombre y opciones que el índice declarado en el modelo Job
+    await jobs.createIndex(
+      { uniqueKey: 1 },
+      { unique: true, partialFilterExpression: { status: 'pending', uniqueKey: { $type: 'string' } } }
+    );
+
+    return { duplicatesRemoved: removed.deletedCount };
+  }
+};
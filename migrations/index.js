@@ -0,0 +1,77 @@
+import os from 'os';
+import Migration from '../models/Migration.js';
+import JobLock from '../models/JobLock.js';
+import normalizeBiometricFields from './001-normalize-biometric-fields.js';
+import remindersOptOutToPreferences from './002-reminders-opt-out-to-preferences.js';
+import splitAssignmentAndResponseStatus from './003-split-assignment-and-response-status.js';
+import responseSubmissionVersions from './004-response-submission-versions.js';
+import purgeQueuedPasswordResetTokens from './005-purge-queued-password-reset-tokens.js';
+import uniquePendingJobKey from './006-unique-pending-job-key.js';
+
+// Migraciones en orden de versión. Agregar las nuevas al final.
+const migrations = [
+  normalizeBiometricFields,
+  remindersOptOutToPreferences,
+  splitAssignmentAndResponseStatus,
+  responseSubmissionVersions,
+  purgeQueuedPasswordResetTokens,
+  uniquePendingJobKey
+];
+
+const LOCK_NAME = 'migrations';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_RETRY_MS = 2000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const applyPending = async () => {
+  const applied = await Migration.find().select('version').lean();
+  const appliedVersions = new Set(applied.map(m => m.version));
+
+  const pending = migrations
+    .filter(m => !appliedVersions.has(m.version))
+    .sort((a, b) => a.version - b.version);
+
+  if (pending.length === 0) {
+    console.log('ℹ️ No hay migraciones pendientes');
+    return [];
+  }
+
+  const results = [];
+
+  for (const migration of pending) {
+    console.log(`🔄 Ejecutando migración ${migration.version}: ${migration.name}`);
+    const result = await migration.up();
+    await Migration.create({ version: migration.version, name: migration.name });
+    console.log(`✅ Migración ${migration.version} aplicada:`, result);
+    results.push({ version: migration.version, name: migration.name, result });
+  }
+
+  return results;
+};
+
+/**
+ * Ejecuta las migraciones pendientes en orden y registra cada una al terminar.
+ * Es idempotente: las versiones ya registradas se omiten. Un candado compartido evita
+ * que varias instancias que arrancan a la vez ejecuten la misma migración; las demás
+ * esperan a que termine y después no encuentran nada pendiente.
+ */
+export const runMigrations = async () => {
+  while (!(await JobLock.acquire(LOCK_NAME, INSTANCE_ID, LOCK_TTL_MS))) {
+    console.log('⏳ Otra instancia está aplicando migraciones; esperando...');
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  let results = [];
+  try {
+    results = await applyPending();
+    return results;
+  } finally {
+    await JobLock.release(LOCK_NAME, INSTANCE_ID, { applied: results.map(r => r.version) }).catch(error => {
+      console.error('❌ Error liberando el candado de migraciones:', error);
+    });
+  }
+};
+
+export default runMigrations;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Datos archivados al eliminar un usuario
+ * - user: ID que tenía el usuario eliminado
+ * - userSnapshot: datos de identificación del usuario en el momento de eliminarlo
+ * - responses: entregas que no se reasignaron, con la asignación a la que pertenecían
+ * - dailyRecords: registros diarios que no se reasignaron (copia completa)
+ * - extensions: prórrogas que se le habían concedido, con la asignación a la que pertenecían
+ * - reassignedTo: usuario que recibió los datos reasignables (null si todo se archivó)
+ * - archivedBy: administrador que eliminó la cuenta
+ */
+const archivedUserDataSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  userSnapshot: {
+    email: String,
+    numeroControl: String,
+    nombre: String,
+    apellidoPaterno: String,
+    apellidoMaterno: String,
+    carrera: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Carrera'
+    },
+    role: String
+  },
+  responses: [{
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assignment'
+    },
+    assignmentTitle: String,
+    response: mongoose.Schema.Types.Mixed
+  }],
+  dailyRecords: [mongoose.Schema.Types.Mixed],
+  extensions: [{
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assignment'
+    },
+    assignmentTitle: String,
+    extension: mongoose.Schema.Types.Mixed
+  }],
+  reassignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ArchivedUserData = mongoose.model('ArchivedUserData', archivedUserDataSchema);
+
+export default ArchivedUserData;
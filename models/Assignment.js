@@ -1,5 +1,149 @@
 import mongoose from 'mongoose';
 
+/**
+ * Ciclo de vida de la asignación (campo `status`), independiente de las entregas:
+ * scheduled → active (publicada) → cancelled. Si la publicación falla queda en
+ * publication_error, desde donde puede reprogramarse, publicarse o cancelarse.
+ */
+export const ASSIGNMENT_STATUSES = ['scheduled', 'active', 'cancelled', 'publication_error'];
+
+const ASSIGNMENT_TRANSITIONS = {
+    scheduled: ['active', 'cancelled'],
+    // La publicación marca la asignación como activa antes de notificar; si falla, pasa a error
+    active: ['cancelled', 'publication_error'],
+    publication_error: ['scheduled', 'active', 'cancelled'],
+    cancelled: []
+};
+
+/**
+ * Estado de la entrega de cada docente (campo `responses[].status`):
+ * - pending: sin entrega (p. ej. un administrador la reabrió)
+ * - submitted: entregada; submissionStatus indica si fue a tiempo o con retraso
+ * - reviewed: revisada por un administrador
+ * - not-delivered: marcada como no entregada por un administrador
+ */
+export const RESPONSE_STATUSES = ['pending', 'submitted', 'reviewed', 'not-delivered'];
+
+const RESPONSE_TRANSITIONS = {
+    pending: ['submitted', 'not-delivered'],
+    submitted: ['submitted', 'reviewed', 'not-delivered', 'pending'],
+    reviewed: ['pending', 'not-delivered'],
+    'not-delivered': ['pending', 'submitted']
+};
+
+// Estados que cierran la entrega del docente (ya no está pendiente)
+const RESOLVED_RESPONSE_STATUSES = ['submitted', 'reviewed', 'not-delivered'];
+
+/**
+ * Resultado de un docente en una asignación activa, derivado de su entrega y de las fechas.
+ * Es el valor de los filtros de estado de listados y estadísticas.
+ */
+export const TEACHER_OUTCOMES = ['pending', 'overdue', 'completed', 'completed-late', 'not-delivered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error con código HTTP para que el controlador lo devuelva tal cual
+const stateError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Decisiones de revisión de una entrega:
+ * - accepted: entrega aceptada
+ * - rejected: rechazada con motivos; el docente debe volver a entregarla
+ * - graded: calificada (calificación o rúbrica)
+ */
+export const REVIEW_DECISIONS = ['accepted', 'rejected', 'graded'];
+
+// Cada entrega del docente se guarda como versión inmutable; la última es la vigente
+const submissionVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    files: [{
+        fileName: String,
+        fileUrl: String,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    submissionStatus: {
+        type: String,
+        enum: ['on-time', 'late', null],
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        required: true
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+// Revisión de una entrega por un administrador; se conservan todas en orden
+const reviewSchema = new mongoose.Schema({
+    decision: {
+        type: String,
+        enum: REVIEW_DECISIONS,
+        required: true
+    },
+    reasons: [{
+        type: String,
+        trim: true
+    }],
+    comments: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    score: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    rubric: [{
+        criterion: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        score: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        maxScore: {
+            type: Number,
+            min: 0
+        },
+        comment: {
+            type: String,
+            trim: true
+        }
+    }],
+    // Versión y fecha de la entrega revisada (el docente puede reenviar tras un rechazo)
+    version: {
+        type: Number,
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reviewedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const assignmentSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -37,8 +181,8 @@ const assignmentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'completed', 'completed-late', 'not-delivered', 'scheduled', 'active', 'cancelled', 'publication_error'],
-        default: 'pending'
+        enum: ASSIGNMENT_STATUSES,
+        default: 'active'
     },
     // Campos para asignaciones programadas
     scheduledPublish: {
@@ -99,6 +243,35 @@ const assignmentSchema = new mongoose.Schema({
         ref: 'Assignment',
         default: null
     },
+    // Prórrogas individuales: sustituyen dueDate y closeDate para ese docente
+    extensions: [{
+        teacher: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        dueDate: {
+            type: Date,
+            required: true
+        },
+        closeDate: {
+            type: Date,
+            required: true
+        },
+        reason: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        grantedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        grantedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     responses: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
@@ -114,19 +287,550 @@ const assignmentSchema = new mongoose.Schema({
         }],
         submittedAt: {
             type: Date,
-            default: Date.now
+            default: null
         },
         submissionStatus: {
             type: String,
-            enum: ['on-time', 'late', 'closed'],
-            default: 'on-time'
+            enum: ['on-time', 'late', null],
+            default: null
         },
         status: {
             type: String,
-            enum: ['submitted', 'reviewed'],
-            default: 'submitted'
-        }
+            enum: RESPONSE_STATUSES,
+            default: 'pending'
+        },
+        statusChangedAt: {
+            type: Date
+        },
+        statusChangedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // files, submittedAt y submissionStatus reflejan la última versión
+        versions: [submissionVersionSchema],
+        reviews: [reviewSchema]
     }]
 });
 
+const canTransition = (transitions, from, to) => from === to || (transitions[from] || []).includes(to);
+
+const sameUser = (user, teacherId) => (user?._id ?? user)?.toString() === teacherId.toString();
+
+// Guarda los estados leídos de la base de datos para validar las transiciones al guardar
+const snapshotStates = (doc) => {
+    doc.$locals.persistedStatus = doc.status;
+    doc.$locals.persistedResponses = new Map(
+        (doc.responses || []).map(response => [response._id.toString(), {
+            status: response.status,
+            versions: (response.versions || []).map(version => JSON.stringify(version))
+        }])
+    );
+};
+
+assignmentSchema.post('init', function() {
+    snapshotStates(this);
+});
+
+assignmentSchema.post('save', function() {
+    snapshotStates(this);
+});
+
+// Ningún cambio de estado se guarda si no está permitido, aunque se asigne el campo directamente
+assignmentSchema.pre('validate', function(next) {
+    if (this.isNew) {
+        if (!['scheduled', 'active'].includes(this.status)) {
+            this.invalidate('status', `Una asignación nueva no puede crearse en estado "${this.status}"`);
+        }
+    } else if (this.isModified('status')) {
+        const from = this.$locals.persistedStatus;
+        if (from && !canTransition(ASSIGNMENT_TRANSITIONS, from, this.status)) {
+            this.invalidate('status', `Transición de asignación no permitida: "${from}" → "${this.status}"`);
+        }
+    }
+
+    const persisted = this.$locals.persistedResponses || new Map();
+    this.responses.forEach((response, index) => {
+        const snapshot = persisted.get(response._id.toString());
+        const from = snapshot?.status || 'pending';
+        if (!canTransition(RESPONSE_TRANSITIONS, from, response.status)) {
+            this.invalidate(
+                `responses.${index}.status`,
+                `Transición de entrega no permitida: "${from}" → "${response.status}"`
+            );
+        }
+
+        // Las versiones guardadas no se modifican ni se eliminan; solo se agregan nuevas
+        const versions = response.versions || [];
+        const changed = (snapshot?.versions || [])
+            .some((version, position) => !versions[position] || JSON.stringify(versions[position]) !== version);
+        if (changed) {
+            this.invalidate(`responses.${index}.versions`, 'Las versiones anteriores de una entrega no se pueden modificar');
+        }
+    });
+
+    next();
+});
+
+/**
+ * Cambia el ciclo de vida de la asignación
+ * @throws {Error} - status 400 si el estado no existe, 409 si la transición no está permitida
+ */
+assignmentSchema.methods.transitionTo = function(status) {
+    if (!ASSIGNMENT_STATUSES.includes(status)) {
+        throw stateError(400, `Estado de asignación inválido. Estados permitidos: ${ASSIGNMENT_STATUSES.join(', ')}`);
+    }
+    if (!canTransition(ASSIGNMENT_TRANSITIONS, this.status, status)) {
+        throw stateError(409, `No se puede cambiar la asignación de "${this.status}" a "${status}"`);
+    }
+    this.status = status;
+    return this;
+};
+
+assignmentSchema.methods.getResponse = function(teacherId) {
+    return this.responses.find(response => sameUser(response.user, teacherId));
+};
+
+/**
+ * Cambia el estado de la entrega de un docente (la crea si no existe)
+ * @param {object} changes - { submissionStatus, submittedAt, files, changedBy, at }
+ * @throws {Error} - status 409 si la asignación no está activa o la transición no está permitida
+ */
+assignmentSchema.methods.setResponseStatus = function(teacherId, status, changes = {}) {
+    const { changedBy = null, at = new Date(), ...fields } = changes;
+
+    if (this.status !== 'active') {
+        throw stateError(409, 'Solo se pueden modificar entregas de asignaciones activas');
+    }
+    if (!this.assignedTo.some(id => sameUser(id, teacherId))) {
+        throw stateError(400, 'El docente no está asignado a esta asignación');
+    }
+    if (!RESPONSE_STATUSES.includes(status)) {
+        throw stateError(400, `Estado de entrega inválido. Estados permitidos: ${RESPONSE_STATUSES.join(', ')}`);
+    }
+
+    let response = this.getResponse(teacherId);
+    const from = response?.status || 'pending';
+    if (!canTransition(RESPONSE_TRANSITIONS, from, status)) {
+        throw stateError(409, `No se puede cambiar la entrega de "${from}" a "${status}"`);
+    }
+
+    if (!response) {
+        this.responses.push({ user: teacherId, files: [] });
+        response = this.responses[this.responses.length - 1];
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+            response[field] = value;
+        }
+    }
+    response.status = status;
+    response.statusChangedAt = at;
+    response.statusChangedBy = changedBy;
+
+    return response;
+};
+
+/**
+ * Registra una entrega del docente como nueva versión; la entrega vigente (files,
+ * submittedAt, submissionStatus) pasa a ser la de esta versión
+ * @param {object} submission - { files: [{ fileName, fileUrl }], submissionStatus, submittedAt, submittedBy }
+ * @returns {object} - Versión registrada
+ */
+assignmentSchema.methods.submitVersion = function(teacherId, submission = {}) {
+    const { files = [], submissionStatus = null, submittedAt = new Date(), submittedBy = teacherId } = submission;
+    const versionFiles = files.map(({ fileName, fileUrl }) => ({ fileName, fileUrl, uploadedAt: submittedAt }));
+
+    const response = this.setResponseStatus(teacherId, 'submitted', {
+        files: versionFiles,
+        submissionStatus,
+        submittedAt,
+        changedBy: submittedBy,
+        at: submittedAt
+    });
+
+    response.versions.push({
+        version: response.versions.length + 1,
+        files: versionFiles,
+        submissionStatus,
+        submittedAt,
+        submittedBy
+    });
+
+    return response.versions[response.versions.length - 1];
+};
+
+/**
+ * Concede (o reemplaza) la prórroga de un docente. Sin closeDate, el cierre es el más
+ * tardío entre el de la asignación y la nueva fecha de entrega. Si el docente estaba
+ * marcado como no entregado, su entrega vuelve a quedar pendiente.
+ * @param {object} extension - { dueDate, closeDate, reason, grantedBy, at }
+ * @returns {object} - Prórroga registrada
+ * @throws {Error} - status 400 si los datos no son válidos, 409 si la asignación no admite prórrogas
+ */
+assignmentSchema.methods.grantExtension = function(teacherId, extension = {}) {
+    const { reason, grantedBy = null, at = new Date() } = extension;
+
+    if (!['scheduled', 'active'].includes(this.status)) {
+        throw stateError(409, 'Solo se conceden prórrogas en asignaciones programadas o activas');
+    }
+    if (!this.assignedTo.some(id => sameUser(id, teacherId))) {
+        throw stateError(400, 'El docente no está asignado a esta asignación');
+    }
+    if (!reason || !String(reason).trim()) {
+        throw stateError(400, 'Indica el motivo de la prórroga');
+    }
+
+    const dueDate = new Date(extension.dueDate);
+    if (!extension.dueDate || isNaN(dueDate)) {
+        throw stateError(400, 'La nueva fecha de entrega no es válida');
+    }
+    const closeDate = extension.closeDate
+        ? new Date(extension.closeDate)
+        : new Date(Math.max(dueDate.getTime(), new Date(this.closeDate).getTime()));
+    if (isNaN(closeDate)) {
+        throw stateError(400, 'La nueva fecha de cierre no es válida');
+    }
+    if (dueDate <= new Date(this.dueDate) && closeDate <= new Date(this.closeDate)) {
+        throw stateError(400, 'La prórroga debe ampliar la fecha de entrega o la de cierre de la asignación');
+    }
+    if (closeDate < dueDate) {
+        throw stateError(400, 'La fecha de cierre no puede ser anterior a la fecha de entrega');
+    }
+    if (closeDate <= at) {
+        throw stateError(400, 'La nueva fecha de cierre ya pasó');
+    }
+
+    this.extensions = this.extensions.filter(item => !sameUser(item.teacher, teacherId));
+    this.extensions.push({
+        teacher: teacherId,
+        dueDate,
+        closeDate,
+        reason: String(reason).trim(),
+        grantedBy,
+        grantedAt: at
+    });
+
+    if (this.status === 'active' && this.getResponse(teacherId)?.status === 'not-delivered') {
+        this.setResponseStatus(teacherId, 'pending', { submissionStatus: null, changedBy: grantedBy, at });
+    }
+
+    return this.extensions[this.extensions.length - 1];
+};
+
+/**
+ * Fija el resultado de un docente desde la administración ('completed', 'completed-late',
+ * 'not-delivered' o 'pending') con la transición de entrega correspondiente
+ */
+assignmentSchema.methods.setTeacherOutcome = function(teacherId, outcome, { changedBy = null, at = new Date() } = {}) {
+    const current = this.getResponse(teacherId);
+
+    switch (outcome) {
+        case 'completed':
+        case 'completed-late': {
+            // Una entrega ya revisada conserva la revisión; solo se corrige si fue a tiempo o tarde
+            const delivered = ['submitted', 'reviewed'].includes(current?.status);
+            return this.setResponseStatus(teacherId, current?.status === 'reviewed' ? 'reviewed' : 'submitted', {
+                submissionStatus: outcome === 'completed' ? 'on-time' : 'late',
+                submittedAt: delivered ? current.submittedAt : at,
+                changedBy,
+                at
+            });
+        }
+        case 'not-delivered':
+        case 'pending':
+            return this.setResponseStatus(teacherId, outcome, { submissionStatus: null, changedBy, at });
+        default:
+            throw stateError(400, 'Estado no válido. Estados permitidos: completed, completed-late, not-delivered, pending');
+    }
+};
+
+/**
+ * Marca como completadas las entregas aún pendientes de todos los docentes asignados
+ * @returns {string[]} - IDs de los docentes cuya entrega cambió
+ */
+assignmentSchema.methods.completePendingResponses = function({ changedBy = null, at = new Date() } = {}) {
+    const changed = [];
+    for (const teacherId of this.assignedTo) {
+        const id = (teacherId._id ?? teacherId).toString();
+        if (!RESOLVED_RESPONSE_STATUSES.includes(this.getResponse(id)?.status)) {
+            this.setTeacherOutcome(id, 'completed', { changedBy, at });
+            changed.push(id);
+        }
+    }
+    return changed;
+};
+
+/**
+ * Registra la revisión de la entrega de un docente
+ * - accepted / graded: la entrega pasa a 'reviewed' (graded exige calificación o rúbrica)
+ * - rejected: exige motivos y devuelve la entrega a 'pending' para que el docente la reenvíe
+ * Sin `score`, la calificación es la suma de la rúbrica.
+ * @param {object} review - { decision, reasons, comments, score, rubric, reviewedBy, at }
+ * @returns {object} - Revisión registrada
+ * @throws {Error} - status 400 si la revisión no es válida, 409 si no hay entrega que revisar
+ */
+assignmentSchema.methods.reviewResponse = function(teacherId, review = {}) {
+    const { decision, reasons = [], comments = '', score, rubric = [], reviewedBy, at = new Date() } = review;
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        throw stateError(400, `Decisión de revisión inválida. Opciones: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    const response = this.getResponse(teacherId);
+    if (!['submitted', 'reviewed'].includes(response?.status)) {
+        throw stateError(409, 'El docente no tiene una entrega pendiente de revisión');
+    }
+
+    const reviewReasons = [].concat(reasons).map(reason => String(reason).trim()).filter(Boolean);
+    if (decision === 'rejected' && reviewReasons.length === 0) {
+        throw stateError(400, 'Indica al menos un motivo del rechazo');
+    }
+
+    if (!Array.isArray(rubric)) {
+        throw stateError(400, 'La rúbrica debe ser una lista de criterios');
+    }
+    const criteria = rubric.map(({ criterion, score: points, maxScore, comment }) => {
+        if (!criterion || !Number.isFinite(Number(points)) || Number(points) < 0) {
+            throw stateError(400, 'Cada criterio de la rúbrica requiere nombre y una calificación no negativa');
+        }
+        if (maxScore !== undefined && maxScore !== null && Number(points) > Number(maxScore)) {
+            throw stateError(400, `La calificación de "${criterion}" supera su máximo`);
+        }
+        return { criterion, score: Number(points), maxScore, comment };
+    });
+
+    const hasScore = score !== undefined && score !== null && score !== '';
+    if (hasScore && (!Number.isFinite(Number(score)) || Number(score) < 0)) {
+        throw stateError(400, 'La calificación debe ser un número no negativo');
+    }
+    const total = hasScore
+        ? Number(score)
+        : criteria.length > 0 ? criteria.reduce((sum, item) => sum + item.score, 0) : null;
+    if (decision === 'graded' && total === null) {
+        throw stateError(400, 'Para calificar indica una calificación o una rúbrica');
+    }
+
+    const submittedAt = response.submittedAt;
+    if (decision === 'rejected') {
+        this.setResponseStatus(teacherId, 'pending', { submissionStatus: null, changedBy: reviewedBy, at });
+    } else {
+        this.setResponseStatus(teacherId, 'reviewed', { changedBy: reviewedBy, at });
+    }
+
+    response.reviews.push({
+        decision,
+        reasons: reviewReasons,
+        comments,
+        score: total,
+        rubric: criteria,
+        version: response.versions.length ? response.versions[response.versions.length - 1].version : null,
+        submittedAt,
+        reviewedBy,
+        reviewedAt: at
+    });
+
+    return response.reviews[response.reviews.length - 1];
+};
+
+/**
+ * Última revisión de la entrega de un docente (documento o lean), o null
+ */
+assignmentSchema.statics.latestReview = function(assignment, teacherId) {
+    const response = (assignment.responses || []).find(r => sameUser(r.user, teacherId));
+    return response?.reviews?.length ? response.reviews[response.reviews.length - 1] : null;
+};
+
+/**
+ * Fechas que aplican a un docente (documento o lean). Con prórroga se usa la más tardía
+ * entre la prórroga y la asignación (la asignación pudo ampliarse después para todos).
+ * @returns {object} - { dueDate, closeDate, extension }
+ */
+assignmentSchema.statics.teacherDeadline = function(assignment, teacherId) {
+    const extension = (assignment.extensions || []).find(item => sameUser(item.teacher, teacherId)) || null;
+    const later = (field) => new Date(Math.max(
+        new Date(assignment[field]).getTime(),
+        extension ? new Date(extension[field]).getTime() : 0
+    ));
+
+    return {
+        dueDate: later('dueDate'),
+        closeDate: later('closeDate'),
+        extension
+    };
+};
+
+/**
+ * Resultado de un docente en una asignación (documento o lean).
+ * Sin entrega cerrada: pending hasta dueDate, overdue hasta closeDate y not-delivered después.
+ */
+assignmentSchema.statics.teacherOutcome = function(assignment, teacherId, now = new Date()) {
+    const response = (assignment.responses || []).find(r => sameUser(r.user, teacherId));
+
+    switch (response?.status) {
+        case 'submitted':
+        case 'reviewed':
+            return response.submissionStatus === 'late' ? 'completed-late' : 'completed';
+        case 'not-delivered':
+            return 'not-delivered';
+    }
+
+    const { dueDate, closeDate } = this.teacherDeadline(assignment, teacherId);
+    if (now > closeDate) {
+        return 'not-delivered';
+    }
+    return now > dueDate ? 'overdue' : 'pending';
+};
+
+// Entrega del docente `teacher` (expresión de agregación)
+const responseFor = (teacher) => ({
+    $arrayElemAt: [{
+        $filter: {
+            input: { $ifNull: ['$responses', []] },
+            as: 'r',
+            cond: { $eq: ['$$r.user', teacher] }
+        }
+    }, 0]
+});
+
+// Prórroga del docente `teacher` (expresión de agregación)
+const extensionFor = (teacher) => ({
+    $arrayElemAt: [{
+        $filter: {
+            input: { $ifNull: ['$extensions', []] },
+            as: 'e',
+            cond: { $eq: ['$$e.teacher', teacher] }
+        }
+    }, 0]
+});
+
+// Fechas del docente: las más tardías entre su prórroga (si tiene) y las de la asignación
+const deadlineExpressions = (extension) => ({
+    dueDate: { $max: [`${extension}.dueDate`, '$dueDate'] },
+    closeDate: { $max: [`${extension}.closeDate`, '$closeDate'] }
+});
+
+// Expresión de agregación equivalente a teacherOutcome para la entrega en `response`
+const outcomeExpression = (response, { dueDate, closeDate }, now) => ({
+    $switch: {
+        branches: [
+            {
+                case: { $in: [`${response}.status`, ['submitted', 'reviewed']] },
+                then: { $cond: [{ $eq: [`${response}.submissionStatus`, 'late'] }, 'completed-late', 'completed'] }
+            },
+            { case: { $eq: [`${response}.status`, 'not-delivered'] }, then: 'not-delivered' },
+            { case: { $lt: [closeDate, now] }, then: 'not-delivered' },
+            { case: { $lt: [dueDate, now] }, then: 'overdue' }
+        ],
+        default: 'pending'
+    }
+});
+
+// Pendiente que vence en las próximas 24 horas
+const dueSoonExpression = (outcome, dueDate, now) => ({
+    $and: [
+        { $eq: [outcome, 'pending'] },
+        { $lte: [dueDate, new Date(now.getTime() + DAY_MS)] }
+    ]
+});
+
+/**
+ * Filtro de find() para asignaciones activas donde el docente indicado (o, sin teacherId,
+ * al menos uno de los asignados) tiene el resultado `outcome`. Misma lógica que teacherOutcome,
+ * con las fechas de la prórroga de cada docente.
+ * 'due-soon' son las pendientes que vencen en las próximas 24 horas.
+ */
+assignmentSchema.statics.outcomeFilter = function(outcome, { teacherId, now = new Date() } = {}) {
+    const outcomes = [...TEACHER_OUTCOMES, 'due-soon'];
+    if (!outcomes.includes(outcome)) {
+        throw stateError(400, `Filtro de estado inválido. Opciones: ${outcomes.join(', ')}`);
+    }
+
+    const teachers = teacherId
+        ? { $setIntersection: [[new mongoose.Types.ObjectId(teacherId.toString())], { $ifNull: ['$assignedTo', []] }] }
+        : { $ifNull: ['$assignedTo', []] };
+
+    const matches = outcome === 'due-soon'
+        ? dueSoonExpression('$$outcome', '$$dueDate', now)
+        : { $eq: ['$$outcome', outcome] };
+
+    // Resultado de cada docente con sus propias fechas
+    const teacherMatches = {
+        $let: {
+            vars: { response: responseFor('$$teacher'), extension: extensionFor('$$teacher') },
+            in: {
+                $let: {
+                    vars: deadlineExpressions('$$extension'),
+                    in: {
+                        $let: {
+                            vars: { outcome: outcomeExpression('$$response', { dueDate: '$$dueDate', closeDate: '$$closeDate' }, now) },
+                            in: matches
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    return {
+        status: 'active',
+        $expr: { $anyElementTrue: [{ $map: { input: teachers, as: 'teacher', in: teacherMatches } }] }
+    };
+};
+
+/**
+ * Etapas de agregación que generan un documento por docente asignado con `teacher`,
+ * `outcome` (misma lógica que teacherOutcome) y sus fechas (`teacherDueDate`, `teacherCloseDate`)
+ */
+assignmentSchema.statics.outcomeStages = function(now = new Date()) {
+    const deadline = { dueDate: '$teacherDueDate', closeDate: '$teacherCloseDate' };
+
+    return [
+        { $unwind: '$assignedTo' },
+        {
+            $addFields: {
+                teacher: '$assignedTo',
+                response: responseFor('$assignedTo'),
+                extension: extensionFor('$assignedTo')
+            }
+        },
+        {
+            $addFields: {
+                teacherDueDate: deadlineExpressions('$extension').dueDate,
+                teacherCloseDate: deadlineExpressions('$extension').closeDate
+            }
+        },
+        { $addFields: { outcome: outcomeExpression('$response', deadline, now) } }
+    ];
+};
+
+/**
+ * Etapas de agregación con las asignaciones publicadas de un docente, cada una con su
+ * entrega (`teacherResponse`), su prórroga (`teacherExtension`), sus fechas
+ * (`teacherDueDate`, `teacherCloseDate`), su resultado (`teacherOutcome`) y `dueSoon`
+ * (pendiente que vence en las próximas 24 horas), para filtrar y contar en la base de datos
+ */
+assignmentSchema.statics.teacherStages = function(teacherId, now = new Date()) {
+    const teacher = new mongoose.Types.ObjectId(teacherId.toString());
+    const deadline = { dueDate: '$teacherDueDate', closeDate: '$teacherCloseDate' };
+
+    return [
+        { $match: { assignedTo: teacher, status: 'active' } },
+        {
+            $addFields: {
+                teacherResponse: responseFor(teacher),
+                teacherExtension: extensionFor(teacher)
+            }
+        },
+        {
+            $addFields: {
+                teacherDueDate: deadlineExpressions('$teacherExtension').dueDate,
+                teacherCloseDate: deadlineExpressions('$teacherExtension').closeDate
+            }
+        },
+        { $addFields: { teacherOutcome: outcomeExpression('$teacherResponse', deadline, now) } },
+        { $addFields: { dueSoon: dueSoonExpression('$teacherOutcome', '$teacherDueDate', now) } }
+    ];
+};
+
 export default mongoose.model('Assignment', assignmentSchema);
\ No newline at end of file
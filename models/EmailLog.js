@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Se lee al crear cada registro (dotenv se carga después de importar los modelos)
+const retentionDays = () => parseInt(process.env.EMAIL_LOG_RETENTION_DAYS) || 90;
+
+/**
+ * Registro de cada correo saliente (uno por mensaje, aunque se reintente)
+ * - to / subject: destinatario(s) y asunto
+ * - template: plantilla o método de emailService que lo generó
+ * - status: sending → sent | failed
+ * - attempts: intentos de entrega (incluye los reintentos de la cola)
+ * - messageId / response: identificador y respuesta del proveedor
+ * - error / errorCode / transient: último error y si se considera temporal (se reintenta)
+ * - job: trabajo de la cola que lo envía, si se envió desde la cola
+ * - resendOf: registro original cuando es un reenvío manual
+ * - resendable / content: contenido guardado para reenviar; no se guarda en correos
+ *   con enlaces de un solo uso (recuperación de contraseña, invitaciones)
+ * - expiresAt: el registro se elimina solo pasada la retención (EMAIL_LOG_RETENTION_DAYS)
+ */
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  response: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  transient: {
+    type: Boolean,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailLog',
+    default: null
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resendable: {
+    type: Boolean,
+    default: false
+  },
+  content: {
+    type: new mongoose.Schema({
+      from: mongoose.Schema.Types.Mixed,
+      html: String,
+      text: String,
+      headers: mongoose.Schema.Types.Mixed
+    }, { _id: false }),
+    default: null,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + retentionDays() * DAY_MS)
+  }
+}, {
+  timestamps: true
+});
+
+// Listado de administración y búsqueda por destinatario / plantilla
+emailLogSchema.index({ status: 1, createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ template: 1, createdAt: -1 });
+// Un registro por trabajo de la cola: los reintentos actualizan el mismo
+emailLogSchema.index({ job: 1 }, { unique: true, partialFilterExpression: { job: { $type: 'objectId' } } });
+// Los registros se eliminan solos al llegar a expiresAt
+emailLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailLog = mongoose.model('EmailLog', emailLogSchema);
+
+export default EmailLog;
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Vigencia de una invitación (por defecto 7 días)
+const INVITATION_TTL_MS = (parseInt(process.env.INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Invitación de un administrador para crear una cuenta
+ * - tokenHash: SHA-256 del token de un solo uso enviado por correo (nunca el token en claro)
+ * - role: rol con el que se creará la cuenta al aceptar
+ * - carrera: carrera sugerida (opcional, el invitado puede confirmarla)
+ * - acceptedAt / acceptedUser: la invitación ya se usó y no puede reutilizarse
+ * - revokedAt: el administrador la canceló o fue reemplazada por otra más reciente
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'docente'],
+    default: 'docente'
+  },
+  carrera: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Carrera',
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Emite una invitación nueva para un correo. Las invitaciones pendientes
+ * anteriores para el mismo correo se revocan para que solo un enlace sea válido.
+ * @returns {object} - { invitation, token } (el token solo existe en memoria)
+ */
+invitationSchema.statics.issue = async function({ email, role, carrera, invitedBy }) {
+  const normalizedEmail = email.toLowerCase().trim();
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await this.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const invitation = await this.create({
+    email: normalizedEmail,
+    role: role || 'docente',
+    carrera: carrera || null,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Busca una invitación vigente a partir del token en claro
+ */
+invitationSchema.statics.findPendingByToken = async function(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const invitation = await this.findOne({ tokenHash: hashToken(token) });
+  return invitation && invitation.isPending() ? invitation : null;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
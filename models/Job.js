@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+/**
+ * Trabajo en segundo plano de la cola persistente
+ * - type: tipo de trabajo; determina el handler que lo ejecuta (p. ej. 'email')
+ * - payload: datos serializables que recibe el handler
+ * - status: pending → running → completed; tras agotar reintentos pasa a 'dead'
+ * - attempts / maxAttempts: intentos realizados y límite antes de 'dead'
+ * - runAt: no se ejecuta antes de esta fecha (se usa para el backoff exponencial)
+ * - uniqueKey: evita encolar dos veces el mismo trabajo mientras siga pendiente
+ * - lockedBy / lockedAt: instancia que lo está ejecutando
+ * - failures: historial de errores de cada intento
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  uniqueKey: {
+    type: String,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  failures: [{
+    attempt: Number,
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Búsqueda del siguiente trabajo listo para ejecutarse
+jobSchema.index({ status: 1, runAt: 1 });
+// Un solo trabajo pendiente por uniqueKey (ver jobQueue.enqueue)
+jobSchema.index(
+  { uniqueKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', uniqueKey: { $type: 'string' } } }
+);
+
+// Los trabajos completados se eliminan a los 7 días; los 'dead' se conservan para revisarlos
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * Candado compartido para tareas periódicas
+ * - name: identificador de la tarea (único)
+ * - owner: instancia que tiene el candado ("host:pid")
+ * - lockedUntil: el candado caduca solo si la instancia se cae a mitad de la ejecución
+ * - lastRunAt / lastRunBy / lastResult: resultado de la última ejecución completada
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunBy: {
+    type: String,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+});
+
+/**
+ * Intenta tomar el candado. Solo una instancia puede tenerlo a la vez.
+ * @returns {Promise<boolean>} - true si el candado quedó a nombre de `owner`
+ */
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { owner }]
+      },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner;
+  } catch (error) {
+    // El upsert choca con el índice único cuando otra instancia tiene el candado
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Libera el candado y guarda el resultado de la ejecución
+ */
+jobLockSchema.statics.release = async function(name, owner, result = null) {
+  await this.updateOne(
+    { name, owner },
+    {
+      $set: {
+        owner: null,
+        lockedUntil: null,
+        lastRunAt: new Date(),
+        lastRunBy: owner,
+        lastResult: result
+      }
+    }
+  );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Registro de migraciones de datos aplicadas
+ * - version: número incremental de la migración
+ * - name: descripción corta
+ * - appliedAt: fecha de aplicación
+ */
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * Notificación de la bandeja del usuario (se guarda siempre; Socket.IO solo la entrega)
+ * - recipient: usuario que la recibe
+ * - type: tipo de evento (ver NOTIFICATION_TYPES en services/notificationService.js)
+ * - title / message: texto mostrado al usuario
+ * - data: referencias del evento (assignmentId, estado, etc.)
+ * - readAt: fecha de lectura; null mientras no se haya leído
+ */
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Bandeja del usuario (más recientes primero) y conteo de no leídas
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.virtual('read').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Número de notificaciones sin leer de un usuario
+ */
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
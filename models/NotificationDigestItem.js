@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Notificación pendiente de enviarse en el resumen diario por correo
+ * - user: destinatario (con emailDelivery = 'daily-digest')
+ * - event: tipo de evento (newAssignment, statusChange, ...)
+ * - title / message / url: línea que aparece en el resumen
+ * - sendAfter: próxima hora de resumen del usuario al momento de crearse
+ * - sentAt / job: se llenan cuando el resumen se encola
+ */
+const notificationDigestItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  sendAfter: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationDigestItemSchema.index({ sentAt: 1, sendAfter: 1 });
+
+// Los elementos ya enviados se eliminan a los 30 días
+notificationDigestItemSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const NotificationDigestItem = mongoose.model('NotificationDigestItem', notificationDigestItemSchema);
+
+export default NotificationDigestItem;
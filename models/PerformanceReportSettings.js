@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+/**
+ * Configuración del reporte periódico de desempeño (documento único)
+ * - enabled: activa el envío automático
+ * - frequency / dayOfWeek / hour: cuándo se envía (hora de America/Mexico_City;
+ *   dayOfWeek 0 = domingo y solo aplica a 'weekly')
+ * - minOverdue: asignaciones vencidas sin entrega necesarias para incluir a un docente
+ * - minDaysPastDue: días desde la fecha de cierre para considerar una asignación
+ * - lookbackDays: solo se consideran asignaciones cerradas en este periodo (0 = sin límite)
+ * - sendToTeachers: envía el reporte individual a cada docente
+ * - notifyAdmins / additionalRecipients: destinatarios del resumen (jefes de departamento)
+ * - lastSlot: última ventana programada procesada ("AAAA-MM-DD"), evita envíos duplicados
+ */
+const performanceReportSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    default: 'weekly'
+  },
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  minOverdue: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  minDaysPastDue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lookbackDays: {
+    type: Number,
+    min: 0,
+    default: 90
+  },
+  sendToTeachers: {
+    type: Boolean,
+    default: true
+  },
+  notifyAdmins: {
+    type: Boolean,
+    default: true
+  },
+  additionalRecipients: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Correo de destinatario inválido']
+  }],
+  lastSlot: {
+    type: String,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Devuelve la configuración, creándola con los valores por defecto si no existe
+ */
+performanceReportSettingsSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const PerformanceReportSettings = mongoose.model('PerformanceReportSettings', performanceReportSettingsSchema);
+
+export default PerformanceReportSettings;
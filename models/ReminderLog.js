@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Registro de recordatorios enviados (evita duplicados)
+ * - assignment / teacher: cada docente recibe como máximo un recordatorio por asignación
+ * - dueDate: fecha de entrega al momento del envío; si cambia, se puede volver a recordar
+ * - job: trabajo de la cola que envía el correo resumen
+ */
+const reminderLogSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reminderLogSchema.index({ assignment: 1, teacher: 1, dueDate: 1 }, { unique: true });
+
+const ReminderLog = mongoose.model('ReminderLog', reminderLogSchema);
+
+export default ReminderLog;
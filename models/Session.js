@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sesión de usuario (un dispositivo / navegador)
+ * - refreshTokenHash: SHA-256 del refresh token vigente (nunca el token en claro)
+ * - previousRefreshTokenHash / rotatedAt: token anterior y fecha de la última rotación, para
+ *   distinguir dos pestañas que refrescan a la vez de la reutilización de un token robado
+ * - expiresAt: caducidad del refresh token; MongoDB elimina la sesión automáticamente
+ * - revokedAt / revokedReason: la sesión ya no puede usarse ni refrescarse
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: ['password', 'biometric'],
+    default: 'password'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+});
+
+// TTL: eliminar sesiones caducadas
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoca todas las sesiones activas de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ * @param {string} exceptSessionId - Sesión que se conserva (opcional)
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
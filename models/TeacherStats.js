@@ -35,39 +35,30 @@ const teacherStatsSchema = new mongoose.Schema({
 teacherStatsSchema.statics.updateTeacherStats = async function(teacherId) {
     const now = new Date();
     
-    // Obtener todas las asignaciones del profesor
+    // Obtener las asignaciones publicadas del profesor
     const assignments = await Assignment.find({
-        assignedTo: teacherId
-    });
+        assignedTo: teacherId,
+        status: 'active'
+    })
+        .select('dueDate closeDate extensions responses.user responses.status responses.submissionStatus')
+        .lean();
 
-    // Calcular estadísticas considerando las respuestas individuales
+    // Calcular estadísticas con el estado de la entrega de este docente (y su prórroga, si tiene)
     let completed = 0;
     let pending = 0;
     let overdue = 0;
 
     for (const assignment of assignments) {
-        // Buscar la respuesta específica del docente
-        const teacherResponse = assignment.responses.find(
-            r => r.user.toString() === teacherId.toString()
-        );
-
-        if (teacherResponse) {
-            if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'on-time') {
+        switch (Assignment.teacherOutcome(assignment, teacherId, now)) {
+            case 'completed':
+            case 'completed-late':  // También cuenta como completado aunque sea tarde
                 completed++;
-            } else if (teacherResponse.status === 'submitted' && teacherResponse.submissionStatus === 'late') {
-                completed++;  // También cuenta como completado aunque sea tarde
-            } else if (teacherResponse.submissionStatus === 'closed' || (teacherResponse.status === 'reviewed' && !teacherResponse.submittedAt)) {
-                overdue++;
-            } else {
+                break;
+            case 'pending':
                 pending++;
-            }
-        } else {
-            // Si no hay respuesta, verificar fecha de vencimiento
-            if (new Date(assignment.dueDate) > now) {
-                pending++;
-            } else {
+                break;
+            default:  // overdue o not-delivered
                 overdue++;
-            }
         }
     }
 
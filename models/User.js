@@ -1,13 +1,86 @@
 import mongoose from 'mongoose';
 
+// Canales habilitados para un tipo de evento
+const channelPreferenceSchema = (defaults) => new mongoose.Schema({
+  email: {
+    type: Boolean,
+    default: defaults.email
+  },
+  inApp: {
+    type: Boolean,
+    default: defaults.inApp
+  }
+}, { _id: false });
+
+/**
+ * Preferencias de notificación
+ * - events: canales (email / inApp) por tipo de evento
+ * - emailDelivery: 'immediate' o 'daily-digest' (un solo correo al día a digestHour)
+ * - digestHour: hora local (America/Mexico_City) del resumen diario
+ * - quietHours: sin correos inmediatos entre start y end (hora local); se envían al terminar
+ */
+const notificationPreferencesSchema = new mongoose.Schema({
+  events: {
+    newAssignment: {
+      type: channelPreferenceSchema({ email: true, inApp: true }),
+      default: () => ({})
+    },
+    statusChange: {
+      type: channelPreferenceSchema({ email: false, inApp: true }),
+      default: () => ({})
+    },
+    deadlineApproaching: {
+      type: channelPreferenceSchema({ email: true, inApp: true }),
+      default: () => ({})
+    },
+    adminReview: {
+      type: channelPreferenceSchema({ email: true, inApp: true }),
+      default: () => ({})
+    }
+  },
+  emailDelivery: {
+    type: String,
+    enum: ['immediate', 'daily-digest'],
+    default: 'immediate'
+  },
+  digestHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 22
+    },
+    end: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 7
+    }
+  }
+}, { _id: false });
+
 /**
  * Esquema de Usuario con soporte para autenticación biométrica
- * Campos biométricos según documentación:
- * - biometric_enabled: boolean - Estado activo/inactivo
- * - biometric_public_key: text - Clave pública (nunca la privada)
- * - biometric_credential_id: text - ID único de la credencial
- * - biometric_counter: integer - Contador de autenticaciones
- * - biometric_registered_at: timestamp - Fecha de registro
+ * Campos biométricos:
+ * - authenticators: credenciales WebAuthn registradas (clave pública, contador, etc.)
+ * - biometric_paused: el usuario desactivó temporalmente el login biométrico
+ * - biometric_enabled (virtual): hay dispositivos y la biometría no está en pausa
+ * - biometric_registered_at (virtual): fecha del primer dispositivo registrado
+ * Estado de la cuenta:
+ * - activo: false si un administrador dio de baja la cuenta (no puede iniciar sesión)
+ * Notificaciones:
+ * - notificationPreferences: canales por evento, resumen diario y horas de silencio
+ * - locale: idioma de los correos que recibe (es | en)
  */
 const userSchema = new mongoose.Schema({
   email: {
@@ -62,35 +135,58 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'docente'],
     default: 'docente'
   },
-  resetPasswordToken: {
-    type: String,
-    default: null
+  // Baja lógica: una cuenta inactiva conserva sus datos pero no puede iniciar sesión
+  activo: {
+    type: Boolean,
+    default: true
   },
-  resetPasswordExpires: {
+  deactivatedAt: {
     type: Date,
     default: null
   },
-  // Campos biométricos según la documentación
-  biometric_enabled: {
-    type: Boolean,
-    default: false
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Preferencias de notificación (ver services/notificationDispatcher.js y migración 002)
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
   },
-  biometric_public_key: {
+  // Idioma de los correos (ver templates/emails/locales)
+  locale: {
     type: String,
-    default: null
+    enum: ['es', 'en'],
+    default: 'es'
   },
-  biometric_credential_id: {
+  resetPasswordToken: {
     type: String,
     default: null
   },
-  biometric_counter: {
+  resetPasswordExpires: {
+    type: Date,
+    default: null
+  },
+  // Control de intentos fallidos de inicio de sesión con contraseña
+  failedLoginAttempts: {
     type: Number,
     default: 0
   },
-  biometric_registered_at: {
+  lockUntil: {
     type: Date,
     default: null
   },
+  // Bloqueos consecutivos: cada uno duplica la duración del siguiente
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Pausa del login biométrico sin eliminar los dispositivos (ver migración 001)
+  biometric_paused: {
+    type: Boolean,
+    default: false
+  },
   // Campos para WebAuthn challenge temporal
   webauthn_challenge: {
     type: String,
@@ -100,7 +196,7 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  // WebAuthn Authenticators - Para compatibilidad con la implementación anterior
+  // WebAuthn Authenticators - Única fuente de verdad de los datos biométricos
   authenticators: [{
     credentialID: {
       type: String,
@@ -139,6 +235,106 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Bloqueo progresivo: tras N intentos fallidos se bloquea 15 min, luego 30, 60... (máx. 24 h)
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+/**
+ * Registra un intento fallido de contraseña.
+ * @returns {Promise<boolean>} - true si este intento provocó un bloqueo
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+
+  // Incremento atómico: con intentos en paralelo cada uno cuenta
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts lockoutCount lockUntil');
+  if (!counted) {
+    return false;
+  }
+
+  let current = counted;
+  let lockedNow = false;
+  if (counted.failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS) {
+    // Solo el intento que todavía ve el contador lleno aplica el bloqueo
+    const duration = Math.min(BASE_LOCKOUT_MS * 2 ** (counted.lockoutCount || 0), MAX_LOCKOUT_MS);
+    const locked = await User.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGIN_ATTEMPTS } },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + duration) },
+        $inc: { lockoutCount: 1 }
+      },
+      { new: true }
+    ).select('failedLoginAttempts lockoutCount lockUntil');
+    if (locked) {
+      current = locked;
+      lockedNow = true;
+    }
+  }
+
+  // Reflejar el estado guardado sin marcarlo como pendiente de guardar
+  for (const path of ['failedLoginAttempts', 'lockoutCount', 'lockUntil']) {
+    this.set(path, current.get(path));
+    this.unmarkModified(path);
+  }
+  return lockedNow;
+};
+
+/**
+ * Limpia el historial de intentos fallidos tras un inicio de sesión correcto
+ * o un restablecimiento de contraseña.
+ */
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) {
+    return;
+  }
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = null;
+  await this.save();
+};
+
+userSchema.statics.MAX_FAILED_LOGIN_ATTEMPTS = MAX_FAILED_LOGIN_ATTEMPTS;
+
+/**
+ * Indica si el usuario es el único administrador activo; el sistema
+ * nunca debe quedarse sin uno al cambiar roles, desactivar o eliminar cuentas.
+ */
+userSchema.statics.isLastActiveAdmin = async function(user) {
+  if (user.role !== 'admin' || user.activo === false) {
+    return false;
+  }
+  const otherAdmins = await this.countDocuments({
+    role: 'admin',
+    activo: { $ne: false },
+    _id: { $ne: user._id }
+  });
+  return otherAdmins === 0;
+};
+
+// Estado biométrico derivado de los dispositivos registrados
+userSchema.virtual('biometric_enabled').get(function() {
+  return (this.authenticators?.length || 0) > 0 && !this.biometric_paused;
+});
+
+userSchema.virtual('biometric_registered_at').get(function() {
+  if (!this.authenticators?.length) {
+    return null;
+  }
+  return this.authenticators.reduce(
+    (earliest, auth) => (auth.registeredAt < earliest ? auth.registeredAt : earliest),
+    this.authenticators[0].registeredAt
+  );
+});
+
 // Función segura para manejar índices
 const handleIndexes = async () => {
   try {
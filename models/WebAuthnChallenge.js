@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Desafíos WebAuthn emitidos por el servidor
+ * - challenge: valor base64url entregado al navegador
+ * - type: ceremonia a la que pertenece ('authentication')
+ * - user: usuario esperado (null si aún no se conoce, p. ej. login rápido sin correo)
+ * - expiresAt: fecha de caducidad; MongoDB elimina el documento automáticamente
+ */
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['authentication'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL: eliminar desafíos caducados sin intervención manual
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Consume un desafío: lo elimina y lo devuelve solo si sigue vigente.
+ * Un desafío nunca puede usarse dos veces.
+ */
+webAuthnChallengeSchema.statics.consume = async function(challenge, type) {
+  const stored = await this.findOneAndDelete({ challenge, type });
+  if (!stored || stored.expiresAt < new Date()) {
+    return null;
+  }
+  return stored;
+};
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+export default WebAuthnChallenge;
@@ -0,0 +1,118 @@
+import express from 'express';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+import {
+  createOrPromoteUser,
+  createInvitation,
+  listInvitations,
+  revokeInvitation
+} from '../controllers/adminUserController.js';
+import {
+  listJobs,
+  getJobStats,
+  getJob,
+  retryJob
+} from '../controllers/jobController.js';
+import {
+  getScheduledAssignmentsCronStatus,
+  runScheduledAssignmentsCheck
+} from '../services/scheduledAssignmentsService.js';
+import { getReminderCronStatus, runReminderSweep } from '../services/reminderService.js';
+import { getNotificationDigestStatus, runNotificationDigest } from '../services/notificationDigestService.js';
+import {
+  getPerformanceSettings,
+  updatePerformanceSettings,
+  previewPerformanceEmail,
+  runPerformanceReportNow
+} from '../controllers/performanceReportController.js';
+import {
+  listEmailLogs,
+  getEmailLog,
+  resendEmail,
+  listEmailTemplates,
+  previewEmailTemplate
+} from '../controllers/emailLogController.js';
+
+const router = express.Router();
+
+// Todas las rutas de administración requieren autenticación y rol de administrador
+router.use(verifyToken, requireRole('admin'));
+
+// Alta de usuarios con rol, o cambio de rol de un usuario existente
+router.post('/users', createOrPromoteUser);
+
+// Invitaciones por correo con enlace de un solo uso
+router.get('/invitations', listInvitations);
+router.post('/invitations', createInvitation);
+router.delete('/invitations/:id', revokeInvitation);
+
+// Estado de la publicación automática de asignaciones programadas
+router.get('/jobs/scheduled-assignments', async (req, res) => {
+  try {
+    const status = await getScheduledAssignmentsCronStatus();
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error obteniendo estado del cron de asignaciones programadas:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Forzar una ejecución (respeta el candado entre instancias)
+router.post('/jobs/scheduled-assignments/run', async (req, res) => {
+  const result = await runScheduledAssignmentsCheck();
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// Recordatorios de entregas próximas a vencer
+router.get('/jobs/reminders', async (req, res) => {
+  try {
+    const status = await getReminderCronStatus();
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error obteniendo estado del cron de recordatorios:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/jobs/reminders/run', async (req, res) => {
+  const result = await runReminderSweep('manual');
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// Resúmenes diarios de notificaciones por correo
+router.get('/jobs/notification-digest', async (req, res) => {
+  try {
+    const status = await getNotificationDigestStatus();
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error obteniendo estado de los resúmenes de notificaciones:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/jobs/notification-digest/run', async (req, res) => {
+  const result = await runNotificationDigest('manual');
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// Reporte periódico de desempeño (docentes con entregas vencidas)
+router.get('/reports/performance/settings', getPerformanceSettings);
+router.put('/reports/performance/settings', updatePerformanceSettings);
+router.get('/reports/performance/preview', previewPerformanceEmail);
+router.post('/reports/performance/run', runPerformanceReportNow);
+
+// Historial de correos salientes y reenvío manual
+router.get('/email-logs', listEmailLogs);
+router.get('/email-logs/:id', getEmailLog);
+router.post('/email-logs/:id/resend', resendEmail);
+
+// Plantillas de correo y vista previa con datos de ejemplo
+router.get('/email-templates', listEmailTemplates);
+router.get('/email-templates/:name/preview', previewEmailTemplate);
+
+// Cola de trabajos en segundo plano (correos, estadísticas, publicación programada)
+router.get('/jobs', listJobs);
+router.get('/jobs/stats', getJobStats);
+router.get('/jobs/:id', getJob);
+router.post('/jobs/:id/retry', retryJob);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 const router = express.Router();
-import { auth } from '../middleware/auth.js';
+import { auth, requireRole } from '../middleware/auth.js';
 import { upload, handleMulterError } from '../middleware/uploadMiddleware.js';
 import {
     createAssignment,
@@ -25,58 +25,47 @@ import {
     getScheduledAssignments,
     cancelScheduledAssignment,
     updateScheduledAssignment,
-    publishScheduledAssignments,
     // Nuevas funciones para gestión de estados de docentes
     getTeachersStatusForAssignment,
-    updateTeacherStatusInAssignment
+    updateTeacherStatusInAssignment,
+    reviewAssignmentResponse,
+    getResponseVersions,
+    downloadResponseVersionFile,
+    grantDeadlineExtension
 } from '../controllers/assignmentController.js';
+import { runScheduledAssignmentsCheck } from '../services/scheduledAssignmentsService.js';
 
 // Rutas para administradores
 router.post('/', 
     auth, 
+    requireRole('admin'),
     upload.array('attachments', 5),
     handleMulterError,
     createAssignment
 );
 
 // Rutas específicas para administrador
-router.get('/admin/all', auth, getAdminAllAssignments);
-router.get('/admin/stats', auth, getAdminAssignmentStats);
-router.patch('/admin/:assignmentId/complete', auth, markAssignmentCompletedByAdmin);
-router.put('/admin/:assignmentId', auth, updateAssignmentByAdmin);
-router.patch('/admin/:assignmentId/teacher-status', auth, updateTeacherAssignmentStatus);
+router.get('/admin/all', auth, requireRole('admin'), getAdminAllAssignments);
+router.get('/admin/stats', auth, requireRole('admin'), getAdminAssignmentStats);
+router.patch('/admin/:assignmentId/complete', auth, requireRole('admin'), markAssignmentCompletedByAdmin);
+router.put('/admin/:assignmentId', auth, requireRole('admin'), updateAssignmentByAdmin);
+router.patch('/admin/:assignmentId/teacher-status', auth, requireRole('admin'), updateTeacherAssignmentStatus);
 
 // Rutas para asignaciones programadas
-router.post('/admin/schedule', auth, scheduleAssignment);
-router.get('/admin/scheduled', auth, getScheduledAssignments);
-router.delete('/admin/scheduled/:id', auth, cancelScheduledAssignment);
-router.put('/admin/scheduled/:id', auth, updateScheduledAssignment);
-router.post('/admin/publish-scheduled', auth, async (req, res) => {
-    try {
-        await publishScheduledAssignments();
-        res.json({ success: true, message: 'Asignaciones programadas procesadas' });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+router.post('/admin/schedule', auth, requireRole('admin'), scheduleAssignment);
+router.get('/admin/scheduled', auth, requireRole('admin'), getScheduledAssignments);
+router.delete('/admin/scheduled/:id', auth, requireRole('admin'), cancelScheduledAssignment);
+router.put('/admin/scheduled/:id', auth, requireRole('admin'), updateScheduledAssignment);
+router.post('/admin/publish-scheduled', auth, requireRole('admin'), async (req, res) => {
+    const result = await runScheduledAssignmentsCheck();
+    if (!result.success) {
+        return res.status(500).json({ success: false, error: result.error });
     }
+    res.json({ success: true, message: 'Asignaciones programadas procesadas', ...result });
 });
 
-// Ruta temporal sin autenticación para pruebas
-router.post('/test', 
-    upload.array('attachments', 5),
-    handleMulterError,
-    async (req, res) => {
-        try {
-            // Simular usuario admin para la prueba
-            req.user = { _id: '686adb66894909cadb9449bf' };
-            await createAssignment(req, res);
-        } catch (error) {
-            res.status(500).json({ error: error.message });
-        }
-    }
-);
-
-router.get('/all', auth, getAllAssignments);
-router.patch('/:id/status', auth, updateAssignmentStatus);
+router.get('/all', auth, requireRole('admin'), getAllAssignments);
+router.patch('/:id/status', auth, requireRole('admin'), updateAssignmentStatus);
 
 // Rutas para docentes
 router.get('/my-assignments', auth, getUserAssignments);
@@ -88,43 +77,6 @@ router.get('/teacher/stats', auth, getTeacherAssignmentStats);
 router.get('/teacher/assignments', auth, getTeacherFilteredAssignments);
 router.patch('/teacher/:id/complete', auth, markAssignmentCompleted);
 
-// Endpoint para verificar el estado de autenticación desde frontend
-router.get('/auth-status', (req, res) => {
-    console.log('🔍 === AUTH STATUS CHECK ===');
-    console.log('Headers recibidos:', req.headers);
-    console.log('Authorization header:', req.headers.authorization);
-    
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        console.log('❌ No hay header de autorización');
-        return res.status(401).json({
-            success: false,
-            message: 'No hay token de autorización',
-            hasAuth: false
-        });
-    }
-    
-    if (!authHeader.startsWith('Bearer ')) {
-        console.log('❌ Formato de autorización incorrecto');
-        return res.status(401).json({
-            success: false,
-            message: 'Formato de autorización incorrecto',
-            hasAuth: true,
-            authFormat: authHeader.substring(0, 20) + '...'
-        });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    console.log('✅ Token encontrado:', token ? 'Sí' : 'No');
-    
-    res.json({
-        success: true,
-        message: 'Token presente y con formato correcto',
-        hasAuth: true,
-        tokenLength: token ? token.length : 0
-    });
-});
-
 router.get('/:id', auth, getAssignmentById);
 router.post('/:id/submit', 
     auth, 
@@ -133,24 +85,18 @@ router.post('/:id/submit',
     submitAssignmentResponse
 );
 
-// Endpoint de debug para verificar headers
-router.post('/debug-headers', (req, res) => {
-    console.log('🔍 === DEBUG HEADERS ===');
-    console.log('Headers:', req.headers);
-    console.log('Authorization:', req.headers.authorization);
-    console.log('Body:', req.body);
-    
-    res.json({
-        success: true,
-        message: 'Headers recibidos',
-        headers: req.headers,
-        hasAuth: !!req.headers.authorization,
-        authHeader: req.headers.authorization
-    });
-});
-
 // Nuevas rutas para gestión de estados de docentes
-router.get('/:assignmentId/teachers-status', auth, getTeachersStatusForAssignment);
-router.patch('/:assignmentId/teacher-status', auth, updateTeacherStatusInAssignment);
+router.get('/:assignmentId/teachers-status', auth, requireRole('admin'), getTeachersStatusForAssignment);
+router.patch('/:assignmentId/teacher-status', auth, requireRole('admin'), updateTeacherStatusInAssignment);
+
+// Revisión de entregas: aceptar, rechazar (con motivos) o calificar
+router.post('/:id/responses/:userId/review', auth, requireRole('admin'), reviewAssignmentResponse);
+
+// Historial de versiones de una entrega (el docente o un administrador)
+router.get('/:id/responses/:userId/versions', auth, getResponseVersions);
+router.get('/:id/responses/:userId/versions/:version/files/:fileIndex', auth, downloadResponseVersionFile);
+
+// Prórrogas individuales de fechas de entrega y cierre
+router.post('/:id/extensions', auth, requireRole('admin'), grantDeadlineExtension);
 
 export default router;
\ No newline at end of file
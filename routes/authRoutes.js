@@ -2,12 +2,21 @@ import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { auth } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import { getJwtSecret, signAccessToken, verifyAccessToken, ACCESS_TOKEN_EXPIRES_IN } from '../config/jwt.js';
+import { createSession, rotateSession, findSessionByRefreshToken, revokeSession, revokeAllSessions } from '../services/sessionService.js';
 import { uploadProfile } from '../middleware/profileUploadMiddleware.js';
+import { enqueueEmail, emailRecipient } from '../services/backgroundJobs.js';
 import emailService from '../services/emailService.js';
+import { handleFailedLogin, lockedAccountResponse, disabledAccountResponse } from '../services/accountLockoutService.js';
+import { loginLimiters, forgotPasswordLimiters, resetPasswordLimiters, invitationIpLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
-// Ruta de registro sin rate limiting
+// Registro público: siempre crea cuentas de docente.
+// Los administradores se crean o promueven desde /api/admin/users o por invitación.
 router.post('/register', uploadProfile, async (req, res) => {  try {
     const { 
       email, 
@@ -17,10 +26,17 @@ router.post('/register', uploadProfile, async (req, res) => {  try {
       apellidoPaterno, 
       apellidoMaterno, 
       carrera,
-      role, // Agregamos el role a los campos que extraemos
+      role,
       semestre 
     } = req.body;
 
+    if (role && role !== 'docente') {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes elegir tu rol al registrarte. Solicita a un administrador los permisos necesarios.'
+      });
+    }
+
     // Guardar el nombre del archivo de la foto si se subió una
     const fotoPerfil = req.file ? req.file.filename : null;
 
@@ -37,14 +53,6 @@ router.post('/register', uploadProfile, async (req, res) => {  try {
       });
     }
 
-    // Validar que el role sea válido
-    if (role && !['admin', 'docente'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rol inválido. Debe ser "admin" o "docente"'
-      });
-    }
-
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = new User({
       email,
@@ -56,15 +64,11 @@ router.post('/register', uploadProfile, async (req, res) => {  try {
       carrera,
       semestre,
       fotoPerfil,
-      role: role || 'docente' // Asegurarnos de incluir el role
+      role: 'docente'
     });
 
     const savedUser = await user.save();
-    const token = jwt.sign(
-      { id: savedUser._id },
-      process.env.JWT_SECRET || 'tu_secreto_muy_seguro_123',
-      { expiresIn: '7d' } // Aumentado a 7 días para debugging
-    );
+    const { accessToken: token, refreshToken } = await createSession(savedUser, req);
 
     const userResponse = {
       _id: savedUser._id,
@@ -83,6 +87,8 @@ router.post('/register', uploadProfile, async (req, res) => {  try {
       success: true,
       message: 'Usuario registrado exitosamente',
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: userResponse
     });
 
@@ -96,8 +102,161 @@ router.post('/register', uploadProfile, async (req, res) => {  try {
   }
 });
 
-// Ruta de login sin rate limiting
-router.post('/login', async (req, res) => {
+// Consultar una invitación antes de completar el registro
+router.get('/invitations/:token', invitationIpLimiter, async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'La invitación no es válida, ya fue utilizada o ha expirado'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        carrera: invitation.carrera,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al consultar invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al consultar la invitación'
+    });
+  }
+});
+
+// Aceptar una invitación: crea la cuenta con el rol invitado e inicia sesión
+router.post('/invitations/:token/accept', invitationIpLimiter, uploadProfile, async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'La invitación no es válida, ya fue utilizada o ha expirado'
+      });
+    }
+
+    const {
+      password,
+      numeroControl,
+      nombre,
+      apellidoPaterno,
+      apellidoMaterno,
+      carrera,
+      semestre
+    } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña debe tener al menos 6 caracteres'
+      });
+    }
+
+    const userExists = await User.findOne({
+      $or: [{ email: invitation.email }, { numeroControl }]
+    });
+
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: userExists.email === invitation.email
+          ? 'Este correo electrónico ya está registrado'
+          : 'Este número de control ya está registrado'
+      });
+    }
+
+    // Marcar la invitación como usada antes de crear la cuenta para que
+    // dos solicitudes simultáneas con el mismo enlace no creen dos usuarios
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'La invitación ya fue utilizada'
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        email: invitation.email,
+        password: await bcrypt.hash(password, 10),
+        numeroControl,
+        nombre,
+        apellidoPaterno,
+        apellidoMaterno,
+        carrera: carrera || invitation.carrera,
+        semestre,
+        fotoPerfil: req.file ? req.file.filename : null,
+        role: invitation.role
+      });
+    } catch (error) {
+      // Liberar la invitación para que pueda corregir los datos y reintentar
+      claimed.acceptedAt = null;
+      await claimed.save();
+      throw error;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    const { accessToken: token, refreshToken } = await createSession(user, req);
+
+    console.log(`✉️ Invitación aceptada por ${user.email} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cuenta creada exitosamente',
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      user: {
+        _id: user._id,
+        email: user.email,
+        numeroControl: user.numeroControl,
+        nombre: user.nombre,
+        apellidoPaterno: user.apellidoPaterno,
+        apellidoMaterno: user.apellidoMaterno,
+        carrera: user.carrera,
+        semestre: user.semestre,
+        fotoPerfil: user.fotoPerfil,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al aceptar invitación:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de registro inválidos',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error al aceptar la invitación',
+      error: error.message
+    });
+  }
+});
+
+// Ruta de login con límite por IP y por cuenta, y bloqueo progresivo
+router.post('/login', loginLimiters, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -109,19 +268,30 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json(lockedAccountResponse(user));
+    }
+
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      const lockedNow = await handleFailedLogin(user, req);
+      if (lockedNow) {
+        return res.status(423).json(lockedAccountResponse(user));
+      }
       return res.status(401).json({
         success: false,
         message: 'Correo o contraseña incorrectos'
       });
     }
 
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET || 'tu_secreto_muy_seguro_123',
-      { expiresIn: '7d' } // Aumentado a 7 días para debugging
-    );
+    // Las cuentas dadas de baja conservan sus datos pero no pueden iniciar sesión
+    if (user.activo === false) {
+      return res.status(403).json(disabledAccountResponse());
+    }
+
+    await user.resetLoginAttempts();
+
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     const userResponse = {
       _id: user._id,
@@ -138,6 +308,8 @@ router.post('/login', async (req, res) => {
     res.json({
       success: true,
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: userResponse
     });
 
@@ -152,18 +324,9 @@ router.post('/login', async (req, res) => {
 });
 
 // Ruta para verificar token
-router.get('/verify', async (req, res) => {
+router.get('/verify', auth, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No hay token'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'tu_jwt_secret');
-    const user = await User.findById(decoded.id)
+    const user = await User.findById(req.user._id)
       .select('-password')
       .populate('carrera', 'nombre');
 
@@ -188,8 +351,8 @@ router.get('/verify', async (req, res) => {
   }
 });
 
-// Ruta para solicitar recuperación de contraseña sin rate limiting
-router.post('/forgot-password', async (req, res) => {
+// Ruta para solicitar recuperación de contraseña con límite por IP y por cuenta
+router.post('/forgot-password', forgotPasswordLimiters, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -222,7 +385,7 @@ router.post('/forgot-password', async (req, res) => {
     // Generar token de recuperación (válido por 1 hora)
     const resetToken = jwt.sign(
       { id: user._id, type: 'password-reset' },
-      process.env.JWT_SECRET || 'tu_jwt_secret',
+      getJwtSecret(),
       { expiresIn: '1h' }
     );
 
@@ -231,10 +394,17 @@ router.post('/forgot-password', async (req, res) => {
     user.resetPasswordExpires = Date.now() + 3600000; // 1 hora
     await user.save();
 
-    // Enviar email de recuperación
+    // Se envía en línea y no por la cola: el token en claro no debe quedar guardado en un
+    // trabajo. deliver ya reintenta los fallos transitorios del servidor de correo.
+    let emailSent = false;
     try {
-      await emailService.sendPasswordResetEmail(email, resetToken, user);
-      
+      await emailService.sendPasswordResetEmail(user.email, resetToken, emailRecipient(user));
+      emailSent = true;
+    } catch (emailError) {
+      console.error('❌ Error enviando correo de recuperación:', emailError);
+    }
+
+    if (emailSent) {
       console.log(`✅ Solicitud de recuperación procesada para: ${email}`);
       
       res.json({
@@ -249,10 +419,8 @@ router.post('/forgot-password', async (req, res) => {
         })
       });
 
-    } catch (emailError) {
-      console.error('❌ Error enviando email de recuperación:', emailError);
-      
-      // Limpiar token si el email falla
+    } else {
+      // Limpiar token si el email no pudo enviarse
       user.resetPasswordToken = undefined;
       user.resetPasswordExpires = undefined;
       await user.save();
@@ -273,7 +441,7 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // Ruta para restablecer contraseña con rate limiting y confirmación por email
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', resetPasswordLimiters, async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
@@ -292,7 +460,7 @@ router.post('/reset-password', async (req, res) => {
     }
 
     // Verificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'tu_jwt_secret');
+    const decoded = jwt.verify(token, getJwtSecret());
     
     if (decoded.type !== 'password-reset') {
       return res.status(400).json({
@@ -326,16 +494,19 @@ router.post('/reset-password', async (req, res) => {
     user.password = hashedPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Restablecer la contraseña demuestra la titularidad del correo: desbloquear la cuenta
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = null;
     await user.save();
 
-    // Enviar email de confirmación de cambio
-    try {
-      await emailService.sendPasswordChangeConfirmation(user.email, user);
-      console.log(`✅ Contraseña restablecida y email de confirmación enviado para: ${user.email}`);
-    } catch (emailError) {
-      console.error('⚠️ Error enviando email de confirmación:', emailError);
-      // No fallar la operación por esto
-    }
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    const revoked = await revokeAllSessions(user._id, 'password-reset');
+    console.log(`🔒 Sesiones revocadas tras restablecer contraseña (${user.email}):`, revoked);
+
+    // Encolar email de confirmación de cambio (no falla la operación si no se envía)
+    await enqueueEmail('sendPasswordChangeConfirmation', user.email, emailRecipient(user));
+    console.log(`✅ Contraseña restablecida y email de confirmación encolado para: ${user.email}`);
 
     res.json({
       success: true,
@@ -357,4 +528,173 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// ========== SESIONES ==========
+
+// Renovar el token de acceso con un refresh token (rotación obligatoria)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'El refresh token es requerido'
+      });
+    }
+
+    const rotated = await rotateSession(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
+      });
+    }
+    if (rotated.superseded) {
+      // Otra pestaña acaba de renovar esta sesión: el cliente debe usar el token más reciente
+      return res.status(409).json({
+        success: false,
+        code: 'REFRESH_TOKEN_SUPERSEDED',
+        message: 'La sesión ya se renovó en otra pestaña. Usa el token más reciente.'
+      });
+    }
+
+    const user = await User.findById(rotated.userId).select('-password');
+    if (!user || user.activo === false) {
+      await revokeSession(rotated.session, user ? 'user-deactivated' : 'user-not-found');
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión expirada. Por favor, inicia sesión nuevamente.'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('❌ Error en refresh:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Cerrar la sesión actual (por token de acceso o por refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let session = refreshToken ? await findSessionByRefreshToken(refreshToken) : null;
+
+    if (!session && req.headers.authorization?.startsWith('Bearer ')) {
+      // Permitir cerrar sesión con un token de acceso aún válido
+      try {
+        const decoded = verifyAccessToken(req.headers.authorization.split(' ')[1]);
+        session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+      } catch (tokenError) {
+        // Token inválido o expirado: no hay sesión que cerrar
+      }
+    }
+
+    if (session && session.isActive()) {
+      await revokeSession(session, 'logout');
+    }
+
+    res.json({ success: true, message: 'Sesión cerrada correctamente' });
+
+  } catch (error) {
+    console.error('❌ Error en logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Listar mis sesiones activas (dispositivos)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip method createdAt lastUsedAt expiresAt')
+      .sort('-lastUsedAt')
+      .lean();
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error listando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revocar todas mis sesiones excepto la actual
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'revoked-by-user', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Se cerraron las demás sesiones',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('❌ Error revocando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revocar una sesión concreta (cerrar sesión en otro dispositivo)
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    if (session.isActive()) {
+      await revokeSession(session, 'revoked-by-user');
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada correctamente'
+    });
+
+  } catch (error) {
+    console.error('❌ Error revocando sesión:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
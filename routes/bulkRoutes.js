@@ -1,10 +1,10 @@
 import express from 'express';
 import { markMultipleAssignmentsCompleted } from '../controllers/bulkActions.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Ruta para marcar múltiples asignaciones como completadas
-router.post('/assignments/mark-completed', verifyToken, markMultipleAssignmentsCompleted);
+router.post('/assignments/mark-completed', verifyToken, requireRole('admin'), markMultipleAssignmentsCompleted);
 
 export default router;
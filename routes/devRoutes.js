@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  listMailbox,
+  getLatestMessage,
+  getMailboxMessage,
+  getMailboxMessageHtml,
+  getMailboxMessageRaw,
+  getMailboxAttachment,
+  clearMailboxMessages
+} from '../controllers/mailboxController.js';
+
+const router = express.Router();
+
+// Herramientas de desarrollo y pruebas: server.js no monta este router en producción
+
+// Buzón local de EMAIL_PROVIDER=capture (sin sesión, para probar flujos como
+// la recuperación de contraseña de principio a fin)
+router.get('/mailbox', listMailbox);
+router.delete('/mailbox', clearMailboxMessages);
+router.get('/mailbox/latest', getLatestMessage);
+router.get('/mailbox/:id', getMailboxMessage);
+router.get('/mailbox/:id/html', getMailboxMessageHtml);
+router.get('/mailbox/:id/raw', getMailboxMessageRaw);
+router.get('/mailbox/:id/attachments/:index', getMailboxAttachment);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { verifyToken } from '../middleware/auth.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  confirmUnsubscribe,
+  unsubscribe
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+// Baja de correos con el token firmado del enlace (sin sesión). El GET solo muestra la
+// confirmación; únicamente el POST desactiva correos
+router.get('/unsubscribe', confirmUnsubscribe);
+router.post('/unsubscribe', unsubscribe);
+
+// Bandeja del usuario autenticado (cada usuario solo ve sus notificaciones)
+router.use(verifyToken);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/read-all', markAllAsRead);
+router.patch('/:id/read', markAsRead);
+
+export default router;
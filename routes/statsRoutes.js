@@ -1,11 +1,11 @@
 import express from 'express';
 import { getTeacherStats } from '../controllers/statsController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Ruta para obtener estadísticas de docentes
 // Requiere autenticación y rol de administrador
-router.get('/teachers', verifyToken, getTeacherStats);
+router.get('/teachers', verifyToken, requireRole('admin'), getTeacherStats);
 
 export default router; 
\ No newline at end of file
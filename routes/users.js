@@ -1,18 +1,33 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import User from '../models/User.js';
 import { uploadProfile } from '../middleware/profileUploadMiddleware.js';
-import { getAllUsers } from '../controllers/userController.js';
+import { ACCESS_TOKEN_EXPIRES_IN } from '../config/jwt.js';
+import { createSession } from '../services/sessionService.js';
+import { handleFailedLogin, lockedAccountResponse, disabledAccountResponse } from '../services/accountLockoutService.js';
+import { loginLimiters } from '../middleware/rateLimiter.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+import {
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getAllUsers,
+  getUserById,
+  updateUser,
+  setUserStatus,
+  deleteUser
+} from '../controllers/userController.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const router = express.Router();
 
-// Ruta para obtener todos los usuarios
-router.get('/', getAllUsers);
+// Listado paginado con búsqueda (solo administradores)
+router.get('/', verifyToken, requireRole('admin'), getAllUsers);
 
 // Endpoint para servir imágenes de perfil
 router.get('/profile-image/:userId', async (req, res) => {
@@ -44,9 +59,9 @@ router.get('/check-numero-control', async (req, res) => {
   res.json({ exists: !!exists });
 });
 
-router.post('/update-profile-image', uploadProfile, async (req, res) => {
+router.post('/update-profile-image', verifyToken, uploadProfile, async (req, res) => {
   try {
-    const userId = req.user.id; // Asumiendo que tienes middleware de autenticación
+    const userId = req.user._id;
     const file = req.file;
 
     if (!file) {
@@ -60,7 +75,7 @@ router.post('/update-profile-image', uploadProfile, async (req, res) => {
       userId,
       { fotoPerfil: file.filename },
       { new: true }
-    );
+    ).select('-password');
 
     res.json({
       success: true,
@@ -76,69 +91,8 @@ router.post('/update-profile-image', uploadProfile, async (req, res) => {
   }
 });
 
-router.post('/register', async (req, res) => {
-  try {
-    const { email, numeroControl } = req.body;
-
-    // Validación más robusta
-    const existingEmail = await User.findOne({ email: email?.toLowerCase() });
-    if (existingEmail) {
-      return res.status(400).json({
-        success: false,
-        message: 'El correo electrónico ya está registrado'
-      });
-    }
-
-    const existingNumControl = await User.findOne({ numeroControl });
-    if (existingNumControl) {
-      return res.status(400).json({
-        success: false,
-        message: 'El número de control ya está registrado'
-      });
-    }
-
-    const hashedPassword = await bcrypt.hash(req.body.password, 10);
-    const user = new User({
-      ...req.body,
-      email: email.toLowerCase(),
-      password: hashedPassword
-    });
-
-    await user.save();
-    
-    res.status(201).json({
-      success: true,
-      message: 'Usuario registrado exitosamente'
-    });
-
-  } catch (error) {
-    console.error('Error en registro:', error);
-    
-    // Manejar errores de índice único
-    if (error.code === 11000) {
-      if (error.keyPattern?.email) {
-        return res.status(400).json({
-          success: false,
-          message: 'El correo electrónico ya está registrado'
-        });
-      }
-      if (error.keyPattern?.numeroControl) {
-        return res.status(400).json({
-          success: false,
-          message: 'El número de control ya está registrado'
-        });
-      }
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error al registrar usuario'
-    });
-  }
-});
-
 // Mejoramos la ruta de login con más validaciones y logs
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiters, async (req, res) => {
   try {
     const { email, password } = req.body;
     console.log('Intento de login con email:', email);
@@ -153,28 +107,41 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.isLocked()) {
+      return res.status(423).json(lockedAccountResponse(user));
+    }
+
     // Verificar contraseña
     const isMatch = await bcrypt.compare(password, user.password);
     console.log('¿Contraseña válida?:', isMatch);
 
     if (!isMatch) {
+      const lockedNow = await handleFailedLogin(user, req);
+      if (lockedNow) {
+        return res.status(423).json(lockedAccountResponse(user));
+      }
       return res.status(401).json({
         success: false,
         message: 'Credenciales incorrectas'
       });
     }
 
+    // Las cuentas dadas de baja conservan sus datos pero no pueden iniciar sesión
+    if (user.activo === false) {
+      return res.status(403).json(disabledAccountResponse());
+    }
+
+    await user.resetLoginAttempts();
+
     // Crear token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'tu_secret_temporal',
-      { expiresIn: '24h' }
-    );
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     // Enviar respuesta exitosa
     res.json({
       success: true,
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: {
         id: user._id,
         email: user.email,
@@ -192,4 +159,20 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ========== PERFIL PROPIO ==========
+
+router.get('/me', verifyToken, getUserProfile);
+router.put('/me', verifyToken, uploadProfile, updateUserProfile);
+router.post('/me/password', verifyToken, changePassword);
+router.get('/me/notification-preferences', verifyToken, getNotificationPreferences);
+router.put('/me/notification-preferences', verifyToken, updateNotificationPreferences);
+
+// ========== ADMINISTRACIÓN DE USUARIOS ==========
+// Deben ir al final para que /:id no capture las rutas anteriores
+
+router.get('/:id', verifyToken, requireRole('admin'), getUserById);
+router.put('/:id', verifyToken, requireRole('admin'), updateUser);
+router.patch('/:id/status', verifyToken, requireRole('admin'), setUserStatus);
+router.delete('/:id', verifyToken, requireRole('admin'), deleteUser);
+
 export default router;
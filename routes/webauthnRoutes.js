@@ -1,8 +1,13 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import crypto from 'crypto';
 import User from '../models/User.js';
+import WebAuthnChallenge from '../models/WebAuthnChallenge.js';
 import { auth } from '../middleware/auth.js';
+import { ACCESS_TOKEN_EXPIRES_IN } from '../config/jwt.js';
+import { createSession } from '../services/sessionService.js';
+import { quickLoginLimiters } from '../middleware/rateLimiter.js';
+import { disabledAccountResponse } from '../services/accountLockoutService.js';
 import {
   generateRegistrationOptions,
   verifyRegistrationResponse,
@@ -17,10 +22,53 @@ const rpName = 'Sistema de Seguimiento de Docentes';
 const rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
 const origin = process.env.WEBAUTHN_ORIGIN || (process.env.NODE_ENV === 'production' ? process.env.FRONTEND_URL : 'http://localhost:5173');
 
+// Vigencia de los desafíos de autenticación (5 minutos, igual que en registro)
+const AUTH_CHALLENGE_TTL_MS = 300000;
+
+// Límite de dispositivos biométricos por usuario
+const MAX_DEVICES = 5;
+
+// Transportes aceptados por el esquema de User.authenticators
+const SUPPORTED_TRANSPORTS = ['internal', 'usb', 'nfc', 'ble', 'hybrid'];
+
+const filterTransports = (transports) => {
+  const filtered = (transports || []).filter(t => SUPPORTED_TRANSPORTS.includes(t));
+  return filtered.length > 0 ? filtered : ['internal'];
+};
+
+/**
+ * Convierte un autenticador almacenado al formato WebAuthnCredential de SimpleWebAuthn
+ */
+const toWebAuthnCredential = (authenticator) => ({
+  id: authenticator.credentialID,
+  publicKey: new Uint8Array(Buffer.from(authenticator.publicKey, 'base64')),
+  // El contador se valida manualmente después para distinguir una regresión
+  counter: 0,
+  transports: authenticator.transports
+});
+
+/**
+ * Resuelve el usuario a partir del userHandle devuelto por una credencial detectable.
+ * El userHandle es el mismo buffer userID que se envía en /registration-options
+ * (el _id del usuario en UTF-8).
+ */
+const resolveUserFromUserHandle = async (userHandle) => {
+  // Viene del cuerpo sin autenticar: cualquier otro tipo se trata como credencial desconocida
+  if (typeof userHandle !== 'string') {
+    return null;
+  }
+  const userId = Buffer.from(userHandle, 'base64url').toString('utf8');
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+  return User.findById(userId);
+};
+
 /**
  * PASO 1: Generar opciones específicas para registro biométrico por usuario
  * Parámetros opcionales:
  * - authenticatorType: 'platform' | 'cross-platform' | 'both'
+ * - discoverable: true para exigir una credencial residente (login sin correo en kioscos)
  */
 router.post('/registration-options', auth, async (req, res) => {
   try {
@@ -31,24 +79,23 @@ router.post('/registration-options', auth, async (req, res) => {
 
     console.log('🔧 Generando opciones de registro para:', user.email);
 
+    if ((user.authenticators?.length || 0) >= MAX_DEVICES) {
+      return res.status(400).json({
+        success: false,
+        message: `Se alcanzó el límite de ${MAX_DEVICES} dispositivos biométricos`,
+        code: 'DEVICE_LIMIT_REACHED'
+      });
+    }
+
     // Obtener tipo de autenticador del request
-    const { authenticatorType = 'both' } = req.body;
-    console.log('🔧 Tipo de autenticador solicitado:', authenticatorType);
+    const { authenticatorType = 'both', discoverable = false } = req.body;
+    console.log('🔧 Tipo de autenticador solicitado:', authenticatorType, discoverable ? '(detectable)' : '');
 
     // Obtener credenciales existentes para evitar re-registro
-    const excludeCredentials = [];
-    
-    if (user.biometric_credential_id) {
-      excludeCredentials.push({ id: user.biometric_credential_id, type: 'public-key' });
-    }
-    
-    if (user.authenticators?.length > 0) {
-      user.authenticators.forEach(auth => {
-        if (auth.credentialID) {
-          excludeCredentials.push({ id: auth.credentialID, type: 'public-key' });
-        }
-      });
-    }
+    const excludeCredentials = user.authenticators.map(auth => ({
+      id: auth.credentialID,
+      transports: auth.transports
+    }));
 
     // Generar userID único basado en el ID del usuario
     const userIdBuffer = Buffer.from(user._id.toString(), 'utf8');
@@ -77,6 +124,12 @@ router.post('/registration-options', auth, async (req, res) => {
         break;
     }
 
+    // Credencial residente obligatoria para que el autenticador devuelva el userHandle
+    if (discoverable) {
+      authenticatorSelection.residentKey = 'required';
+      authenticatorSelection.requireResidentKey = true;
+    }
+
     const options = await generateRegistrationOptions({
       rpName,
       rpID,
@@ -113,6 +166,14 @@ router.post('/register', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
     }
 
+    if ((user.authenticators?.length || 0) >= MAX_DEVICES) {
+      return res.status(400).json({
+        success: false,
+        message: `Se alcanzó el límite de ${MAX_DEVICES} dispositivos biométricos`,
+        code: 'DEVICE_LIMIT_REACHED'
+      });
+    }
+
     // Verificar challenge válido
     if (!user.webauthn_challenge || new Date() > user.webauthn_challenge_expires) {
       return res.status(400).json({
@@ -147,19 +208,16 @@ router.post('/register', auth, async (req, res) => {
         });
       }
 
-      const { credentialID, credentialPublicKey, counter } = verification.registrationInfo;
-      
-      // Convertir a base64url
-      const credentialIdString = Buffer.from(credentialID).toString('base64')
-        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+      // En @simplewebauthn/server v13 el ID ya viene en base64url y la clave como bytes COSE
+      const { credential } = verification.registrationInfo;
+      const credentialIdString = credential.id;
+      const publicKeyString = Buffer.from(credential.publicKey).toString('base64');
+      const counter = credential.counter;
 
       console.log('✅ Nueva credencial para', user.email, ':', credentialIdString);
 
       // Verificar si ya existe
-      const existsInNew = user.biometric_credential_id === credentialIdString;
-      const existsInOld = user.authenticators?.some(auth => auth.credentialID === credentialIdString);
-      
-      if (existsInNew || existsInOld) {
+      if (user.authenticators.some(auth => auth.credentialID === credentialIdString)) {
         return res.status(400).json({
           success: false,
           message: 'Esta credencial ya está registrada.',
@@ -167,29 +225,22 @@ router.post('/register', auth, async (req, res) => {
         });
       }
 
-      // Inicializar authenticators
-      if (!user.authenticators) user.authenticators = [];
-      
       // Crear nuevo authenticator
       const newAuth = {
         credentialID: credentialIdString,
-        publicKey: Buffer.from(credentialPublicKey).toString('base64'),
+        publicKey: publicKeyString,
         counter,
-        transports: ['internal'],
+        transports: filterTransports(credential.transports),
         deviceName: `Huella ${user.authenticators.length + 1}`,
         registeredAt: new Date(),
         lastUsed: new Date()
       };
       
       user.authenticators.push(newAuth);
-      
-      // Habilitar biométrico si es primera huella
-      if (!user.biometric_enabled) {
-        user.biometric_enabled = true;
-        user.biometric_registered_at = new Date();
-        user.biometric_public_key = Buffer.from(credentialPublicKey).toString('base64');
-        user.biometric_credential_id = credentialIdString;
-        user.biometric_counter = counter;
+
+      // Registrar la primera huella activa la biometría
+      if (user.authenticators.length === 1) {
+        user.biometric_paused = false;
       }
       
       // Limpiar challenge
@@ -250,15 +301,26 @@ router.get('/test', async (req, res) => {
  */
 router.post('/toggle', auth, async (req, res) => {
   try {
-    const { enable } = req.body;
-    const userId = req.user.id;
+    const enable = req.body.enable === true || req.body.enable === 'true';
 
     console.log(`🔄 [TOGGLE] ${enable ? 'Activando' : 'Desactivando'} biometría para usuario:`, req.user.email);
 
-    // Actualizar estado biométrico
-    await User.findByIdAndUpdate(userId, {
-      biometricEnabled: enable
-    });
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    // biometric_enabled es derivado: solo puede activarse si hay dispositivos
+    if (enable && user.authenticators.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registra un dispositivo biométrico antes de activar la biometría',
+        code: 'NO_AUTHENTICATORS'
+      });
+    }
+
+    user.biometric_paused = !enable;
+    await user.save();
 
     const message = enable 
       ? 'Autenticación biométrica activada exitosamente' 
@@ -268,7 +330,8 @@ router.post('/toggle', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message
+      message,
+      biometricEnabled: user.biometric_enabled
     });
   } catch (error) {
     console.error('❌ [TOGGLE] Error:', error);
@@ -296,7 +359,7 @@ router.get('/diagnostic', auth, async (req, res) => {
       id: user._id.toString(),
       email: user.email,
       totalAuthenticators: user.authenticators?.length || 0,
-      biometricEnabled: user.biometric_enabled || false
+      biometricEnabled: user.biometric_enabled
     };
 
     // Generar opciones de diagnóstico para diferentes tipos
@@ -389,11 +452,12 @@ router.get('/status', auth, async (req, res) => {
 
     const statusResponse = {
       success: true,
-      biometricEnabled: user.biometric_enabled || false,
+      biometricEnabled: user.biometric_enabled,
+      biometricPaused: user.biometric_paused,
       hasDevices,
       totalDevices,
       devices,
-      canRegisterMore: totalDevices < 5, // Límite de 5 dispositivos por usuario
+      canRegisterMore: totalDevices < MAX_DEVICES,
       user: {
         email: user.email,
         name: `${user.nombre} ${user.apellidoPaterno || ''} ${user.apellidoMaterno || ''}`.trim()
@@ -435,13 +499,9 @@ router.delete('/delete', auth, async (req, res) => {
       total_authenticators: user.authenticators?.length || 0
     });
 
-    // Resetear todos los campos biométricos
-    user.biometric_enabled = false;
-    user.biometric_registered_at = null;
-    user.biometric_public_key = null;
-    user.biometric_credential_id = null;
-    user.biometric_counter = null;
+    // Sin dispositivos, biometric_enabled queda en false automáticamente
     user.authenticators = [];
+    user.biometric_paused = false;
 
     // Limpiar challenges pendientes
     user.webauthn_challenge = undefined;
@@ -469,42 +529,236 @@ router.delete('/delete', auth, async (req, res) => {
 });
 
 /**
- * Otros endpoints para mantener funcionalidad
+ * Renombrar un dispositivo biométrico
  */
-router.post('/quick-login', async (req, res) => {
+router.patch('/devices/:credentialId', auth, async (req, res) => {
   try {
-    const challenge = crypto.randomBytes(32).toString('base64');
-    res.json({ challenge, timeout: 60000 });
+    const deviceName = typeof req.body.deviceName === 'string' ? req.body.deviceName.trim() : '';
+    if (!deviceName || deviceName.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre del dispositivo es requerido (máximo 50 caracteres)'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    }
+
+    const authenticator = user.authenticators.find(auth => auth.credentialID === req.params.credentialId);
+    if (!authenticator) {
+      return res.status(404).json({ success: false, message: 'Dispositivo no encontrado', code: 'DEVICE_NOT_FOUND' });
+    }
+
+    authenticator.deviceName = deviceName;
+    await user.save();
+
+    console.log('✏️ [DEVICES] Dispositivo renombrado para', user.email, ':', deviceName);
+
+    res.json({
+      success: true,
+      message: 'Dispositivo renombrado correctamente',
+      device: {
+        id: authenticator.credentialID,
+        name: authenticator.deviceName,
+        registeredAt: authenticator.registeredAt,
+        lastUsed: authenticator.lastUsed
+      }
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    console.error('❌ [DEVICES] Error renombrando dispositivo:', error);
+    res.status(500).json({ success: false, message: 'Error renombrando dispositivo', error: error.message });
   }
 });
 
-router.put('/quick-login', async (req, res) => {
+/**
+ * Revocar un único dispositivo biométrico
+ */
+router.delete('/devices/:credentialId', auth, async (req, res) => {
   try {
-    const { credentialId } = req.body;
-    
-    let user = await User.findOne({ biometric_credential_id: credentialId });
+    const user = await User.findById(req.user.id);
     if (!user) {
-      user = await User.findOne({ 'authenticators.credentialID': credentialId });
+      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
     }
 
-    if (!user || !user.biometric_enabled) {
-      return res.status(404).json({ success: false, message: 'Credencial no válida' });
+    const index = user.authenticators.findIndex(auth => auth.credentialID === req.params.credentialId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, message: 'Dispositivo no encontrado', code: 'DEVICE_NOT_FOUND' });
     }
 
-    const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    const [removed] = user.authenticators.splice(index, 1);
+    await user.save();
+
+    console.log('🗑️ [DEVICES] Dispositivo revocado para', user.email, ':', removed.deviceName);
+
+    res.json({
+      success: true,
+      message: 'Dispositivo revocado correctamente',
+      biometricEnabled: user.biometric_enabled,
+      totalDevices: user.authenticators.length
+    });
+  } catch (error) {
+    console.error('❌ [DEVICES] Error revocando dispositivo:', error);
+    res.status(500).json({ success: false, message: 'Error revocando dispositivo', error: error.message });
+  }
+});
+
+/**
+ * LOGIN RÁPIDO - PASO 1: Generar opciones de autenticación
+ * El desafío se guarda en el servidor y solo puede consumirse una vez.
+ * Parámetros opcionales:
+ * - email: limita allowCredentials a los dispositivos de ese usuario.
+ *   Sin email, allowCredentials queda vacío y el navegador ofrece las
+ *   credenciales detectables del dispositivo (flujo de kiosco sin correo).
+ */
+router.post('/quick-login', quickLoginLimiters, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    let user = null;
+    let allowCredentials;
+
+    if (email) {
+      user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || !user.biometric_enabled) {
+        return res.status(404).json({
+          success: false,
+          message: 'No hay dispositivos biométricos registrados para este usuario',
+          code: 'NO_AUTHENTICATORS'
+        });
+      }
+
+      allowCredentials = user.authenticators.map(auth => ({
+        id: auth.credentialID,
+        transports: auth.transports
+      }));
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID,
+      allowCredentials,
+      timeout: 60000,
+      userVerification: 'required'
+    });
+
+    await WebAuthnChallenge.create({
+      challenge: options.challenge,
+      type: 'authentication',
+      user: user ? user._id : null,
+      expiresAt: new Date(Date.now() + AUTH_CHALLENGE_TTL_MS)
+    });
+
+    res.json({
+      success: true,
+      options,
+      // Compatibilidad con clientes que leen el challenge directamente
+      challenge: options.challenge,
+      timeout: options.timeout
+    });
+  } catch (error) {
+    console.error('❌ [QUICK-LOGIN] Error generando opciones:', error);
+    res.status(500).json({ success: false, message: 'Error al generar opciones', error: error.message });
+  }
+});
+
+/**
+ * LOGIN RÁPIDO - PASO 2: Verificar la aserción firmada y emitir el token
+ */
+router.put('/quick-login', quickLoginLimiters, async (req, res) => {
+  try {
+    const { response } = req.body || {};
+    if (!response || !response.id || !response.response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Respuesta de autenticación requerida',
+        code: 'MISSING_RESPONSE'
+      });
+    }
+
+    // Con credenciales detectables el autenticador devuelve el userHandle;
+    // si no, se localiza al usuario por el ID de la credencial
+    const { userHandle } = response.response;
+    const user = userHandle
+      ? await resolveUserFromUserHandle(userHandle)
+      : await User.findOne({ 'authenticators.credentialID': response.id });
+    const authenticator = user?.authenticators.find(auth => auth.credentialID === response.id);
+
+    if (!user || !authenticator || !user.biometric_enabled) {
+      return res.status(401).json({ success: false, message: 'Credencial no válida', code: 'UNKNOWN_CREDENTIAL' });
+    }
+
+    let storedChallenge = null;
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: async (challenge) => {
+          storedChallenge = await WebAuthnChallenge.consume(challenge, 'authentication');
+          return Boolean(storedChallenge);
+        },
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: toWebAuthnCredential(authenticator),
+        requireUserVerification: true
+      });
+    } catch (verificationError) {
+      console.error('❌ [QUICK-LOGIN] Error verificación:', verificationError.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Verificación biométrica fallida',
+        code: 'VERIFICATION_FAILED'
+      });
+    }
+
+    // El desafío debe haberse emitido para este usuario (si se emitió para uno concreto)
+    if (!verification.verified || (storedChallenge.user && !storedChallenge.user.equals(user._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Verificación biométrica fallida',
+        code: 'VERIFICATION_FAILED'
+      });
+    }
+
+    // Detección de regresión del contador (posible autenticador clonado)
+    const { newCounter } = verification.authenticationInfo;
+    if ((newCounter > 0 || authenticator.counter > 0) && newCounter <= authenticator.counter) {
+      console.warn('⚠️ [QUICK-LOGIN] Regresión de contador para', user.email, {
+        credentialID: authenticator.credentialID,
+        stored: authenticator.counter,
+        received: newCounter
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'El dispositivo biométrico no es confiable. Vuelve a registrarlo.',
+        code: 'COUNTER_REGRESSION'
+      });
+    }
+
+    if (user.activo === false) {
+      return res.status(403).json(disabledAccountResponse());
+    }
+
+    authenticator.counter = newCounter;
+    authenticator.lastUsed = new Date();
+    await user.save();
+
+    const { accessToken: token, refreshToken } = await createSession(user, req, 'biometric');
+
+    console.log('✅ [QUICK-LOGIN] Login biométrico verificado para', user.email);
 
     res.json({
       success: true,
       message: 'Login exitoso',
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: { id: user._id, email: user.email, nombre: user.nombre, apellidoPaterno: user.apellidoPaterno, apellidoMaterno: user.apellidoMaterno, role: user.role }
     });
 
   } catch (error) {
+    console.error('❌ [QUICK-LOGIN] Error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * 🔄 Ejecuta las migraciones de datos pendientes
+ * Uso: npm run migrate
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runMigrations } from '../migrations/index.js';
+
+dotenv.config();
+
+const main = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/seguimiento_docentes';
+    await mongoose.connect(mongoURI);
+    console.log(`🟢 Conectado a ${mongoose.connection.name}`);
+
+    await runMigrations();
+  } catch (error) {
+    console.error('🔴 Error ejecutando migraciones:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
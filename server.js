@@ -15,10 +15,22 @@ import semestresRoutes from './routes/semestres.js';
 import dailyRecordRoutes from './routes/dailyRecordRoutes.js';
 import statsRoutes from './routes/statsRoutes.js';
 import bulkRoutes from './routes/bulkRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import devRoutes from './routes/devRoutes.js';
 
 // Importar middlewares
 import errorHandler from './middleware/errorHandler.js';
 import { uploadConfig } from './config/upload.js';
+import { runMigrations } from './migrations/index.js';
+import { getJwtSecret } from './config/jwt.js';
+import { startScheduledAssignmentsCron } from './services/scheduledAssignmentsService.js';
+import { startReminderCron } from './services/reminderService.js';
+import { startPerformanceReportCron } from './services/performanceReportService.js';
+import { startNotificationDigestCron } from './services/notificationDigestService.js';
+import jobQueue from './services/jobQueue.js';
+import notificationService from './services/notificationService.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
 
 // Configurar __dirname para ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -30,6 +42,11 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Detrás de un proxy (Vercel, Nginx) req.ip debe salir de X-Forwarded-For para el rate limiting
+if (process.env.NODE_ENV === 'production' || process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // ========== MIDDLEWARES GLOBALES ==========
 
 // CORS configurado para desarrollo y producción
@@ -102,6 +119,15 @@ app.use('/api/semestres', semestresRoutes);
 app.use('/api/daily-records', dailyRecordRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/bulk', bulkRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Herramientas de desarrollo (buzón local de correos): solo con el proveedor de captura
+// activo y nunca en producción, porque el buzón expone enlaces de recuperación y tokens
+if (process.env.EMAIL_PROVIDER === 'capture' && process.env.NODE_ENV !== 'production') {
+  app.use('/api/dev', devRoutes);
+  console.log('🧪 Rutas de desarrollo habilitadas en /api/dev');
+}
 
 // Ruta para servir el frontend en producción
 if (process.env.NODE_ENV === 'production') {
@@ -142,11 +168,17 @@ process.on('uncaughtException', (err) => {
 
 const startServer = async () => {
   try {
+    // El secreto JWT es obligatorio: sin él no se pueden emitir ni validar sesiones
+    getJwtSecret();
+
     // Conectar a la base de datos
     await connectDB();
+
+    // Aplicar migraciones de datos pendientes
+    await runMigrations();
     
     // Iniciar el servidor
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log('🚀 ========================================');
       console.log('🚀 SERVIDOR INICIADO CORRECTAMENTE');
       console.log('🚀 ========================================');
@@ -168,8 +200,33 @@ const startServer = async () => {
       console.log('   📊 /api/stats/* - Estadísticas');
       console.log('   📋 /api/daily-records/* - Registros diarios');
       console.log('   🔄 /api/bulk/* - Operaciones en lote');
+      console.log('   🛡️ /api/admin/* - Administración de usuarios e invitaciones');
+      console.log('   🔔 /api/notifications/* - Bandeja de notificaciones');
+      console.log('   🔔 /socket.io - Notificaciones en tiempo real (token en auth.token)');
       console.log('🚀 ========================================');
     });
+
+    // Notificaciones en tiempo real sobre el mismo servidor HTTP
+    notificationService.initialize(server, { origins: corsOrigins });
+
+    // Worker de la cola de trabajos (desactivable con JOB_QUEUE_ENABLED=false;
+    // los trabajos se quedan en MongoDB hasta que otra instancia los procese)
+    registerJobHandlers();
+    if (process.env.JOB_QUEUE_ENABLED !== 'false') {
+      jobQueue.start();
+    } else {
+      console.log('⏸️ Worker de la cola de trabajos desactivado (JOB_QUEUE_ENABLED=false)');
+    }
+
+    // Tareas periódicas en el mismo proceso (desactivables con SCHEDULED_JOBS_ENABLED=false)
+    if (process.env.SCHEDULED_JOBS_ENABLED !== 'false') {
+      startScheduledAssignmentsCron();
+      startReminderCron();
+      startPerformanceReportCron();
+      startNotificationDigestCron();
+    } else {
+      console.log('⏸️ Tareas programadas desactivadas (SCHEDULED_JOBS_ENABLED=false)');
+    }
     
   } catch (error) {
     console.error('🔴 Error iniciando el servidor:', error.message);
@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+import { enqueueEmail, emailRecipient } from './backgroundJobs.js';
+
+/**
+ * Respuesta estándar para una cuenta bloqueada (HTTP 423)
+ */
+export const lockedAccountResponse = (user) => ({
+  success: false,
+  message: 'La cuenta está bloqueada temporalmente por demasiados intentos fallidos. Inténtalo más tarde o restablece tu contraseña.',
+  code: 'ACCOUNT_LOCKED',
+  lockUntil: user.lockUntil
+});
+
+/**
+ * Respuesta estándar para una cuenta dada de baja por un administrador (HTTP 403)
+ */
+export const disabledAccountResponse = () => ({
+  success: false,
+  message: 'Tu cuenta está desactivada. Contacta a un administrador.',
+  code: 'ACCOUNT_DISABLED'
+});
+
+/**
+ * Registra un intento fallido de contraseña y, si provoca un bloqueo,
+ * avisa al titular de la cuenta por correo.
+ * @returns {Promise<boolean>} - true si la cuenta acaba de bloquearse
+ */
+export const handleFailedLogin = async (user, req) => {
+  const lockedNow = await user.registerFailedLogin();
+
+  if (lockedNow) {
+    console.warn(`🔒 Cuenta bloqueada hasta ${user.lockUntil.toISOString()}:`, user.email);
+
+    // El correo se envía desde la cola: no debe retrasar la respuesta
+    await enqueueEmail('sendAccountLockedNotification', user.email, emailRecipient(user), {
+      lockUntil: user.lockUntil,
+      attempts: User.MAX_FAILED_LOGIN_ATTEMPTS,
+      ipAddress: req.ip
+    });
+  }
+
+  return lockedNow;
+};
+
+export default {
+  lockedAccountResponse,
+  disabledAccountResponse,
+  handleFailedLogin
+};
@@ -0,0 +1,89 @@
+import jobQueue from './jobQueue.js';
+
+/**
+ * Tipos de trabajo en segundo plano y atajos para encolarlos.
+ * Los handlers se registran en services/jobHandlers.js.
+ */
+export const JOB_TYPES = {
+  EMAIL: 'email',
+  TEACHER_STATS: 'teacher-stats',
+  PUBLISH_SCHEDULED: 'publish-scheduled-assignments',
+  REMINDER_SWEEP: 'assignment-reminders',
+  PERFORMANCE_REPORT: 'performance-report',
+  NOTIFICATION_DIGEST: 'notification-digest'
+};
+
+/**
+ * Datos mínimos de un usuario para las plantillas de correo.
+ * Nunca se guarda el documento completo (contraseña, autenticadores) en la cola.
+ */
+export const emailRecipient = (user) => ({
+  _id: user._id?.toString(),
+  email: user.email,
+  nombre: user.nombre,
+  apellidoPaterno: user.apellidoPaterno,
+  apellidoMaterno: user.apellidoMaterno,
+  locale: user.locale
+});
+
+/**
+ * Encola un correo. `method` es el nombre del método de emailService
+ * y `args` sus argumentos (deben poder serializarse a JSON).
+ */
+export const enqueueEmail = (method, ...args) =>
+  jobQueue.enqueueSafe(JOB_TYPES.EMAIL, { method, args });
+
+// Igual que enqueueEmail pero no se envía antes de `runAt` (p. ej. al terminar las horas de silencio)
+export const enqueueEmailAt = (runAt, method, ...args) =>
+  jobQueue.enqueueSafe(JOB_TYPES.EMAIL, { method, args }, { runAt });
+
+/**
+ * Encola el recálculo de estadísticas de un docente; varias peticiones
+ * seguidas para el mismo docente se agrupan en un único trabajo pendiente.
+ */
+export const enqueueTeacherStatsUpdate = (teacherId) =>
+  jobQueue.enqueueSafe(
+    JOB_TYPES.TEACHER_STATS,
+    { teacherId: teacherId.toString() },
+    { uniqueKey: `${JOB_TYPES.TEACHER_STATS}:${teacherId}` }
+  );
+
+export const enqueueScheduledPublishing = (trigger = 'cron') =>
+  jobQueue.enqueueSafe(
+    JOB_TYPES.PUBLISH_SCHEDULED,
+    { trigger },
+    { uniqueKey: JOB_TYPES.PUBLISH_SCHEDULED }
+  );
+
+export const enqueueReminderSweep = (trigger = 'cron') =>
+  jobQueue.enqueueSafe(
+    JOB_TYPES.REMINDER_SWEEP,
+    { trigger },
+    { uniqueKey: JOB_TYPES.REMINDER_SWEEP }
+  );
+
+export const enqueuePerformanceReport = (trigger = 'cron') =>
+  jobQueue.enqueueSafe(
+    JOB_TYPES.PERFORMANCE_REPORT,
+    { trigger },
+    { uniqueKey: JOB_TYPES.PERFORMANCE_REPORT }
+  );
+
+export const enqueueNotificationDigest = (trigger = 'cron') =>
+  jobQueue.enqueueSafe(
+    JOB_TYPES.NOTIFICATION_DIGEST,
+    { trigger },
+    { uniqueKey: JOB_TYPES.NOTIFICATION_DIGEST }
+  );
+
+export default {
+  JOB_TYPES,
+  emailRecipient,
+  enqueueEmail,
+  enqueueEmailAt,
+  enqueueTeacherStatsUpdate,
+  enqueueScheduledPublishing,
+  enqueueReminderSweep,
+  enqueuePerformanceReport,
+  enqueueNotificationDigest
+};
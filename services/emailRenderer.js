@@ -0,0 +1,216 @@
+import handlebars from 'handlebars';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Renderizado de correos: plantillas de templates/emails con los parciales de
+ * templates/emails/partials (layout, pie), textos por idioma de
+ * templates/emails/locales y versión en texto plano generada desde el HTML.
+ */
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+const LOCALES_DIR = path.join(TEMPLATES_DIR, 'locales');
+
+export const SUPPORTED_LOCALES = ['es', 'en'];
+const INTL_LOCALES = { es: 'es-MX', en: 'en-US' };
+const TIMEZONE = 'America/Mexico_City';
+
+// Instancia propia para no mezclar helpers con otros usos de handlebars
+const hbs = handlebars.create();
+
+const locales = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+  locale,
+  JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'))
+]));
+
+// Se lee en cada uso: dotenv se carga después de importar los servicios
+export const getDefaultLocale = () =>
+  SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'es';
+
+export const resolveLocale = (locale) =>
+  SUPPORTED_LOCALES.includes(locale) ? locale : getDefaultLocale();
+
+/**
+ * Variables de marca de la institución (configurables por entorno)
+ */
+export const getBrand = () => ({
+  name: process.env.COMPANY_NAME || 'Sistema de Seguimiento de Docentes',
+  institution: process.env.INSTITUTION_NAME || 'TESJO',
+  logoUrl: process.env.BRAND_LOGO_URL || null,
+  primaryColor: process.env.BRAND_PRIMARY_COLOR || '#667eea',
+  secondaryColor: process.env.BRAND_SECONDARY_COLOR || '#764ba2',
+  supportEmail: process.env.SUPPORT_EMAIL || 'soporte@sistema.com',
+  websiteUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+});
+
+const lookup = (locale, key) => {
+  const find = (strings) => key.split('.').reduce((node, part) => node?.[part], strings);
+  return find(locales[locale]) ?? find(locales[getDefaultLocale()]);
+};
+
+// Plurales: { zero?, one, other } según `count`
+const pluralize = (entry, count) => {
+  if (typeof entry !== 'object' || entry === null) {
+    return entry;
+  }
+  if (count === 0 && entry.zero !== undefined) {
+    return entry.zero;
+  }
+  return count === 1 ? entry.one : entry.other;
+};
+
+/**
+ * Traduce una clave ('password-reset.subject') sustituyendo {variables}
+ * @param {boolean} escape - Escapar las variables (HTML) o dejarlas tal cual (asunto)
+ */
+export const translate = (locale, key, vars = {}, { escape = false } = {}) => {
+  const entry = pluralize(lookup(resolveLocale(locale), key), vars.count);
+  if (typeof entry !== 'string') {
+    console.warn(`⚠️ Texto de correo sin traducir: ${key}`);
+    return key;
+  }
+  return entry.replace(/\{(\w+)\}/g, (match, name) => {
+    if (vars[name] === undefined || vars[name] === null) {
+      return '';
+    }
+    return escape ? hbs.Utils.escapeExpression(vars[name]) : String(vars[name]);
+  });
+};
+
+const formatWith = (options) => function(value, helperOptions) {
+  if (!value) {
+    return '';
+  }
+  const locale = INTL_LOCALES[resolveLocale(helperOptions.data.root._locale)];
+  return new Intl.DateTimeFormat(locale, { timeZone: TIMEZONE, ...options }).format(new Date(value));
+};
+
+// {{t "clave" "subclave" variable=valor}}: las partes se unen con '.'; los textos son
+// de confianza (pueden llevar <strong>) pero las variables siempre se escapan
+hbs.registerHelper('t', function(...args) {
+  const options = args.pop();
+  const key = args.join('.');
+  return new hbs.SafeString(translate(options.data.root._locale, key, options.hash, { escape: true }));
+});
+
+hbs.registerHelper('formatDate', formatWith({ year: 'numeric', month: 'long', day: 'numeric' }));
+hbs.registerHelper('formatDateTime', formatWith({
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}));
+hbs.registerHelper('formatTime', formatWith({ hour: '2-digit', minute: '2-digit' }));
+
+hbs.registerHelper('truncate', (value, length) => {
+  const text = String(value ?? '');
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+});
+
+for (const file of fs.readdirSync(PARTIALS_DIR).filter(name => name.endsWith('.hbs'))) {
+  hbs.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8'));
+}
+
+const compiled = new Map();
+
+const getTemplate = (name) => {
+  // En desarrollo se relee la plantilla para ver los cambios sin reiniciar
+  if (!compiled.has(name) || process.env.NODE_ENV === 'development') {
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${name}.hbs`), 'utf8');
+    compiled.set(name, hbs.compile(source));
+  }
+  return compiled.get(name);
+};
+
+/**
+ * Nombres de las plantillas de correo disponibles (sin parciales)
+ */
+export const listTemplates = () =>
+  fs.readdirSync(TEMPLATES_DIR)
+    .filter(file => file.endsWith('.hbs'))
+    .map(file => path.basename(file, '.hbs'))
+    .sort();
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', mdash: '—' };
+
+/**
+ * Versión en texto plano de un correo HTML: conserva párrafos, listas, tablas y
+ * enlaces ("texto: url"), y descarta estilos y encabezados del documento
+ */
+export const htmlToText = (html) => {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+
+  return body
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    // Los espacios del código fuente no cuentan en HTML; los saltos salen de las etiquetas
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      if (!text || href.startsWith('mailto:') || text === href) {
+        return text || href;
+      }
+      return `${text}: ${href}`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Renderiza un correo completo en el idioma indicado
+ * @param {string} name - Plantilla de templates/emails (sin extensión)
+ * @param {object} data - Datos de la plantilla; también sirven de variables del asunto
+ * @param {string} locale - 'es' | 'en' (si no se reconoce se usa DEFAULT_LOCALE)
+ * @param {object} options - { subjectKey } clave del asunto dentro de la plantilla
+ * @returns {object} - { subject, html, text, locale }
+ */
+export const renderEmail = (name, data = {}, locale, { subjectKey = 'subject' } = {}) => {
+  const lang = resolveLocale(locale);
+  const brand = getBrand();
+
+  const html = getTemplate(name)({
+    ...data,
+    brand,
+    currentYear: new Date().getFullYear(),
+    _locale: lang
+  });
+
+  return {
+    subject: translate(lang, `${name}.${subjectKey}`, { ...data, brand: brand.name }),
+    html,
+    text: htmlToText(html),
+    locale: lang
+  };
+};
+
+export default {
+  SUPPORTED_LOCALES,
+  getDefaultLocale,
+  resolveLocale,
+  getBrand,
+  translate,
+  listTemplates,
+  htmlToText,
+  renderEmail
+};
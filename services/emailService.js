@@ -1,11 +1,47 @@
 import nodemailer from 'nodemailer';
-import handlebars from 'handlebars';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import EmailLog from '../models/EmailLog.js';
+import { renderEmail, listTemplates } from './emailRenderer.js';
+import { createCaptureTransport, getMailboxDir } from './mailCaptureService.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Fuera de la cola, los fallos temporales se reintentan aquí mismo
+const INLINE_SEND_ATTEMPTS = 3;
+const INLINE_RETRY_DELAY_MS = 2000;
+
+// Errores de red/conexión de nodemailer que suelen resolverse solos
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNECTION',
+  'ETIMEDOUT',
+  'ESOCKET',
+  'EDNS',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EAI_AGAIN'
+]);
+// Errores de configuración o del mensaje: reintentar no cambia el resultado
+const PERMANENT_ERROR_CODES = new Set(['EAUTH', 'EENVELOPE', 'EMESSAGE']);
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Indica si un error de envío es temporal y vale la pena reintentarlo.
+ * Las respuestas SMTP 4xx son temporales y las 5xx definitivas; ante un
+ * error desconocido se reintenta, como hacía la cola hasta ahora.
+ */
+export const isTransientError = (error) => {
+  if (error?.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  if (PERMANENT_ERROR_CODES.has(error?.code)) {
+    return false;
+  }
+  return TRANSIENT_ERROR_CODES.has(error?.code) || !error?.code;
+};
+
+// Trabajo de la cola en curso (lo fija jobHandlers con runInJob)
+const deliveryContext = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Servicio de Email para el envío de correos electrónicos
@@ -119,6 +155,15 @@ class EmailService {
         console.log('✅ Transportador SMTP configurado');
         break;
 
+      case 'capture':
+        // Guarda los correos en un buzón local (GET /api/dev/mailbox) sin enviarlos
+        if (process.env.NODE_ENV === 'production') {
+          console.warn('⚠️ EMAIL_PROVIDER=capture en producción: los correos NO se enviarán');
+        }
+        this.transporter = nodemailer.createTransport(createCaptureTransport());
+        console.log('✅ Transportador de captura configurado, buzón en:', getMailboxDir());
+        break;
+
       case 'development':
       default:
         console.warn('⚠️ Modo de desarrollo - emails solo se mostrarán en consola');
@@ -156,113 +201,214 @@ class EmailService {
   }
 
   /**
-   * Compila un template de Handlebars con datos
-   * @param {string} templateName - Nombre del template
-   * @param {object} data - Datos para el template
-   * @returns {string} - HTML compilado
+   * Ejecuta `fn` como parte de un trabajo de la cola: los envíos se registran en
+   * el EmailLog del trabajo y no se reintentan aquí (la cola aplica su backoff).
+   * Tras un fallo, `context.transient` indica si el error es temporal.
+   * @param {object} context - { jobId }
+   */
+  runInJob(context, fn) {
+    return deliveryContext.run(context, fn);
+  }
+
+  /**
+   * Envía un correo y registra el resultado en EmailLog.
+   * Todos los métodos de envío pasan por aquí en lugar de llamar al transportador.
+   * @param {object} mailOptions - Opciones de nodemailer
+   * @param {object} options - { template, sensitive, resendOf, resentBy }
+   *   - sensitive: no guarda el contenido (enlaces de un solo uso); no se podrá reenviar
    */
-  compileTemplate(templateName, data) {
+  async deliver(mailOptions, { template, sensitive = false, resendOf = null, resentBy = null } = {}) {
+    this.ensureTransporter();
+
+    const context = deliveryContext.getStore();
+    const log = await this.openLog(mailOptions, { template, sensitive, resendOf, resentBy, jobId: context?.jobId });
+    const maxAttempts = context ? 1 : INLINE_SEND_ATTEMPTS;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.transporter.sendMail(mailOptions);
+        await this.updateLog(log, {
+          $set: {
+            status: 'sent',
+            messageId: result?.messageId || null,
+            response: result?.response || null,
+            error: null,
+            errorCode: null,
+            transient: null,
+            sentAt: new Date(),
+            lastAttemptAt: new Date()
+          },
+          $inc: { attempts: 1 }
+        });
+        return result;
+      } catch (error) {
+        const transient = isTransientError(error);
+        if (context) {
+          context.transient = transient;
+        }
+
+        await this.updateLog(log, {
+          $set: {
+            status: 'failed',
+            error: error.message,
+            errorCode: error.code || (error.responseCode ? String(error.responseCode) : null),
+            transient,
+            lastAttemptAt: new Date()
+          },
+          $inc: { attempts: 1 }
+        });
+
+        if (!transient || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        console.warn(`⚠️ Fallo temporal enviando correo a ${log?.to || mailOptions.to} (intento ${attempt}/${maxAttempts}), reintentando:`, error.message);
+        await sleep(INLINE_RETRY_DELAY_MS * attempt);
+      }
+    }
+  }
+
+  /**
+   * Crea (o reutiliza, si es un reintento del mismo trabajo) el registro del envío.
+   * Un fallo al registrar nunca impide enviar el correo.
+   */
+  async openLog(mailOptions, { template, sensitive, resendOf, resentBy, jobId }) {
+    const fields = {
+      to: [].concat(mailOptions.to).join(', '),
+      subject: mailOptions.subject || '',
+      template: template || 'custom',
+      resendOf,
+      resentBy,
+      resendable: !sensitive,
+      content: sensitive ? null : {
+        from: mailOptions.from,
+        html: mailOptions.html,
+        text: mailOptions.text,
+        headers: mailOptions.headers
+      }
+    };
+
     try {
-      const templatePath = path.join(__dirname, '../templates/emails', `${templateName}.hbs`);
-      
-      // Verificar si el archivo existe
-      if (!fs.existsSync(templatePath)) {
-        console.warn(`⚠️ Template no encontrado: ${templatePath}`);
-        return this.getDefaultTemplate(templateName, data);
+      if (jobId) {
+        return await EmailLog.findOneAndUpdate(
+          { job: jobId },
+          { $set: { status: 'sending' }, $setOnInsert: { ...fields, job: jobId } },
+          { upsert: true, new: true }
+        );
       }
-      
-      const templateSource = fs.readFileSync(templatePath, 'utf8');
-      const template = handlebars.compile(templateSource);
-      return template(data);
+      return await EmailLog.create(fields);
     } catch (error) {
-      console.error('❌ Error compilando template:', error);
-      return this.getDefaultTemplate(templateName, data);
+      console.error('❌ Error registrando el envío de correo:', error.message);
+      return null;
+    }
+  }
+
+  async updateLog(log, update) {
+    if (!log) {
+      return;
+    }
+    try {
+      await EmailLog.updateOne({ _id: log._id }, update);
+    } catch (error) {
+      console.error('❌ Error actualizando el registro de correo:', error.message);
     }
   }
 
   /**
-   * Template por defecto si no se encuentran los archivos .hbs
+   * Reenvía un correo registrado con el mismo contenido; crea un registro nuevo
+   * enlazado al original
+   * @param {string} logId - ID del EmailLog original
+   * @param {string} resentBy - Administrador que solicita el reenvío
    */
-  getDefaultTemplate(templateName, data) {
-    if (templateName === 'password-reset') {
-      return `
-<!DOCTYPE html>
-<html>
-<head><title>Recuperación de Contraseña</title></head>
-<body>
-  <h2>Recuperación de Contraseña</h2>
-  <p>Hola ${data.userName},</p>
-  <p>Haz clic en el siguiente enlace para restablecer tu contraseña:</p>
-  <a href="${data.resetUrl}">Restablecer Contraseña</a>
-  <p>Este enlace expirará en ${data.expirationTime}.</p>
-  <p>Si no solicitaste esto, puedes ignorar este correo.</p>
-</body>
-</html>
-      `;
-    } else if (templateName === 'password-changed') {
-      return `
-<!DOCTYPE html>
-<html>
-<head><title>Contraseña Actualizada</title></head>
-<body>
-  <h2>Contraseña Actualizada</h2>
-  <p>Hola ${data.userName},</p>
-  <p>Tu contraseña ha sido actualizada exitosamente el ${data.changeDate}.</p>
-  <p>Si no fuiste tú, contacta inmediatamente a soporte.</p>
-</body>
-</html>
-      `;
+  async resendLoggedEmail(logId, resentBy = null) {
+    const original = await EmailLog.findById(logId).select('+content').lean();
+    if (!original) {
+      throw new Error('Registro de correo no encontrado');
     }
-    return '<p>Error: Template no disponible</p>';
+    if (!original.resendable || !original.content) {
+      throw new Error('Este correo no puede reenviarse');
+    }
+
+    const result = await this.deliver({
+      from: original.content.from,
+      to: original.to,
+      subject: original.subject,
+      html: original.content.html,
+      text: original.content.text,
+      headers: original.content.headers
+    }, {
+      template: original.template,
+      resendOf: original._id,
+      resentBy
+    });
+
+    console.log('✅ Correo reenviado a:', original.to);
+    return result;
+  }
+
+  /**
+   * Nombres de las plantillas disponibles en templates/emails
+   */
+  listTemplates() {
+    return listTemplates();
+  }
+
+  /**
+   * Renderiza una plantilla en el idioma del destinatario (ver services/emailRenderer.js)
+   * @returns {object} - { subject, html, text, locale }
+   */
+  render(templateName, data, locale, options) {
+    return renderEmail(templateName, data, locale, options);
+  }
+
+  /**
+   * Remitente común de todos los correos
+   */
+  getSender() {
+    return {
+      name: process.env.EMAIL_FROM_NAME || 'Sistema de Seguimiento',
+      address: process.env.EMAIL_FROM || process.env.EMAIL_USER
+    };
+  }
+
+  /**
+   * Renderiza una plantilla y la envía con su versión en texto plano
+   * @param {string} templateName - Plantilla de templates/emails
+   * @param {object} message - { to, locale, data, headers, subjectKey }
+   * @param {object} deliveryOptions - Opciones de deliver (p. ej. { sensitive: true })
+   */
+  async sendTemplate(templateName, { to, locale, data, headers, subjectKey }, deliveryOptions = {}) {
+    const { subject, html, text } = this.render(templateName, data, locale, { subjectKey });
+
+    return await this.deliver({
+      from: this.getSender(),
+      to,
+      subject,
+      html,
+      text,
+      headers
+    }, { template: templateName, ...deliveryOptions });
   }
 
   /**
    * Envía un email de recuperación de contraseña
    * @param {string} email - Email del destinatario
    * @param {string} resetToken - Token de recuperación
-   * @param {object} user - Datos del usuario
+   * @param {object} user - Datos del usuario (incluye locale)
    */
   async sendPasswordResetEmail(email, resetToken, user) {
     try {
-      this.ensureTransporter(); // Asegurar que el transportador esté inicializado
-      const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
-      
-      const templateData = {
-        userName: `${user.nombre} ${user.apellidoPaterno}`,
-        resetUrl,
-        expirationTime: '1 hora',
-        supportEmail: process.env.SUPPORT_EMAIL || 'soporte@sistema.com',
-        companyName: process.env.COMPANY_NAME || 'Sistema de Seguimiento de Docentes',
-        currentYear: new Date().getFullYear()
-      };
+      const resetUrl = `${frontendUrl()}/reset-password?token=${resetToken}`;
 
-      const htmlContent = this.compileTemplate('password-reset', templateData);
-
-      const mailOptions = {
-        from: {
-          name: process.env.EMAIL_FROM_NAME || 'Sistema de Seguimiento',
-          address: process.env.EMAIL_FROM || process.env.EMAIL_USER
-        },
+      const result = await this.sendTemplate('password-reset', {
         to: email,
-        subject: 'Recuperación de Contraseña - Sistema de Seguimiento',
-        html: htmlContent,
-        text: `
-Hola ${templateData.userName},
-
-Has solicitado restablecer tu contraseña. Haz clic en el siguiente enlace para continuar:
-
-${resetUrl}
-
-Este enlace expirará en 1 hora.
-
-Si no solicitaste este cambio, puedes ignorar este correo.
-
-Saludos,
-${templateData.companyName}
-        `.trim()
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
+        locale: user.locale,
+        data: {
+          userName: `${user.nombre} ${user.apellidoPaterno}`,
+          resetUrl,
+          expirationHours: 1
+        }
+      }, { sensitive: true });
       
       console.log('✅ Email de recuperación enviado:', {
         messageId: result.messageId,
@@ -294,45 +440,100 @@ ${templateData.companyName}
   /**
    * Envía un email de confirmación de cambio de contraseña
    * @param {string} email - Email del destinatario
-   * @param {object} user - Datos del usuario
+   * @param {object} user - Datos del usuario (incluye locale)
    */
   async sendPasswordChangeConfirmation(email, user) {
     try {
-      const templateData = {
-        userName: `${user.nombre} ${user.apellidoPaterno}`,
-        changeDate: new Date().toLocaleString('es-ES'),
-        supportEmail: process.env.SUPPORT_EMAIL || 'soporte@sistema.com',
-        companyName: process.env.COMPANY_NAME || 'Sistema de Seguimiento de Docentes',
-        currentYear: new Date().getFullYear()
+      const result = await this.sendTemplate('password-changed', {
+        to: email,
+        locale: user.locale,
+        data: {
+          userName: `${user.nombre} ${user.apellidoPaterno}`,
+          changeDate: new Date()
+        }
+      });
+      
+      console.log('✅ Email de confirmación enviado:', {
+        messageId: result.messageId,
+        email: email
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
       };
 
-      const htmlContent = this.compileTemplate('password-changed', templateData);
+    } catch (error) {
+      console.error('❌ Error enviando email de confirmación:', error);
+      // No lanzar error aquí, ya que el cambio de contraseña fue exitoso
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      const mailOptions = {
-        from: {
-          name: process.env.EMAIL_FROM_NAME || 'Sistema de Seguimiento',
-          address: process.env.EMAIL_FROM || process.env.EMAIL_USER
-        },
+  /**
+   * Notifica al titular de la cuenta que el acceso con contraseña fue bloqueado
+   * @param {string} email - Email del destinatario
+   * @param {object} user - Datos del usuario (incluye locale)
+   * @param {object} details - { lockUntil, attempts, ipAddress }
+   */
+  async sendAccountLockedNotification(email, user, { lockUntil, attempts, ipAddress }) {
+    try {
+      const result = await this.sendTemplate('account-locked', {
         to: email,
-        subject: 'Contraseña Actualizada - Sistema de Seguimiento',
-        html: htmlContent,
-        text: `
-Hola ${templateData.userName},
+        locale: user.locale,
+        data: {
+          userName: `${user.nombre} ${user.apellidoPaterno}`,
+          lockUntil,
+          attempts,
+          ipAddress,
+          resetUrl: `${frontendUrl()}/forgot-password`
+        }
+      });
 
-Tu contraseña ha sido actualizada exitosamente el ${templateData.changeDate}.
+      console.log('✅ Email de bloqueo de cuenta enviado:', {
+        messageId: result.messageId,
+        email: email
+      });
 
-Si no realizaste este cambio, contacta inmediatamente a nuestro soporte en ${templateData.supportEmail}.
+      return {
+        success: true,
+        messageId: result.messageId
+      };
 
-Saludos,
-${templateData.companyName}
-        `.trim()
+    } catch (error) {
+      console.error('❌ Error enviando email de bloqueo de cuenta:', error);
+      return {
+        success: false,
+        error: error.message
       };
+    }
+  }
 
-      const result = await this.transporter.sendMail(mailOptions);
-      
-      console.log('✅ Email de confirmación enviado:', {
+  /**
+   * Envía la invitación para crear una cuenta en el sistema
+   * (el invitado aún no tiene idioma elegido: se usa DEFAULT_LOCALE)
+   * @param {object} invitation - Invitación emitida (email, role, expiresAt)
+   * @param {string} token - Token de un solo uso en claro
+   * @param {object} inviter - Administrador que envía la invitación
+   */
+  async sendInvitationEmail(invitation, token, inviter) {
+    try {
+      const result = await this.sendTemplate('invitation', {
+        to: invitation.email,
+        data: {
+          inviterName: inviter ? `${inviter.nombre} ${inviter.apellidoPaterno}` : null,
+          role: invitation.role,
+          acceptUrl: `${frontendUrl()}/accept-invitation?token=${token}`,
+          expiresAt: invitation.expiresAt
+        }
+      }, { sensitive: true });
+
+      console.log('✅ Email de invitación enviado:', {
         messageId: result.messageId,
-        email: email
+        email: invitation.email
       });
 
       return {
@@ -341,8 +542,7 @@ ${templateData.companyName}
       };
 
     } catch (error) {
-      console.error('❌ Error enviando email de confirmación:', error);
-      // No lanzar error aquí, ya que el cambio de contraseña fue exitoso
+      console.error('❌ Error enviando email de invitación:', error);
       return {
         success: false,
         error: error.message
@@ -350,252 +550,118 @@ ${templateData.companyName}
     }
   }
 
+  /**
+   * Construye el reporte de mal desempeño de un docente sin enviarlo
+   * (usado también por la vista previa de administración)
+   * @returns {object} - { subject, html, text }
+   */
+  buildPoorPerformanceReport({ teacherName, assignments, locale }) {
+    return this.render('poor-performance-report', {
+      teacherName,
+      assignments,
+      count: assignments.length,
+      generatedAt: new Date(),
+      dashboardUrl: `${frontendUrl()}/dashboard/assignments`
+    }, locale);
+  }
+
   /**
    * Envía un reporte de mal desempeño a un docente
    */
-  async sendPoorPerformanceReport({ to, teacherName, assignments }) {
-    this.ensureTransporter();
+  async sendPoorPerformanceReport({ to, teacherName, assignments, locale }) {
+    const { subject, html, text } = this.buildPoorPerformanceReport({ teacherName, assignments, locale });
+
+    return await this.deliver({
+      from: this.getSender(),
+      to,
+      subject,
+      html,
+      text
+    }, { template: 'poor-performance-report' });
+  }
 
-    const assignmentsList = assignments.map(assignment => `
-      <tr>
-        <td style="border: 1px solid #ddd; padding: 8px;">${assignment.title}</td>
-        <td style="border: 1px solid #ddd; padding: 8px;">${new Date(assignment.dueDate).toLocaleDateString('es-MX')}</td>
-        <td style="border: 1px solid #ddd; padding: 8px;">${new Date(assignment.closeDate).toLocaleDateString('es-MX')}</td>
-        <td style="border: 1px solid #ddd; padding: 8px; color: #d32f2f;">${assignment.status}</td>
-        <td style="border: 1px solid #ddd; padding: 8px; color: #d32f2f;">${assignment.daysPastDue} días</td>
-      </tr>
-    `).join('');
-
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Reporte de Desempeño - Asignaciones</title>
-      </head>
-      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background-color: #f44336; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">⚠️ Reporte de Desempeño Laboral</h1>
-          </div>
-          
-          <div style="padding: 20px; background-color: #f9f9f9;">
-            <p>Estimado/a <strong>${teacherName}</strong>,</p>
-            
-            <p>Le informamos que tiene <strong>${assignments.length}</strong> asignación(es) que han cerrado sin haber recibido su entrega correspondiente. 
-            Esto puede afectar su evaluación de desempeño laboral.</p>
-            
-            <h3 style="color: #d32f2f;">Asignaciones no entregadas:</h3>
-            
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-              <thead>
-                <tr style="background-color: #d32f2f; color: white;">
-                  <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Asignación</th>
-                  <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Fecha de Entrega</th>
-                  <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Fecha de Cierre</th>
-                  <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Estado</th>
-                  <th style="border: 1px solid #ddd; padding: 12px; text-align: left;">Días de Retraso</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${assignmentsList}
-              </tbody>
-            </table>
-            
-            <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; margin: 20px 0;">
-              <h4 style="color: #856404; margin-top: 0;">⚠️ Importante:</h4>
-              <ul style="color: #856404;">
-                <li>Las asignaciones cerradas sin entrega pueden afectar su evaluación de desempeño</li>
-                <li>Se recomienda revisar regularmente las asignaciones pendientes en el sistema</li>
-                <li>Para futuras asignaciones, puede entregarlas hasta la fecha de vencimiento (a tiempo) o hasta la fecha de cierre (con retraso)</li>
-                <li>Después de la fecha de cierre, no se podrán realizar entregas</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; margin: 20px 0;">
-              <h4 style="color: #721c24; margin-top: 0;">📋 Consecuencias del Mal Desempeño:</h4>
-              <ul style="color: #721c24;">
-                <li>Impacto negativo en la evaluación de desempeño anual</li>
-                <li>Posible revisión del status laboral</li>
-                <li>Afectación en futuras asignaciones y responsabilidades</li>
-                <li>Registro permanente en el expediente laboral</li>
-              </ul>
-            </div>
-            
-            <p>Para cualquier consulta, aclaración o si considera que hay un error en este reporte, puede contactar inmediatamente al departamento de recursos humanos o coordinación académica.</p>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <p style="background-color: #007bff; color: white; padding: 15px; border-radius: 5px; display: inline-block;">
-                <strong>Acceda al sistema para revisar sus asignaciones pendientes</strong>
-              </p>
-            </div>
-            
-            <hr style="margin: 30px 0;">
-            
-            <p style="color: #666; font-size: 12px;">
-              Este es un mensaje automático del Sistema de Seguimiento Docente.<br>
-              Fecha de generación: ${new Date().toLocaleDateString('es-MX', { 
-                year: 'numeric', 
-                month: 'long', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-              })}<br>
-              No responda a este correo electrónico.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER || 'noreply@seguimiento-docentes.com',
-      to: to,
-      subject: `⚠️ IMPORTANTE: Reporte de Desempeño - ${assignments.length} Asignación(es) No Entregada(s)`,
-      html: emailHtml
-    };
+  /**
+   * Construye el resumen de desempeño para administradores sin enviarlo
+   * @param {object} data - { teachers: [{ teacherName, email, assignments }], generatedAt, locale }
+   * @returns {object} - { subject, html, text }
+   */
+  buildPerformanceRollup({ teachers, generatedAt, locale }) {
+    return this.render('performance-rollup', {
+      generatedAt,
+      teacherCount: teachers.length,
+      totalOverdue: teachers.reduce((sum, teacher) => sum + teacher.assignments.length, 0),
+      teachers: teachers.map(teacher => ({
+        teacherName: teacher.teacherName,
+        email: teacher.email,
+        overdueCount: teacher.assignments.length,
+        maxDaysPastDue: Math.max(...teacher.assignments.map(a => a.daysPastDue)),
+        assignments: teacher.assignments
+      })),
+      dashboardUrl: `${frontendUrl()}/admin/stats`
+    }, locale);
+  }
 
-    return await this.transporter.sendMail(mailOptions);
+  /**
+   * Envía el resumen de desempeño a los administradores
+   * @param {object} data - { to, teachers, generatedAt, locale }
+   */
+  async sendPerformanceRollup({ to, teachers, generatedAt, locale }) {
+    const { subject, html, text } = this.buildPerformanceRollup({ teachers, generatedAt, locale });
+
+    const result = await this.deliver({
+      from: this.getSender(),
+      to,
+      subject,
+      html,
+      text
+    }, { template: 'performance-rollup' });
+
+    console.log('✅ Resumen de desempeño enviado a:', to);
+    return result;
   }
 
   /**
    * Envía recordatorios de asignaciones próximas a vencer
+   * @param {object} data - { to, teacherName, assignments: [{ title, description, dueDate,
+   *   closeDate, priority, daysUntilDue }], unsubscribeUrl, locale }
    */
-  async sendAssignmentReminders({ to, teacherName, assignments }) {
-    this.ensureTransporter();
-
-    const assignmentsList = assignments.map(assignment => {
-      const priorityColor = assignment.priority === 'high' ? '#d32f2f' : 
-                          assignment.priority === 'medium' ? '#ff9800' : '#4caf50';
-      const priorityText = assignment.priority === 'high' ? 'URGENTE' : 
-                         assignment.priority === 'medium' ? 'IMPORTANTE' : 'NORMAL';
-
-      return `
-        <div style="background-color: white; padding: 20px; border-left: 4px solid ${priorityColor}; margin: 15px 0; border-radius: 5px;">
-          <h4 style="margin-top: 0; color: ${priorityColor};">
-            ${assignment.title} 
-            <span style="font-size: 12px; background-color: ${priorityColor}; color: white; padding: 2px 8px; border-radius: 3px;">${priorityText}</span>
-          </h4>
-          <p><strong>Descripción:</strong> ${assignment.description.substring(0, 150)}${assignment.description.length > 150 ? '...' : ''}</p>
-          <p><strong>Fecha de entrega:</strong> ${new Date(assignment.dueDate).toLocaleDateString('es-MX')} a las ${new Date(assignment.dueDate).toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' })}</p>
-          <p><strong>Fecha de cierre:</strong> ${new Date(assignment.closeDate).toLocaleDateString('es-MX')} a las ${new Date(assignment.closeDate).toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit' })}</p>
-          <p style="color: ${priorityColor}; font-weight: bold; font-size: 16px;">
-            ${assignment.daysUntilDue <= 0 ? '⏰ VENCE HOY' : 
-              assignment.daysUntilDue === 1 ? '⏰ VENCE MAÑANA' : 
-              `⏰ Quedan ${assignment.daysUntilDue} días`}
-          </p>
-        </div>
-      `;
-    }).join('');
-
-    const totalUrgent = assignments.filter(a => a.priority === 'high').length;
-    const totalImportant = assignments.filter(a => a.priority === 'medium').length;
-
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Recordatorio - Asignaciones Próximas a Vencer</title>
-      </head>
-      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background-color: #ff9800; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">⏰ Recordatorio de Asignaciones</h1>
-          </div>
-          
-          <div style="padding: 20px; background-color: #f9f9f9;">
-            <p>Estimado/a <strong>${teacherName}</strong>,</p>
-            
-            <p>Le recordamos que tiene <strong>${assignments.length}</strong> asignación(es) próxima(s) a vencer:</p>
-            
-            ${totalUrgent > 0 ? `
-              <div style="background-color: #ffebee; border: 1px solid #f44336; padding: 15px; margin: 15px 0; border-radius: 5px;">
-                <h4 style="color: #d32f2f; margin-top: 0;">🚨 URGENTE: ${totalUrgent} asignación(es) vencen hoy o mañana</h4>
-              </div>
-            ` : ''}
-            
-            ${totalImportant > 0 ? `
-              <div style="background-color: #fff3e0; border: 1px solid #ff9800; padding: 15px; margin: 15px 0; border-radius: 5px;">
-                <h4 style="color: #f57c00; margin-top: 0;">⚠️ IMPORTANTE: ${totalImportant} asignación(es) vencen en los próximos días</h4>
-              </div>
-            ` : ''}
-            
-            <h3 style="color: #ff9800;">Sus asignaciones pendientes:</h3>
-            
-            ${assignmentsList}
-            
-            <div style="background-color: #e3f2fd; border: 1px solid #2196f3; padding: 15px; margin: 20px 0; border-radius: 5px;">
-              <h4 style="color: #1976d2; margin-top: 0;">📝 Recuerde:</h4>
-              <ul style="color: #1976d2;">
-                <li><strong>Hasta la fecha de entrega:</strong> Su entrega será marcada como "a tiempo"</li>
-                <li><strong>Hasta la fecha de cierre:</strong> Su entrega será marcada como "con retraso"</li>
-                <li><strong>Después del cierre:</strong> No se podrán realizar entregas y se considerará como incumplimiento</li>
-              </ul>
-            </div>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <p style="background-color: #4caf50; color: white; padding: 15px; border-radius: 5px; display: inline-block;">
-                <strong>Ingrese al sistema ahora para revisar y entregar sus asignaciones</strong>
-              </p>
-            </div>
-            
-            <p>No deje pasar las fechas límite. Su puntualidad en las entregas es fundamental para la evaluación de su desempeño laboral.</p>
-            
-            <hr style="margin: 30px 0;">
-            
-            <p style="color: #666; font-size: 12px;">
-              Este es un mensaje automático del Sistema de Seguimiento Docente.<br>
-              Fecha de envío: ${new Date().toLocaleDateString('es-MX', { 
-                year: 'numeric', 
-                month: 'long', 
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-              })}<br>
-              No responda a este correo electrónico.
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
+  async sendAssignmentReminders({ to, teacherName, assignments, unsubscribeUrl, locale }) {
     const urgentCount = assignments.filter(a => a.priority === 'high').length;
-    const subjectPrefix = urgentCount > 0 ? '🚨 URGENTE' : '⏰';
-    
-    const mailOptions = {
-      from: process.env.EMAIL_USER || 'noreply@seguimiento-docentes.com',
-      to: to,
-      subject: `${subjectPrefix} Recordatorio: ${assignments.length} Asignación(es) Próxima(s) a Vencer`,
-      html: emailHtml
-    };
 
-    return await this.transporter.sendMail(mailOptions);
+    return await this.sendTemplate('assignment-reminders', {
+      to,
+      locale,
+      data: {
+        teacherName,
+        assignments: assignments.map(a => ({ ...a, daysUntilDue: Math.max(a.daysUntilDue, 0) })),
+        count: assignments.length,
+        urgentCount,
+        importantCount: assignments.filter(a => a.priority === 'medium').length,
+        dashboardUrl: `${frontendUrl()}/dashboard/assignments`,
+        unsubscribeUrl
+      },
+      headers: this.unsubscribeHeaders(unsubscribeUrl),
+      subjectKey: urgentCount > 0 ? 'subjectUrgent' : 'subject'
+    });
   }
 
-  async sendNewAssignmentNotification({ to, teacherName, title, description, dueDate, closeDate, assignmentUrl }) {
+  async sendNewAssignmentNotification({ to, teacherName, title, description, dueDate, closeDate, assignmentUrl, unsubscribeUrl, locale }) {
     try {
-      this.ensureTransporter();
-
-      const html = this.compileTemplate('new-assignment', {
-        teacherName,
-        title,
-        description,
-        dueDate: new Date(dueDate).toLocaleDateString('es-MX'),
-        closeDate: new Date(closeDate).toLocaleDateString('es-MX'),
-        assignmentUrl
-      });
-
-      const mailOptions = {
-        from: `"Sistema de Seguimiento de Docentes" <${process.env.EMAIL_USER}>`,
+      const result = await this.sendTemplate('new-assignment', {
         to,
-        subject: 'Nueva Asignación - Sistema de Seguimiento de Docentes',
-        html
-      };
+        locale,
+        data: {
+          teacherName,
+          title,
+          description,
+          dueDate,
+          closeDate,
+          assignmentUrl,
+          unsubscribeUrl
+        },
+        headers: this.unsubscribeHeaders(unsubscribeUrl)
+      });
 
-      const result = await this.transporter.sendMail(mailOptions);
       console.log('✅ Notificación de nueva asignación enviada a:', to);
       return result;
     } catch (error) {
@@ -604,6 +670,64 @@ ${templateData.companyName}
     }
   }
 
+  /**
+   * Encabezados de baja en un clic (RFC 8058): los clientes de correo muestran
+   * su propio botón "Cancelar suscripción" y hacen POST a la URL
+   */
+  unsubscribeHeaders(unsubscribeUrl) {
+    if (!unsubscribeUrl) {
+      return {};
+    }
+    return {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Notificación genérica de un evento (cambio de estado, revisión de entrega...)
+   * @param {object} data - { to, userName, title, message, actionUrl, unsubscribeUrl, locale }
+   */
+  async sendNotificationEmail({ to, userName, title, message, actionUrl, unsubscribeUrl, locale }) {
+    const result = await this.sendTemplate('notification', {
+      to,
+      locale,
+      data: {
+        userName,
+        title,
+        message,
+        actionUrl,
+        unsubscribeUrl
+      },
+      headers: this.unsubscribeHeaders(unsubscribeUrl)
+    });
+
+    console.log('✅ Notificación por correo enviada a:', to);
+    return result;
+  }
+
+  /**
+   * Resumen diario con las notificaciones acumuladas de un usuario
+   * @param {object} data - { to, userName, items: [{ title, message, url }], unsubscribeUrl, locale }
+   */
+  async sendNotificationDigest({ to, userName, items, unsubscribeUrl, locale }) {
+    const result = await this.sendTemplate('notification-digest', {
+      to,
+      locale,
+      data: {
+        userName,
+        items,
+        count: items.length,
+        dashboardUrl: frontendUrl(),
+        unsubscribeUrl
+      },
+      headers: this.unsubscribeHeaders(unsubscribeUrl)
+    });
+
+    console.log('✅ Resumen diario de notificaciones enviado a:', to);
+    return result;
+  }
+
   /**
    * Verifica la conexión del servicio de email
    */
@@ -0,0 +1,102 @@
+import jobQueue from './jobQueue.js';
+import emailService from './emailService.js';
+import TeacherStats from '../models/TeacherStats.js';
+import { JOB_TYPES } from './backgroundJobs.js';
+import { runScheduledAssignmentsPublish } from './scheduledAssignmentsService.js';
+import { runReminderSweep } from './reminderService.js';
+import { runPerformanceReport } from './performanceReportService.js';
+import { runNotificationDigest } from './notificationDigestService.js';
+
+// Métodos de emailService que pueden ejecutarse desde la cola. Los que llevan un token
+// de un solo uso (recuperación, invitación) se envían en línea para no guardarlo en Job.payload.
+const QUEUEABLE_EMAIL_METHODS = new Set([
+  'sendNewAssignmentNotification',
+  'sendPasswordChangeConfirmation',
+  'sendAccountLockedNotification',
+  'sendAssignmentReminders',
+  'sendPoorPerformanceReport',
+  'sendPerformanceRollup',
+  'sendNotificationEmail',
+  'sendNotificationDigest',
+  'resendLoggedEmail'
+]);
+
+const handleEmail = async ({ method, args = [] }, job) => {
+  if (!QUEUEABLE_EMAIL_METHODS.has(method)) {
+    const error = new Error(`Método de email no permitido en la cola: ${method}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // El envío se registra en el EmailLog de este trabajo y deja los reintentos a la cola
+  const context = { jobId: job._id };
+  let result;
+  try {
+    result = await emailService.runInJob(context, () => emailService[method](...args));
+  } catch (error) {
+    // Un rechazo definitivo (dirección inválida, credenciales) no se reintenta
+    error.retryable = context.transient !== false;
+    throw error;
+  }
+
+  // Algunos métodos no lanzan error y devuelven { success: false } para no romper al llamador
+  if (result && result.success === false) {
+    const error = new Error(result.error || 'Error enviando email');
+    error.retryable = context.transient !== false;
+    throw error;
+  }
+
+  return { messageId: result?.messageId || null };
+};
+
+const handleTeacherStats = async ({ teacherId }) => {
+  await TeacherStats.updateTeacherStats(teacherId);
+  return { teacherId };
+};
+
+const handlePublishScheduled = async ({ trigger }) => {
+  const result = await runScheduledAssignmentsPublish(trigger);
+  if (!result.success) {
+    throw new Error(result.error || 'Error publicando asignaciones programadas');
+  }
+  return result;
+};
+
+const handleReminderSweep = async ({ trigger }) => {
+  const result = await runReminderSweep(trigger);
+  if (!result.success) {
+    throw new Error(result.error || 'Error en el barrido de recordatorios');
+  }
+  return result;
+};
+
+const handlePerformanceReport = async ({ trigger }) => {
+  const result = await runPerformanceReport(trigger);
+  if (!result.success) {
+    throw new Error(result.error || 'Error generando el reporte de desempeño');
+  }
+  return result;
+};
+
+const handleNotificationDigest = async ({ trigger }) => {
+  const result = await runNotificationDigest(trigger);
+  if (!result.success) {
+    throw new Error(result.error || 'Error enviando resúmenes de notificaciones');
+  }
+  return result;
+};
+
+/**
+ * Registra los handlers de todos los tipos de trabajo.
+ * Debe llamarse una vez antes de jobQueue.start().
+ */
+export const registerJobHandlers = () => {
+  jobQueue.register(JOB_TYPES.EMAIL, handleEmail, { concurrency: 3, maxAttempts: 6 });
+  jobQueue.register(JOB_TYPES.TEACHER_STATS, handleTeacherStats, { concurrency: 2, maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.PUBLISH_SCHEDULED, handlePublishScheduled, { concurrency: 1, maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.REMINDER_SWEEP, handleReminderSweep, { concurrency: 1, maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.PERFORMANCE_REPORT, handlePerformanceReport, { concurrency: 1, maxAttempts: 3 });
+  jobQueue.register(JOB_TYPES.NOTIFICATION_DIGEST, handleNotificationDigest, { concurrency: 1, maxAttempts: 3 });
+};
+
+export default registerJobHandlers;
@@ -0,0 +1,329 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+// Backoff exponencial entre reintentos: 30 s, 1 min, 2 min... (máx. 1 h)
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Un trabajo 'running' más antiguo que esto se considera abandonado (instancia caída)
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const MAX_FAILURES_KEPT = 10;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map(); // type -> { handler, concurrency, maxAttempts }
+    this.active = new Map(); // type -> trabajos en ejecución en esta instancia
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 4;
+    this.pollIntervalMs = parseInt(process.env.JOB_QUEUE_POLL_MS) || 2000;
+    this.timer = null;
+    this.polling = false;
+    this.lastStaleCheck = 0;
+  }
+
+  /**
+   * Registra el handler de un tipo de trabajo
+   * @param {string} type - Tipo de trabajo
+   * @param {Function} handler - async (payload, job) => resultado; debe lanzar error para reintentar
+   *   (un error con `retryable = false` pasa directo a 'dead')
+   * @param {object} options - { concurrency, maxAttempts }
+   */
+  register(type, handler, { concurrency = 1, maxAttempts = 5 } = {}) {
+    this.handlers.set(type, { handler, concurrency, maxAttempts });
+    this.active.set(type, 0);
+  }
+
+  /**
+   * Encola un trabajo. Con `uniqueKey`, si ya hay uno pendiente con la misma
+   * clave no se crea otro y se devuelve el existente (lo garantiza el índice único
+   * parcial de Job, también con llamadas concurrentes).
+   * @param {string} type - Tipo de trabajo
+   * @param {object} payload - Datos serializables para el handler
+   * @param {object} options - { runAt, delayMs, maxAttempts, uniqueKey }
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { runAt, delayMs = 0, maxAttempts, uniqueKey = null } = options;
+
+    try {
+      return await Job.create({
+        type,
+        payload,
+        runAt: runAt || new Date(Date.now() + delayMs),
+        maxAttempts: maxAttempts || this.handlers.get(type)?.maxAttempts || 5,
+        uniqueKey
+      });
+    } catch (error) {
+      if (error.code !== 11000 || !uniqueKey) {
+        throw error;
+      }
+      const existing = await Job.findOne({ uniqueKey, status: 'pending' });
+      // Si el pendiente empezó a ejecutarse entre ambas consultas, se vuelve a encolar
+      return existing || this.enqueue(type, payload, options);
+    }
+  }
+
+  /**
+   * Igual que enqueue pero nunca lanza: para llamadas desde rutas donde
+   * un fallo al encolar no debe romper la respuesta principal.
+   */
+  async enqueueSafe(type, payload, options) {
+    try {
+      return await this.enqueue(type, payload, options);
+    } catch (error) {
+      console.error(`❌ Error encolando trabajo ${type}:`, error);
+      return null;
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    console.log(`🧵 Cola de trabajos iniciada (concurrencia ${this.concurrency}, tipos: ${[...this.handlers.keys()].join(', ')})`);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Cola de trabajos detenida');
+    }
+  }
+
+  isRunning() {
+    return Boolean(this.timer);
+  }
+
+  getActiveCount() {
+    let total = 0;
+    for (const count of this.active.values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  // Tipos con handler registrado que aún tienen capacidad en esta instancia
+  getAvailableTypes() {
+    return [...this.handlers.entries()]
+      .filter(([type, { concurrency }]) => this.active.get(type) < concurrency)
+      .map(([type]) => type);
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastStaleCheck > STALE_JOB_MS / 2) {
+        this.lastStaleCheck = Date.now();
+        await this.recoverStaleJobs();
+      }
+
+      while (this.getActiveCount() < this.concurrency) {
+        const types = this.getAvailableTypes();
+        if (types.length === 0) {
+          break;
+        }
+
+        const job = await this.claimNext(types);
+        if (!job) {
+          break;
+        }
+
+        // No esperar: el trabajo corre en paralelo hasta el límite de concurrencia
+        this.execute(job);
+      }
+    } catch (error) {
+      console.error('❌ Error consultando la cola de trabajos:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Toma el siguiente trabajo listo de forma atómica (nunca lo ejecutan dos instancias)
+  claimNext(types) {
+    return Job.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() }, type: { $in: types } },
+      {
+        $set: { status: 'running', lockedBy: this.instanceId, lockedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    this.active.set(job.type, this.active.get(job.type) + 1);
+
+    try {
+      const result = await handler(job.payload, job);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: 'completed',
+            completedAt: new Date(),
+            result: result ?? null,
+            lockedBy: null,
+            lockedAt: null
+          }
+        }
+      );
+    } catch (error) {
+      await this.handleFailure(job, error).catch(updateError => {
+        console.error(`❌ Error registrando el fallo del trabajo ${job._id}:`, updateError);
+      });
+    } finally {
+      this.active.set(job.type, this.active.get(job.type) - 1);
+      // Liberó capacidad: buscar el siguiente sin esperar al próximo intervalo
+      if (this.timer) {
+        setImmediate(() => this.poll());
+      }
+    }
+  }
+
+  async handleFailure(job, error) {
+    const message = error?.message || String(error);
+    // Un handler marca con `retryable = false` los errores que no se arreglan reintentando
+    const isDead = job.attempts >= job.maxAttempts || error?.retryable === false;
+    const update = {
+      $set: {
+        lastError: message,
+        lockedBy: null,
+        lockedAt: null
+      },
+      $push: {
+        failures: {
+          $each: [{ attempt: job.attempts, error: message, at: new Date() }],
+          $slice: -MAX_FAILURES_KEPT
+        }
+      }
+    };
+
+    if (isDead) {
+      update.$set.status = 'dead';
+      console.error(error?.retryable === false
+        ? `💀 Trabajo ${job.type} (${job._id}) falló con un error no reintentable:`
+        : `💀 Trabajo ${job.type} (${job._id}) agotó ${job.attempts} intentos:`, message);
+    } else {
+      const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      // Jitter para que los reintentos de muchos trabajos no coincidan
+      const delay = backoff + Math.floor(Math.random() * backoff * 0.1);
+      update.$set.status = 'pending';
+      update.$set.runAt = new Date(Date.now() + delay);
+      console.warn(`⚠️ Trabajo ${job.type} (${job._id}) falló (intento ${job.attempts}/${job.maxAttempts}), reintento en ${Math.round(delay / 1000)} s:`, message);
+    }
+
+    await this.requeue(job, update);
+  }
+
+  /**
+   * Aplica una actualización que puede devolver el trabajo a 'pending'. Si ya hay otro
+   * pendiente con la misma uniqueKey (índice único), ese hará el trabajo y este se
+   * cierra como reemplazado.
+   */
+  async requeue(job, update) {
+    try {
+      await Job.updateOne({ _id: job._id }, update);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      console.warn(`⏭️ Trabajo ${job.type} (${job._id}) reemplazado por otro pendiente con la clave ${job.uniqueKey}`);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: 'completed',
+            completedAt: new Date(),
+            result: { superseded: true },
+            lockedBy: null,
+            lockedAt: null
+          }
+        }
+      );
+    }
+  }
+
+  // Devuelve a la cola los trabajos que quedaron 'running' en una instancia caída
+  async recoverStaleJobs() {
+    const stale = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) }
+    }).select('type uniqueKey');
+
+    // Uno a uno: un choque de uniqueKey no debe impedir recuperar los demás
+    for (const job of stale) {
+      await this.requeue(job, {
+        $set: { status: 'pending', runAt: new Date(), lockedBy: null, lockedAt: null, lastError: 'Trabajo abandonado (instancia detenida)' }
+      });
+    }
+    if (stale.length > 0) {
+      console.warn(`♻️ ${stale.length} trabajos abandonados devueltos a la cola`);
+    }
+  }
+
+  /**
+   * Reintenta manualmente un trabajo 'dead' (o pendiente con backoff) de inmediato.
+   * Un trabajo 'dead' recibe un intento extra para poder ejecutarse.
+   * @returns {Promise<object|null>} - El trabajo actualizado o null si no se puede reintentar
+   */
+  async retry(jobId) {
+    const job = await Job.findOne({ _id: jobId, status: { $in: ['dead', 'pending'] } });
+    if (!job) {
+      return null;
+    }
+
+    job.status = 'pending';
+    job.runAt = new Date();
+    if (job.attempts >= job.maxAttempts) {
+      job.maxAttempts = job.attempts + 1;
+    }
+    try {
+      await job.save();
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Ya hay uno pendiente con la misma uniqueKey: ese es el que se ejecutará
+      return Job.findOne({ uniqueKey: job.uniqueKey, status: 'pending' });
+    }
+    return job;
+  }
+
+  async getStats() {
+    const counts = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { pending: 0, running: 0, completed: 0, dead: 0 };
+    const byType = {};
+    for (const { _id, count } of counts) {
+      byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+      byType[_id.type] = byType[_id.type] || {};
+      byType[_id.type][_id.status] = count;
+    }
+
+    return {
+      worker: {
+        running: this.isRunning(),
+        instance: this.instanceId,
+        concurrency: this.concurrency,
+        active: Object.fromEntries(this.active),
+        handlers: Object.fromEntries(
+          [...this.handlers.entries()].map(([type, { concurrency, maxAttempts }]) => [type, { concurrency, maxAttempts }])
+        )
+      },
+      byStatus,
+      byType
+    };
+  }
+}
+
+export default new JobQueue();
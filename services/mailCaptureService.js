@@ -0,0 +1,261 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Buzón local para EMAIL_PROVIDER=capture: en lugar de enviar, cada correo se
+ * guarda completo (encabezados, HTML, texto, adjuntos y fuente .eml) en disco
+ * para inspeccionarlo desde GET /api/dev/mailbox en desarrollo y pruebas.
+ */
+const MESSAGE_ID_PATTERN = /^\d{13}-[a-f0-9]{8}$/;
+
+// Configuración leída en cada uso (dotenv se carga después de importar los servicios)
+export const getMailboxDir = () =>
+  process.env.MAILBOX_DIR || path.join(os.tmpdir(), 'seguimiento-docentes-mailbox');
+const maxMessages = () => parseInt(process.env.MAILBOX_MAX_MESSAGES) || 500;
+
+const messagePath = (id, extension = 'json') => path.join(getMailboxDir(), `${id}.${extension}`);
+
+const ensureDir = () => fs.mkdir(getMailboxDir(), { recursive: true });
+
+// "Nombre" <correo> a partir de los formatos de dirección que acepta nodemailer
+const formatAddress = (address) => {
+  if (!address) {
+    return null;
+  }
+  if (Array.isArray(address)) {
+    return address.map(formatAddress).filter(Boolean).join(', ');
+  }
+  if (typeof address === 'object') {
+    return address.name ? `"${address.name}" <${address.address}>` : address.address;
+  }
+  return String(address);
+};
+
+// Handlebars escapa '=' y '&' dentro de los href (&#x3D;, &amp;)
+const decodeEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
+
+// Enlaces del correo (p. ej. para obtener el token de recuperación en una prueba)
+const extractLinks = (html, text) => {
+  const links = new Set();
+  for (const [, href] of (html || '').matchAll(/href="([^"]+)"/gi)) {
+    if (!href.startsWith('mailto:')) {
+      links.add(decodeEntities(href));
+    }
+  }
+  for (const [url] of (text || '').matchAll(/https?:\/\/[^\s<>"]+/gi)) {
+    links.add(url);
+  }
+  return [...links];
+};
+
+const buildRaw = (mail) => new Promise((resolve, reject) => {
+  mail.message.build((error, raw) => (error ? reject(error) : resolve(raw)));
+});
+
+const normalize = (mail) => new Promise((resolve, reject) => {
+  mail.normalize((error, data) => (error ? reject(error) : resolve(data)));
+});
+
+const listIds = async () => {
+  try {
+    const files = await fs.readdir(getMailboxDir());
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(id => MESSAGE_ID_PATTERN.test(id))
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Mantiene el buzón acotado borrando los mensajes más antiguos
+const prune = async () => {
+  const ids = await listIds();
+  const excess = ids.slice(maxMessages());
+  await Promise.all(excess.flatMap(id => [
+    fs.rm(messagePath(id), { force: true }),
+    fs.rm(messagePath(id, 'eml'), { force: true })
+  ]));
+};
+
+/**
+ * Guarda un correo compuesto por nodemailer en el buzón
+ * @returns {Promise<object>} - Mensaje guardado
+ */
+export const captureMessage = async (mail) => {
+  const [data, raw] = await Promise.all([normalize(mail), buildRaw(mail)]);
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const date = new Date();
+
+  const message = {
+    id,
+    messageId: data.messageId,
+    date,
+    envelope: data.envelope,
+    from: formatAddress(data.from),
+    to: formatAddress(data.to),
+    cc: formatAddress(data.cc),
+    bcc: formatAddress(data.bcc),
+    subject: data.subject || '',
+    headers: {
+      from: formatAddress(data.from),
+      to: formatAddress(data.to),
+      subject: data.subject || '',
+      date: date.toUTCString(),
+      'message-id': data.messageId,
+      ...data.normalizedHeaders
+    },
+    html: data.html || null,
+    text: data.text || null,
+    links: extractLinks(data.html, data.text),
+    attachments: (data.attachments || []).map(attachment => ({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType || null,
+      cid: attachment.cid || null,
+      size: attachment.content ? Buffer.byteLength(attachment.content, attachment.encoding || 'utf8') : 0,
+      encoding: attachment.encoding || 'utf8',
+      content: attachment.content || null
+    }))
+  };
+
+  await ensureDir();
+  await Promise.all([
+    fs.writeFile(messagePath(id), JSON.stringify(message)),
+    fs.writeFile(messagePath(id, 'eml'), raw)
+  ]);
+  await prune();
+
+  return message;
+};
+
+/**
+ * Transporte de nodemailer que captura los correos en el buzón local
+ */
+export const createCaptureTransport = () => ({
+  name: 'capture',
+  version: '1.0.0',
+  send(mail, callback) {
+    captureMessage(mail)
+      .then(message => {
+        console.log(`📥 Correo capturado en el buzón local: "${message.subject}" → ${message.to} (${message.id})`);
+        callback(null, {
+          envelope: message.envelope,
+          messageId: message.messageId,
+          accepted: [].concat(message.envelope?.to || []),
+          rejected: [],
+          pending: [],
+          response: `250 Capturado ${message.id}`
+        });
+      })
+      .catch(callback);
+  },
+  verify(callback) {
+    ensureDir()
+      .then(() => fs.access(getMailboxDir(), fs.constants.W_OK))
+      .then(() => callback(null, true))
+      .catch(callback);
+  }
+});
+
+const summarize = ({ id, messageId, date, from, to, subject, links, attachments }) => ({
+  id,
+  messageId,
+  date,
+  from,
+  to,
+  subject,
+  links,
+  attachments: attachments.length
+});
+
+/**
+ * Mensajes del buzón, más recientes primero
+ * @param {object} filters - { to, subject, limit } (to y subject sin distinguir mayúsculas)
+ */
+export const listMessages = async ({ to, subject, limit = 50 } = {}) => {
+  const ids = await listIds();
+  const messages = [];
+
+  for (const id of ids) {
+    const message = await getMessage(id);
+    if (!message) {
+      continue;
+    }
+    if (to && !message.to?.toLowerCase().includes(to.toLowerCase())) {
+      continue;
+    }
+    if (subject && !message.subject.toLowerCase().includes(subject.toLowerCase())) {
+      continue;
+    }
+    messages.push(summarize(message));
+    if (messages.length >= limit) {
+      break;
+    }
+  }
+
+  return { messages, total: ids.length };
+};
+
+/**
+ * Mensaje completo; null si el ID no es válido o ya no existe
+ */
+export const getMessage = async (id) => {
+  if (!MESSAGE_ID_PATTERN.test(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(messagePath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fuente RFC 822 (.eml) del mensaje
+ */
+export const getRawMessage = async (id) => {
+  if (!MESSAGE_ID_PATTERN.test(id)) {
+    return null;
+  }
+  try {
+    return await fs.readFile(messagePath(id, 'eml'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+export const clearMailbox = async () => {
+  const ids = await listIds();
+  await Promise.all(ids.flatMap(id => [
+    fs.rm(messagePath(id), { force: true }),
+    fs.rm(messagePath(id, 'eml'), { force: true })
+  ]));
+  return ids.length;
+};
+
+export default {
+  createCaptureTransport,
+  captureMessage,
+  listMessages,
+  getMessage,
+  getRawMessage,
+  clearMailbox,
+  getMailboxDir
+};
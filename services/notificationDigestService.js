@@ -0,0 +1,174 @@
+import os from 'os';
+import cron from 'node-cron';
+import User from '../models/User.js';
+import JobLock from '../models/JobLock.js';
+import NotificationDigestItem from '../models/NotificationDigestItem.js';
+import { enqueueEmail, enqueueNotificationDigest } from './backgroundJobs.js';
+import { buildUnsubscribeUrl } from './unsubscribeService.js';
+
+const JOB_NAME = 'notification-digest';
+const CRON_EXPRESSION = '0 * * * *'; // Cada hora: cada usuario elige la hora de su resumen
+const TIMEZONE = 'America/Mexico_City';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const state = {
+    running: false,
+    startedAt: null,
+    lastRun: null
+};
+
+const sweep = async (now) => {
+    const items = await NotificationDigestItem.find({ sentAt: null, sendAfter: { $lte: now } })
+        .sort({ createdAt: 1 })
+        .lean();
+    const summary = { digestsQueued: 0, itemsSent: 0, itemsDropped: 0 };
+
+    if (items.length === 0) {
+        return summary;
+    }
+
+    const byUser = new Map();
+    for (const item of items) {
+        const id = item.user.toString();
+        if (!byUser.has(id)) {
+            byUser.set(id, []);
+        }
+        byUser.get(id).push(item);
+    }
+
+    const users = await User.find({ _id: { $in: [...byUser.keys()] }, activo: { $ne: false } })
+        .select('email nombre apellidoPaterno locale')
+        .lean();
+    const activeIds = new Set(users.map(user => user._id.toString()));
+
+    // Elementos de cuentas desactivadas o eliminadas: se descartan sin enviarse
+    const dropped = items.filter(item => !activeIds.has(item.user.toString()));
+    if (dropped.length > 0) {
+        await NotificationDigestItem.updateMany(
+            { _id: { $in: dropped.map(item => item._id) } },
+            { $set: { sentAt: now } }
+        );
+        summary.itemsDropped = dropped.length;
+    }
+
+    for (const user of users) {
+        const userItems = byUser.get(user._id.toString());
+
+        const job = await enqueueEmail('sendNotificationDigest', {
+            to: user.email,
+            userName: `${user.nombre} ${user.apellidoPaterno}`,
+            items: userItems.map(({ title, message, url }) => ({ title, message, url })),
+            unsubscribeUrl: buildUnsubscribeUrl(user._id, 'all'),
+            locale: user.locale
+        });
+
+        // Si no se pudo encolar, los elementos quedan pendientes para el siguiente barrido
+        if (!job) {
+            continue;
+        }
+
+        await NotificationDigestItem.updateMany(
+            { _id: { $in: userItems.map(item => item._id) } },
+            { $set: { sentAt: now, job: job._id } }
+        );
+        summary.digestsQueued++;
+        summary.itemsSent += userItems.length;
+    }
+
+    return summary;
+};
+
+/**
+ * Encola los resúmenes diarios que ya tocan, con el candado de Mongo tomado
+ * @param {string} trigger - 'cron' | 'startup' | 'manual'
+ */
+export const runNotificationDigest = async (trigger) => {
+    const acquired = await JobLock.acquire(JOB_NAME, INSTANCE_ID, LOCK_TTL_MS);
+    if (!acquired) {
+        console.log('⏭️ Otra instancia está enviando resúmenes de notificaciones, se omite esta ejecución');
+        return { success: true, skipped: true, reason: 'locked', trigger };
+    }
+
+    let result;
+    try {
+        const summary = await sweep(new Date());
+        result = { success: true, ...summary, trigger };
+        if (summary.digestsQueued > 0) {
+            console.log(`📬 Resúmenes diarios encolados: ${summary.digestsQueued} (${summary.itemsSent} notificaciones)`);
+        }
+    } catch (error) {
+        console.error('❌ Error en el envío de resúmenes de notificaciones:', error);
+        result = { success: false, error: error.message, trigger };
+    } finally {
+        state.lastRun = { at: new Date(), ...result };
+        await JobLock.release(JOB_NAME, INSTANCE_ID, result).catch(error => {
+            console.error('❌ Error liberando el candado de resúmenes de notificaciones:', error);
+        });
+    }
+
+    return result;
+};
+
+// El cron solo encola el barrido; la cola lo ejecuta con reintentos
+const digestCron = cron.schedule(CRON_EXPRESSION, async () => {
+    await enqueueNotificationDigest('cron');
+}, {
+    scheduled: false,
+    timezone: TIMEZONE
+});
+
+export const startNotificationDigestCron = () => {
+    if (state.running) {
+        return;
+    }
+
+    try {
+        digestCron.start();
+        state.running = true;
+        state.startedAt = new Date();
+        console.log('🚀 Cron job de resúmenes de notificaciones iniciado - Se ejecuta cada hora');
+
+        // Enviar los resúmenes que vencieron mientras el servidor estaba apagado
+        enqueueNotificationDigest('startup');
+    } catch (error) {
+        console.error('❌ Error iniciando cron job de resúmenes de notificaciones:', error);
+    }
+};
+
+export const stopNotificationDigestCron = () => {
+    digestCron.stop();
+    state.running = false;
+    console.log('⏹️ Cron job de resúmenes de notificaciones detenido');
+};
+
+export const getNotificationDigestStatus = async () => {
+    const [lock, pendingItems] = await Promise.all([
+        JobLock.findOne({ name: JOB_NAME }).lean(),
+        NotificationDigestItem.countDocuments({ sentAt: null })
+    ]);
+
+    return {
+        running: state.running,
+        instance: INSTANCE_ID,
+        schedule: CRON_EXPRESSION,
+        timezone: TIMEZONE,
+        startedAt: state.startedAt,
+        lastRun: state.lastRun,
+        pendingItems,
+        lock: lock ? {
+            owner: lock.owner,
+            lockedUntil: lock.lockedUntil,
+            lastRunAt: lock.lastRunAt,
+            lastRunBy: lock.lastRunBy,
+            lastResult: lock.lastResult
+        } : null
+    };
+};
+
+export default {
+    runNotificationDigest,
+    startNotificationDigestCron,
+    stopNotificationDigestCron,
+    getNotificationDigestStatus
+};
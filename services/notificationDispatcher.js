@@ -0,0 +1,314 @@
+import User from '../models/User.js';
+import NotificationDigestItem from '../models/NotificationDigestItem.js';
+import notificationService, {
+  buildNewAssignmentNotification,
+  buildStatusChangeNotification,
+  buildDeadlineApproachingNotification,
+  buildAdminReviewNotification,
+  buildResponseReviewNotification,
+  buildDeadlineExtensionNotification
+} from './notificationService.js';
+import { enqueueEmail, enqueueEmailAt } from './backgroundJobs.js';
+import { buildUnsubscribeUrl } from './unsubscribeService.js';
+
+/**
+ * Punto único de entrega de notificaciones: consulta las preferencias de cada
+ * usuario (User.notificationPreferences) antes de usar notificationService (bandeja
+ * y tiempo real) o emailService (vía la cola de trabajos).
+ */
+export const NOTIFICATION_EVENTS = {
+  NEW_ASSIGNMENT: 'newAssignment',
+  STATUS_CHANGE: 'statusChange',
+  DEADLINE_APPROACHING: 'deadlineApproaching',
+  ADMIN_REVIEW: 'adminReview'
+};
+
+const TIMEZONE = 'America/Mexico_City';
+const HOUR_MS = 60 * 60 * 1000;
+const RECIPIENT_FIELDS = 'email nombre apellidoPaterno apellidoMaterno activo locale notificationPreferences';
+
+const assignmentUrl = (assignmentId) =>
+  `${process.env.CLIENT_URL || 'http://localhost:5173'}/dashboard/assignments/${assignmentId}`;
+
+const fullName = (user) =>
+  [user.nombre, user.apellidoPaterno, user.apellidoMaterno].filter(Boolean).join(' ');
+
+const getLocalHour = (date) => parseInt(
+  new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, hour: '2-digit', hourCycle: 'h23' }).format(date)
+);
+
+// Inicio de la hora en curso más `hours` horas
+const hoursFromNow = (now, hours) => {
+  const start = new Date(now);
+  start.setMinutes(0, 0, 0);
+  return new Date(start.getTime() + hours * HOUR_MS);
+};
+
+export const isQuietTime = ({ quietHours }, now = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+  const hour = getLocalHour(now);
+  return quietHours.start < quietHours.end
+    ? hour >= quietHours.start && hour < quietHours.end
+    : hour >= quietHours.start || hour < quietHours.end;
+};
+
+// Fin de las horas de silencio en curso
+const quietHoursEnd = ({ quietHours }, now) =>
+  hoursFromNow(now, (quietHours.end - getLocalHour(now) + 24) % 24);
+
+// Próxima hora de resumen del usuario (si es la hora actual, la del día siguiente)
+export const nextDigestAt = ({ digestHour }, now = new Date()) =>
+  hoursFromNow(now, ((digestHour - getLocalHour(now) + 24) % 24) || 24);
+
+const loadRecipients = (recipients) => {
+  const ids = [...new Set(
+    [].concat(recipients)
+      .filter(Boolean)
+      .map(user => (user._id || user).toString())
+  )];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  return User.find({ _id: { $in: ids }, activo: { $ne: false } }).select(RECIPIENT_FIELDS);
+};
+
+/**
+ * Entrega un evento a cada destinatario según sus preferencias
+ * @param {string} event - Uno de NOTIFICATION_EVENTS
+ * @param {Array|string} recipients - IDs o documentos de usuario
+ * @param {object} content
+ *   - inApp: { type, title, message, data } para la bandeja y Socket.IO
+ *   - email: { method, build(user) } correo inmediato; build devuelve el argumento del
+ *     método de emailService (se le agregan unsubscribeUrl y el idioma del usuario)
+ *   - digest: { title, message, url } línea del resumen diario
+ * @returns {Promise<object>} - Conteo por canal y trabajos de correo encolados
+ */
+export const dispatch = async (event, recipients, { inApp, email, digest }) => {
+  const now = new Date();
+  const summary = { inApp: 0, emailed: 0, deferred: 0, digested: 0, skipped: 0, failed: 0, jobs: [] };
+
+  // Como las notificaciones, el despacho nunca rompe la operación que lo origina
+  let users;
+  try {
+    users = await loadRecipients(recipients);
+  } catch (error) {
+    console.error(`❌ Error cargando destinatarios de ${event}:`, error);
+    summary.failed = [].concat(recipients).length;
+    return summary;
+  }
+
+  const inAppUsers = users.filter(user => user.notificationPreferences.events[event]?.inApp);
+  if (inApp && inAppUsers.length > 0) {
+    const saved = await notificationService.sendNotification(inAppUsers.map(user => user._id), inApp);
+    summary.inApp = saved.length;
+  }
+
+  for (const user of users) {
+    const preferences = user.notificationPreferences;
+
+    if (!email || !preferences.events[event]?.email) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      if (preferences.emailDelivery === 'daily-digest' && digest) {
+        await NotificationDigestItem.create({
+          user: user._id,
+          event,
+          ...digest,
+          sendAfter: nextDigestAt(preferences, now)
+        });
+        summary.digested++;
+        continue;
+      }
+
+      const payload = {
+        ...email.build(user),
+        locale: user.locale,
+        unsubscribeUrl: buildUnsubscribeUrl(user._id, event)
+      };
+
+      // En horas de silencio el correo se encola para cuando terminen
+      const quiet = isQuietTime(preferences, now);
+      const job = quiet
+        ? await enqueueEmailAt(quietHoursEnd(preferences, now), email.method, payload)
+        : await enqueueEmail(email.method, payload);
+
+      if (!job) {
+        summary.failed++;
+        continue;
+      }
+
+      summary.jobs.push(job._id);
+      if (quiet) {
+        summary.deferred++;
+      } else {
+        summary.emailed++;
+      }
+    } catch (error) {
+      console.error(`❌ Error entregando ${event} a ${user.email}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export const notifyNewAssignment = (teachers, assignment) => dispatch(
+  NOTIFICATION_EVENTS.NEW_ASSIGNMENT,
+  teachers,
+  {
+    inApp: buildNewAssignmentNotification(assignment),
+    email: {
+      method: 'sendNewAssignmentNotification',
+      build: (user) => ({
+        to: user.email,
+        teacherName: fullName(user),
+        title: assignment.title,
+        description: assignment.description,
+        dueDate: assignment.dueDate,
+        closeDate: assignment.closeDate,
+        assignmentUrl: assignmentUrl(assignment._id)
+      })
+    },
+    digest: {
+      title: `Nueva asignación: ${assignment.title}`,
+      message: `Fecha de entrega: ${new Date(assignment.dueDate).toLocaleDateString('es-MX')}`,
+      url: assignmentUrl(assignment._id)
+    }
+  }
+);
+
+export const notifyStatusChange = (userIds, assignment, details) => {
+  const notification = buildStatusChangeNotification(assignment, details);
+  return dispatch(NOTIFICATION_EVENTS.STATUS_CHANGE, userIds, {
+    inApp: notification,
+    email: {
+      method: 'sendNotificationEmail',
+      build: (user) => ({
+        to: user.email,
+        userName: fullName(user),
+        title: notification.title,
+        message: notification.message,
+        actionUrl: assignmentUrl(assignment._id)
+      })
+    },
+    digest: {
+      title: notification.title,
+      message: notification.message,
+      url: assignmentUrl(assignment._id)
+    }
+  });
+};
+
+/**
+ * Recordatorio de entregas próximas para un docente
+ * @param {object} teacher - Docente (ID o documento)
+ * @param {Array} assignments - Asignaciones por vencer
+ * @param {Array} digestItems - Elementos ya formateados para sendAssignmentReminders
+ */
+export const notifyDeadlineApproaching = (teacher, assignments, digestItems) => dispatch(
+  NOTIFICATION_EVENTS.DEADLINE_APPROACHING,
+  [teacher],
+  {
+    inApp: buildDeadlineApproachingNotification(assignments),
+    email: {
+      method: 'sendAssignmentReminders',
+      build: (user) => ({
+        to: user.email,
+        teacherName: fullName(user),
+        assignments: digestItems
+      })
+    },
+    digest: {
+      title: 'Entregas próximas a vencer',
+      message: assignments
+        .map(a => `${a.title} (${new Date(a.dueDate).toLocaleDateString('es-MX')})`)
+        .join(', ')
+    }
+  }
+);
+
+export const notifyAdminReview = (teacherId, assignment, details) => {
+  const notification = buildAdminReviewNotification(assignment, details);
+  return dispatch(NOTIFICATION_EVENTS.ADMIN_REVIEW, [teacherId], {
+    inApp: notification,
+    email: {
+      method: 'sendNotificationEmail',
+      build: (user) => ({
+        to: user.email,
+        userName: fullName(user),
+        title: notification.title,
+        message: notification.message,
+        actionUrl: assignmentUrl(assignment._id)
+      })
+    },
+    digest: {
+      title: notification.title,
+      message: notification.message,
+      url: assignmentUrl(assignment._id)
+    }
+  });
+};
+
+// Misma preferencia que notifyAdminReview: ambas son revisiones de la entrega del docente
+export const notifyResponseReview = (teacherId, assignment, review) => {
+  const notification = buildResponseReviewNotification(assignment, review);
+  return dispatch(NOTIFICATION_EVENTS.ADMIN_REVIEW, [teacherId], {
+    inApp: notification,
+    email: {
+      method: 'sendNotificationEmail',
+      build: (user) => ({
+        to: user.email,
+        userName: fullName(user),
+        title: notification.title,
+        message: notification.message,
+        actionUrl: assignmentUrl(assignment._id)
+      })
+    },
+    digest: {
+      title: notification.title,
+      message: notification.message,
+      url: assignmentUrl(assignment._id)
+    }
+  });
+};
+
+// Las prórrogas cambian las fechas de la asignación para el docente: misma preferencia que statusChange
+export const notifyDeadlineExtension = (teacherId, assignment, extension) => {
+  const notification = buildDeadlineExtensionNotification(assignment, extension);
+  return dispatch(NOTIFICATION_EVENTS.STATUS_CHANGE, [teacherId], {
+    inApp: notification,
+    email: {
+      method: 'sendNotificationEmail',
+      build: (user) => ({
+        to: user.email,
+        userName: fullName(user),
+        title: notification.title,
+        message: notification.message,
+        actionUrl: assignmentUrl(assignment._id)
+      })
+    },
+    digest: {
+      title: notification.title,
+      message: notification.message,
+      url: assignmentUrl(assignment._id)
+    }
+  });
+};
+
+export default {
+  NOTIFICATION_EVENTS,
+  dispatch,
+  notifyNewAssignment,
+  notifyStatusChange,
+  notifyDeadlineApproaching,
+  notifyAdminReview,
+  notifyResponseReview,
+  notifyDeadlineExtension
+};
@@ -1,67 +1,286 @@
 import { Server } from 'socket.io';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import { verifyAccessToken } from '../config/jwt.js';
+
+/**
+ * Tipos de notificación. Todas se guardan en la bandeja (modelo Notification) y se
+ * emiten en el evento 'notification' con el documento guardado más `timestamp`.
+ */
+export const NOTIFICATION_TYPES = {
+  NEW_ASSIGNMENT: 'NEW_ASSIGNMENT',
+  STATUS_CHANGED: 'ASSIGNMENT_STATUS_CHANGED',
+  DEADLINE_APPROACHING: 'DEADLINE_APPROACHING',
+  ADMIN_REVIEW: 'ASSIGNMENT_REVIEWED',
+  DEADLINE_EXTENDED: 'DEADLINE_EXTENDED'
+};
+
+// Cada usuario tiene su propia sala: todas sus pestañas y dispositivos reciben el evento
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// El token viaja en `auth: { token }` al conectar; se acepta también el header Authorization
+const getHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+  if (auth?.token) {
+    return auth.token.replace(/^Bearer /, '');
+  }
+  if (headers.authorization?.startsWith('Bearer ')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/*
+ * Contenido de cada tipo de notificación. services/notificationDispatcher.js
+ * decide a quién y por qué canal se entrega según sus preferencias.
+ */
+export const buildNewAssignmentNotification = (assignment) => ({
+  type: NOTIFICATION_TYPES.NEW_ASSIGNMENT,
+  title: 'Nueva Asignación',
+  message: `Se ha creado una nueva asignación: ${assignment.title}`,
+  data: {
+    assignmentId: assignment._id,
+    title: assignment.title,
+    dueDate: assignment.dueDate,
+    closeDate: assignment.closeDate
+  }
+});
+
+// Cambio del estado general de una asignación hecho por un administrador
+export const buildStatusChangeNotification = (assignment, { previousStatus, changedBy } = {}) => ({
+  type: NOTIFICATION_TYPES.STATUS_CHANGED,
+  title: 'Estado de asignación actualizado',
+  message: `La asignación "${assignment.title}" cambió a estado: ${assignment.status}`,
+  data: {
+    assignmentId: assignment._id,
+    title: assignment.title,
+    status: assignment.status,
+    previousStatus: previousStatus || null,
+    changedBy: changedBy || null
+  }
+});
+
+// Recordatorio de asignaciones por vencer
+export const buildDeadlineApproachingNotification = (assignments) => ({
+  type: NOTIFICATION_TYPES.DEADLINE_APPROACHING,
+  title: 'Entregas próximas a vencer',
+  message: assignments.length === 1
+    ? `La asignación "${assignments[0].title}" vence pronto`
+    : `Tienes ${assignments.length} asignaciones que vencen pronto`,
+  data: {
+    assignments: assignments.map(assignment => ({
+      assignmentId: assignment._id,
+      title: assignment.title,
+      dueDate: assignment.dueDate
+    }))
+  }
+});
+
+// Revisión de la entrega de un docente por parte de un administrador
+export const buildAdminReviewNotification = (assignment, { status, reviewedBy } = {}) => ({
+  type: NOTIFICATION_TYPES.ADMIN_REVIEW,
+  title: 'Entrega revisada',
+  message: `Un administrador actualizó tu entrega de "${assignment.title}" a: ${status}`,
+  data: {
+    assignmentId: assignment._id,
+    title: assignment.title,
+    status,
+    reviewedBy: reviewedBy || null
+  }
+});
+
+// Resultado de la revisión (aceptada, rechazada o calificada) de la entrega de un docente
+export const buildResponseReviewNotification = (assignment, review) => {
+  const messages = {
+    accepted: `Tu entrega de "${assignment.title}" fue aceptada`,
+    rejected: `Tu entrega de "${assignment.title}" fue rechazada: ${review.reasons.join('; ')}. Debes enviarla de nuevo`,
+    graded: `Tu entrega de "${assignment.title}" fue calificada con ${review.score}`
+  };
+
+  return {
+    type: NOTIFICATION_TYPES.ADMIN_REVIEW,
+    title: review.decision === 'rejected' ? 'Entrega rechazada' : 'Entrega revisada',
+    message: review.comments ? `${messages[review.decision]}. Comentarios: ${review.comments}` : messages[review.decision],
+    data: {
+      assignmentId: assignment._id,
+      title: assignment.title,
+      decision: review.decision,
+      reasons: review.reasons,
+      score: review.score,
+      comments: review.comments,
+      reviewedBy: review.reviewedBy,
+      reviewedAt: review.reviewedAt
+    }
+  };
+};
+
+// Prórroga individual concedida a un docente
+export const buildDeadlineExtensionNotification = (assignment, extension) => ({
+  type: NOTIFICATION_TYPES.DEADLINE_EXTENDED,
+  title: 'Prórroga concedida',
+  message: `Tienes hasta el ${new Date(extension.dueDate).toLocaleDateString('es-MX')} para entregar "${assignment.title}". Motivo: ${extension.reason}`,
+  data: {
+    assignmentId: assignment._id,
+    title: assignment.title,
+    dueDate: extension.dueDate,
+    closeDate: extension.closeDate,
+    reason: extension.reason,
+    grantedBy: extension.grantedBy || null
+  }
+});
 
 class NotificationService {
   constructor() {
     this.io = null;
-    this.connectedUsers = new Map(); // userId -> socketId
   }
 
-  initialize(server) {
+  /**
+   * Adjunta Socket.IO al servidor HTTP
+   * @param {http.Server} server - Servidor devuelto por app.listen
+   * @param {object} options - { origins }: orígenes permitidos (los mismos que CORS de Express)
+   */
+  initialize(server, { origins } = {}) {
+    if (this.io) {
+      return this.io;
+    }
+
     this.io = new Server(server, {
       cors: {
-        origin: process.env.CLIENT_URL || 'http://localhost:5173',
-        methods: ['GET', 'POST']
+        origin: origins || process.env.CLIENT_URL || 'http://localhost:5173',
+        methods: ['GET', 'POST'],
+        credentials: true
       }
     });
 
-    this.io.on('connection', (socket) => {
-      console.log('🔌 Usuario conectado:', socket.id);
+    // Misma validación que verifyToken: token de acceso válido, sesión activa y usuario activo
+    this.io.use(async (socket, next) => {
+      try {
+        const token = getHandshakeToken(socket);
+        if (!token) {
+          return next(authError('Token de acceso requerido', 'TOKEN_REQUIRED'));
+        }
 
-      // Manejar autenticación del usuario
-      socket.on('authenticate', (userId) => {
-        this.connectedUsers.set(userId, socket.id);
-        console.log('🔑 Usuario autenticado:', userId);
-      });
+        const decoded = verifyAccessToken(token);
 
-      // Manejar desconexión
-      socket.on('disconnect', () => {
-        for (const [userId, socketId] of this.connectedUsers.entries()) {
-          if (socketId === socket.id) {
-            this.connectedUsers.delete(userId);
-            console.log('🔌 Usuario desconectado:', userId);
-            break;
-          }
+        const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+        if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+          return next(authError('Sesión expirada. Por favor, inicia sesión nuevamente.', 'SESSION_EXPIRED'));
+        }
+
+        const user = await User.findById(decoded.id).select('role activo');
+        if (!user || user.activo === false) {
+          return next(authError('Sesión expirada. Por favor, inicia sesión nuevamente.', 'SESSION_EXPIRED'));
         }
+
+        socket.data.userId = decoded.id;
+        socket.data.sessionId = decoded.sid;
+        socket.data.role = user.role;
+        next();
+      } catch (error) {
+        next(authError('Sesión inválida. Por favor, inicia sesión nuevamente.', 'INVALID_TOKEN'));
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      const { userId, sessionId } = socket.data;
+      socket.join([userRoom(userId), sessionRoom(sessionId)]);
+      console.log('🔌 Usuario conectado:', userId, `(${socket.id})`);
+
+      socket.on('disconnect', () => {
+        console.log('🔌 Usuario desconectado:', userId, `(${socket.id})`);
       });
     });
+
+    console.log('🔔 Notificaciones en tiempo real (Socket.IO) activas');
+    return this.io;
   }
 
-  // Enviar notificación a usuarios específicos
-  sendNotification(userIds, notification) {
-    for (const userId of userIds) {
-      const socketId = this.connectedUsers.get(userId.toString());
-      if (socketId) {
-        this.io.to(socketId).emit('notification', notification);
+  /**
+   * Guarda una notificación en la bandeja de cada usuario y la entrega en tiempo real
+   * a los que estén conectados. Sin Socket.IO (scripts, worker sin servidor HTTP)
+   * solo se guarda. Nunca lanza error: una notificación no debe romper la operación principal.
+   * @param {Array|string} userIds - IDs de usuario (u objetos con _id)
+   * @param {object} notification - { type, title, message, data }
+   * @returns {Promise<Array>} - Notificaciones guardadas
+   */
+  async sendNotification(userIds, { type, title, message, data = {} }) {
+    const recipients = [...new Set(
+      [].concat(userIds)
+        .filter(Boolean)
+        .map(user => (user._id || user).toString())
+    )];
+
+    if (recipients.length === 0) {
+      return [];
+    }
+
+    try {
+      const notifications = await Notification.insertMany(
+        recipients.map(recipient => ({ recipient, type, title, message, data }))
+      );
+
+      if (this.io) {
+        for (const notification of notifications) {
+          this.io.to(userRoom(notification.recipient.toString())).emit('notification', {
+            ...notification.toJSON(),
+            timestamp: notification.createdAt
+          });
+        }
       }
+
+      return notifications;
+    } catch (error) {
+      console.error(`❌ Error enviando notificación ${type}:`, error);
+      return [];
     }
   }
 
-  // Enviar notificación de nueva asignación
-  sendNewAssignmentNotification(userIds, assignment) {
-    const notification = {
-      type: 'NEW_ASSIGNMENT',
-      title: 'Nueva Asignación',
-      message: `Se ha creado una nueva asignación: ${assignment.title}`,
-      data: {
-        assignmentId: assignment._id,
-        title: assignment.title,
-        dueDate: assignment.dueDate
-      },
-      timestamp: new Date()
-    };
-
-    this.sendNotification(userIds, notification);
+  /**
+   * Avisa a las demás pestañas del usuario que se marcaron notificaciones como leídas
+   * @param {string} userId - ID del usuario
+   * @param {object} payload - { ids } o { all: true }
+   */
+  emitRead(userId, payload) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(userRoom(userId.toString())).emit('notifications:read', payload);
+  }
+
+  /**
+   * Cierra las conexiones de un usuario (cuenta desactivada o sesiones revocadas)
+   * @param {string} userId - ID del usuario
+   * @param {string} exceptSessionId - Sesión cuyas conexiones se conservan (opcional)
+   */
+  disconnectUser(userId, exceptSessionId = null) {
+    if (!this.io) {
+      return;
+    }
+
+    let target = this.io.in(userRoom(userId.toString()));
+    if (exceptSessionId) {
+      target = target.except(sessionRoom(exceptSessionId.toString()));
+    }
+    target.disconnectSockets(true);
+  }
+
+  // Cierra las conexiones abiertas con los tokens de una sesión revocada
+  disconnectSession(sessionId) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
   }
 }
 
-export default new NotificationService(); 
\ No newline at end of file
+export default new NotificationService();
@@ -0,0 +1,350 @@
+import os from 'os';
+import cron from 'node-cron';
+import Assignment from '../models/Assignment.js';
+import User from '../models/User.js';
+import JobLock from '../models/JobLock.js';
+import PerformanceReportSettings from '../models/PerformanceReportSettings.js';
+import emailService from './emailService.js';
+import { enqueueEmail, enqueuePerformanceReport } from './backgroundJobs.js';
+
+const JOB_NAME = 'performance-report';
+const CRON_EXPRESSION = '0 * * * *'; // Cada hora se revisa si toca enviar según la configuración
+const TIMEZONE = 'America/Mexico_City';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const state = {
+    running: false,
+    startedAt: null,
+    lastRun: null
+};
+
+// Fecha y hora locales de `date` en la zona horaria del reporte
+const getLocalParts = (date) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: TIMEZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23',
+            weekday: 'short'
+        }).formatToParts(date).map(({ type, value }) => [type, value])
+    );
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+};
+
+/**
+ * Ventana programada más reciente que ya comenzó ("AAAA-MM-DD" en hora local).
+ * Si el servidor estuvo apagado a la hora de envío, la ventana sigue pendiente
+ * hasta que se procese, así que el reporte se envía en cuanto vuelve a arrancar.
+ */
+export const getReportSlot = (settings, now = new Date()) => {
+    const local = getLocalParts(now);
+    let daysBack = 0;
+
+    if (settings.frequency === 'weekly') {
+        daysBack = (local.weekday - settings.dayOfWeek + 7) % 7;
+        if (daysBack === 0 && local.hour < settings.hour) {
+            daysBack = 7;
+        }
+    } else if (local.hour < settings.hour) {
+        daysBack = 1;
+    }
+
+    const slot = new Date(Date.UTC(local.year, local.month - 1, local.day) - daysBack * DAY_MS);
+    return slot.toISOString().slice(0, 10);
+};
+
+const teacherFullName = (teacher) =>
+    [teacher.nombre, teacher.apellidoPaterno, teacher.apellidoMaterno].filter(Boolean).join(' ');
+
+/**
+ * Docentes activos con asignaciones cerradas sin entrega, según los umbrales configurados.
+ * @returns {Promise<object[]>} - [{ teacherId, teacherName, email, locale, assignments }] ordenado por atraso
+ */
+export const computePoorPerformance = async (settings, now = new Date()) => {
+    const closeDate = { $lt: new Date(now.getTime() - settings.minDaysPastDue * DAY_MS) };
+    if (settings.lookbackDays > 0) {
+        closeDate.$gte = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+    }
+    const inRange = (date) => date < closeDate.$lt && (!closeDate.$gte || date >= closeDate.$gte);
+
+    // Solo asignaciones publicadas: las programadas o canceladas nunca llegaron a los docentes.
+    // Con prórroga cuenta el cierre del docente, que puede caer en el rango aunque el general no.
+    const assignments = await Assignment.find({
+        status: 'active',
+        $or: [{ closeDate }, { 'extensions.closeDate': closeDate }]
+    })
+        .select('title dueDate closeDate assignedTo extensions responses.user responses.status responses.submissionStatus')
+        .lean();
+
+    const byTeacher = new Map();
+
+    for (const assignment of assignments) {
+        for (const teacherId of assignment.assignedTo || []) {
+            const id = teacherId.toString();
+            const deadline = Assignment.teacherDeadline(assignment, id);
+            if (!inRange(deadline.closeDate) || Assignment.teacherOutcome(assignment, id, now) !== 'not-delivered') {
+                continue;
+            }
+            if (!byTeacher.has(id)) {
+                byTeacher.set(id, []);
+            }
+            byTeacher.get(id).push({
+                title: assignment.title,
+                dueDate: deadline.dueDate,
+                closeDate: deadline.closeDate,
+                status: 'not-delivered',
+                daysPastDue: Math.floor((now.getTime() - deadline.closeDate.getTime()) / DAY_MS)
+            });
+        }
+    }
+
+    const candidates = [...byTeacher.entries()].filter(([, items]) => items.length >= settings.minOverdue);
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const teachers = await User.find({
+        _id: { $in: candidates.map(([id]) => id) },
+        role: 'docente',
+        activo: { $ne: false }
+    })
+        .select('email nombre apellidoPaterno apellidoMaterno locale')
+        .lean();
+
+    return teachers
+        .map(teacher => ({
+            teacherId: teacher._id.toString(),
+            teacherName: teacherFullName(teacher),
+            email: teacher.email,
+            locale: teacher.locale,
+            assignments: byTeacher.get(teacher._id.toString())
+                .sort((a, b) => b.daysPastDue - a.daysPastDue)
+        }))
+        .sort((a, b) => b.assignments.length - a.assignments.length);
+};
+
+// Administradores activos más los destinatarios adicionales, sin duplicados
+export const getRollupRecipients = async (settings) => {
+    const recipients = new Set(settings.additionalRecipients || []);
+
+    if (settings.notifyAdmins) {
+        const admins = await User.find({ role: 'admin', activo: { $ne: false } }).select('email').lean();
+        admins.forEach(admin => recipients.add(admin.email.toLowerCase()));
+    }
+
+    return [...recipients];
+};
+
+const sendReport = async (settings, now) => {
+    const report = await computePoorPerformance(settings, now);
+    const summary = {
+        teachers: report.length,
+        overdueAssignments: report.reduce((sum, entry) => sum + entry.assignments.length, 0),
+        teacherReportsQueued: 0,
+        rollupRecipients: 0,
+        failedToQueue: 0
+    };
+
+    if (report.length === 0) {
+        return summary;
+    }
+
+    if (settings.sendToTeachers) {
+        for (const entry of report) {
+            const job = await enqueueEmail('sendPoorPerformanceReport', {
+                to: entry.email,
+                teacherName: entry.teacherName,
+                assignments: entry.assignments,
+                locale: entry.locale
+            });
+            if (job) {
+                summary.teacherReportsQueued++;
+            } else {
+                summary.failedToQueue++;
+            }
+        }
+    }
+
+    const recipients = await getRollupRecipients(settings);
+    if (recipients.length > 0) {
+        const job = await enqueueEmail('sendPerformanceRollup', {
+            to: recipients.join(', '),
+            teachers: report,
+            generatedAt: now
+        });
+        if (job) {
+            summary.rollupRecipients = recipients.length;
+        } else {
+            summary.failedToQueue++;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Genera y encola el reporte si toca según la configuración, con el candado de Mongo tomado.
+ * @param {string} trigger - 'cron' | 'startup' | 'manual'
+ * @param {object} options - { force }: envía aunque esté desactivado o ya se haya enviado la ventana actual
+ */
+export const runPerformanceReport = async (trigger, { force = false } = {}) => {
+    const acquired = await JobLock.acquire(JOB_NAME, INSTANCE_ID, LOCK_TTL_MS);
+    if (!acquired) {
+        console.log('⏭️ Otra instancia está generando el reporte de desempeño, se omite esta ejecución');
+        return { success: true, skipped: true, reason: 'locked', trigger };
+    }
+
+    let result;
+    try {
+        const now = new Date();
+        const settings = await PerformanceReportSettings.getSettings();
+        const slot = getReportSlot(settings, now);
+
+        if (!force && !settings.enabled) {
+            result = { success: true, skipped: true, reason: 'disabled', trigger };
+        } else if (!force && settings.lastSlot === null) {
+            // Primera ejecución: empezar con la próxima ventana en lugar de enviar de inmediato
+            await PerformanceReportSettings.updateOne({ _id: settings._id }, { $set: { lastSlot: slot } });
+            result = { success: true, skipped: true, reason: 'initialized', slot, trigger };
+        } else if (!force && settings.lastSlot === slot) {
+            result = { success: true, skipped: true, reason: 'not-due', slot, trigger };
+        } else {
+            const summary = await sendReport(settings, now);
+            result = { success: true, ...summary, slot, trigger };
+
+            // Un envío manual no consume la ventana programada
+            const update = { lastSentAt: now, lastResult: result };
+            if (!force) {
+                update.lastSlot = slot;
+            }
+            await PerformanceReportSettings.updateOne({ _id: settings._id }, { $set: update });
+
+            console.log(`📊 Reporte de desempeño encolado: ${summary.teachers} docentes, ${summary.overdueAssignments} asignaciones sin entrega`);
+        }
+    } catch (error) {
+        console.error('❌ Error generando el reporte de desempeño:', error);
+        result = { success: false, error: error.message, trigger };
+    } finally {
+        state.lastRun = { at: new Date(), ...result };
+        await JobLock.release(JOB_NAME, INSTANCE_ID, result).catch(error => {
+            console.error('❌ Error liberando el candado del reporte de desempeño:', error);
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Construye el correo que se enviaría con la configuración actual, sin enviarlo.
+ * @param {object} options - { type: 'teacher' | 'rollup', teacherId }
+ * @returns {Promise<object|null>} - { subject, html, text, to, ... } o null si no hay nada que reportar
+ */
+export const previewPerformanceReport = async ({ type = 'teacher', teacherId } = {}) => {
+    const now = new Date();
+    const settings = await PerformanceReportSettings.getSettings();
+    const report = await computePoorPerformance(settings, now);
+
+    if (type === 'rollup') {
+        if (report.length === 0) {
+            return null;
+        }
+        const { subject, html, text } = emailService.buildPerformanceRollup({ teachers: report, generatedAt: now });
+        return { type, subject, html, text, to: await getRollupRecipients(settings), teachers: report.length };
+    }
+
+    const entry = teacherId ? report.find(r => r.teacherId === teacherId) : report[0];
+    if (!entry) {
+        return null;
+    }
+
+    const { subject, html, text } = emailService.buildPoorPerformanceReport({
+        teacherName: entry.teacherName,
+        assignments: entry.assignments,
+        locale: entry.locale
+    });
+    return { type, subject, html, text, to: entry.email, teacherId: entry.teacherId };
+};
+
+// El cron solo encola la revisión; la cola la ejecuta con reintentos
+const performanceReportCron = cron.schedule(CRON_EXPRESSION, async () => {
+    await enqueuePerformanceReport('cron');
+}, {
+    scheduled: false,
+    timezone: TIMEZONE
+});
+
+export const startPerformanceReportCron = () => {
+    if (state.running) {
+        return;
+    }
+
+    try {
+        performanceReportCron.start();
+        state.running = true;
+        state.startedAt = new Date();
+        console.log('🚀 Cron job de reporte de desempeño iniciado - Revisa cada hora si toca enviar');
+
+        // Enviar la ventana que se haya perdido mientras el servidor estaba apagado
+        enqueuePerformanceReport('startup');
+    } catch (error) {
+        console.error('❌ Error iniciando cron job de reporte de desempeño:', error);
+    }
+};
+
+export const stopPerformanceReportCron = () => {
+    performanceReportCron.stop();
+    state.running = false;
+    console.log('⏹️ Cron job de reporte de desempeño detenido');
+};
+
+export const getPerformanceReportStatus = async () => {
+    const [settings, lock] = await Promise.all([
+        PerformanceReportSettings.getSettings(),
+        JobLock.findOne({ name: JOB_NAME }).lean()
+    ]);
+    const currentSlot = getReportSlot(settings);
+
+    return {
+        running: state.running,
+        instance: INSTANCE_ID,
+        schedule: CRON_EXPRESSION,
+        timezone: TIMEZONE,
+        startedAt: state.startedAt,
+        lastRun: state.lastRun,
+        currentSlot,
+        due: settings.enabled && settings.lastSlot !== currentSlot,
+        lock: lock ? {
+            owner: lock.owner,
+            lockedUntil: lock.lockedUntil,
+            lastRunAt: lock.lastRunAt,
+            lastRunBy: lock.lastRunBy,
+            lastResult: lock.lastResult
+        } : null
+    };
+};
+
+export default {
+    getReportSlot,
+    computePoorPerformance,
+    getRollupRecipients,
+    runPerformanceReport,
+    previewPerformanceReport,
+    startPerformanceReportCron,
+    stopPerformanceReportCron,
+    getPerformanceReportStatus
+};
@@ -0,0 +1,256 @@
+import os from 'os';
+import cron from 'node-cron';
+import Assignment from '../models/Assignment.js';
+import User from '../models/User.js';
+import JobLock from '../models/JobLock.js';
+import ReminderLog from '../models/ReminderLog.js';
+import { enqueueReminderSweep } from './backgroundJobs.js';
+import { notifyDeadlineApproaching } from './notificationDispatcher.js';
+
+const JOB_NAME = 'assignment-reminders';
+const CRON_EXPRESSION = '0 * * * *'; // Cada hora en punto
+const TIMEZONE = 'America/Mexico_City';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS_BEFORE_DUE = 2;
+// Límite de la consulta inicial; daysBeforeDue se aplica después por asignación
+const MAX_DAYS_BEFORE_DUE = 30;
+
+const state = {
+    running: false,
+    startedAt: null,
+    lastRun: null
+};
+
+// Prioridad visual del correo: la plantilla resalta como urgente lo que vence hoy o mañana
+const toDigestItem = (assignment, now) => {
+    const daysUntilDue = Math.floor((assignment.dueDate.getTime() - now.getTime()) / DAY_MS);
+    let priority = 'low';
+    if (daysUntilDue <= 1) {
+        priority = 'high';
+    } else if (assignment.priority === 'high' || daysUntilDue <= 3) {
+        priority = 'medium';
+    }
+
+    return {
+        title: assignment.title,
+        description: assignment.description,
+        dueDate: assignment.dueDate,
+        closeDate: assignment.closeDate,
+        priority,
+        daysUntilDue
+    };
+};
+
+/**
+ * Asignaciones con recordatorio activo cuya fecha de entrega (la de la prórroga del
+ * docente, si tiene) cae dentro de su ventana (daysBeforeDue), agrupadas por docente
+ * que aún no ha entregado. Cada asignación lleva las fechas de ese docente.
+ * @returns {Promise<Map<string, object[]>>} - teacherId -> asignaciones pendientes
+ */
+export const findPendingReminders = async (now = new Date()) => {
+    const dueWindow = { $gt: now, $lte: new Date(now.getTime() + MAX_DAYS_BEFORE_DUE * DAY_MS) };
+    const assignments = await Assignment.find({
+        'reminderSettings.enabled': true,
+        status: 'active',
+        $or: [{ dueDate: dueWindow }, { 'extensions.dueDate': dueWindow }]
+    })
+        .select('title description dueDate closeDate priority reminderSettings assignedTo extensions responses.user responses.status responses.submissionStatus')
+        .lean();
+
+    const byTeacher = new Map();
+
+    for (const assignment of assignments) {
+        const daysBeforeDue = assignment.reminderSettings?.daysBeforeDue ?? DEFAULT_DAYS_BEFORE_DUE;
+
+        for (const teacherId of assignment.assignedTo || []) {
+            const id = teacherId.toString();
+            const { dueDate, closeDate } = Assignment.teacherDeadline(assignment, id);
+            if (dueDate <= now || dueDate.getTime() - now.getTime() > daysBeforeDue * DAY_MS) {
+                continue;
+            }
+            // Solo docentes cuya entrega sigue pendiente (no entregada ni cerrada por un administrador)
+            if (Assignment.teacherOutcome(assignment, id, now) !== 'pending') {
+                continue;
+            }
+            if (!byTeacher.has(id)) {
+                byTeacher.set(id, []);
+            }
+            byTeacher.get(id).push({ ...assignment, dueDate, closeDate });
+        }
+    }
+
+    return byTeacher;
+};
+
+/**
+ * Reserva los recordatorios aún no enviados a un docente. El índice único de
+ * ReminderLog garantiza que cada asignación se recuerde una sola vez por fecha de entrega
+ * (una prórroga cambia la fecha, así que se vuelve a recordar).
+ */
+const claimReminders = async (teacherId, assignments) => {
+    const claimed = [];
+    for (const assignment of assignments) {
+        try {
+            await ReminderLog.create({
+                assignment: assignment._id,
+                teacher: teacherId,
+                dueDate: assignment.dueDate
+            });
+            claimed.push(assignment);
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+    return claimed;
+};
+
+const sweep = async (now) => {
+    const byTeacher = await findPendingReminders(now);
+    const summary = { teachersNotified: 0, remindersSent: 0, alreadyReminded: 0, skippedTeachers: 0 };
+
+    if (byTeacher.size === 0) {
+        return summary;
+    }
+
+    // Solo docentes activos; los canales (correo, bandeja) los decide el despachador
+    const teachers = await User.find({
+        _id: { $in: [...byTeacher.keys()] },
+        activo: { $ne: false }
+    })
+        .select('_id')
+        .lean();
+
+    summary.skippedTeachers = byTeacher.size - teachers.length;
+
+    for (const teacher of teachers) {
+        const pending = byTeacher.get(teacher._id.toString());
+        const claimed = await claimReminders(teacher._id, pending);
+        summary.alreadyReminded += pending.length - claimed.length;
+
+        if (claimed.length === 0) {
+            continue;
+        }
+
+        const claimedFilter = {
+            teacher: teacher._id,
+            assignment: { $in: claimed.map(a => a._id) }
+        };
+
+        // Un solo aviso (y correo resumen) por docente, según sus preferencias
+        const delivery = await notifyDeadlineApproaching(
+            teacher._id,
+            claimed,
+            claimed.map(a => toDigestItem(a, now))
+        );
+
+        if (delivery.failed > 0) {
+            // Liberar la reserva para que el siguiente barrido lo intente de nuevo
+            await ReminderLog.deleteMany(claimedFilter);
+            continue;
+        }
+
+        if (delivery.jobs.length > 0) {
+            await ReminderLog.updateMany(claimedFilter, { $set: { job: delivery.jobs[0] } });
+        }
+        summary.teachersNotified++;
+        summary.remindersSent += claimed.length;
+    }
+
+    return summary;
+};
+
+/**
+ * Ejecuta el barrido de recordatorios con el candado de Mongo tomado
+ * @param {string} trigger - 'cron' | 'startup' | 'manual'
+ */
+export const runReminderSweep = async (trigger) => {
+    const acquired = await JobLock.acquire(JOB_NAME, INSTANCE_ID, LOCK_TTL_MS);
+    if (!acquired) {
+        console.log('⏭️ Otra instancia está enviando recordatorios, se omite esta ejecución');
+        return { success: true, skipped: true, reason: 'locked', trigger };
+    }
+
+    let result;
+    try {
+        const summary = await sweep(new Date());
+        result = { success: true, ...summary, trigger };
+        if (summary.teachersNotified > 0) {
+            console.log(`⏰ Recordatorios encolados para ${summary.teachersNotified} docentes (${summary.remindersSent} asignaciones)`);
+        }
+    } catch (error) {
+        console.error('❌ Error en el barrido de recordatorios:', error);
+        result = { success: false, error: error.message, trigger };
+    } finally {
+        state.lastRun = { at: new Date(), ...result };
+        await JobLock.release(JOB_NAME, INSTANCE_ID, result).catch(error => {
+            console.error('❌ Error liberando el candado de recordatorios:', error);
+        });
+    }
+
+    return result;
+};
+
+// El cron solo encola el barrido; la cola lo ejecuta con reintentos
+const reminderCron = cron.schedule(CRON_EXPRESSION, async () => {
+    await enqueueReminderSweep('cron');
+}, {
+    scheduled: false,
+    timezone: TIMEZONE
+});
+
+export const startReminderCron = () => {
+    if (state.running) {
+        return;
+    }
+
+    try {
+        reminderCron.start();
+        state.running = true;
+        state.startedAt = new Date();
+        console.log('🚀 Cron job de recordatorios iniciado - Se ejecuta cada hora');
+
+        // Cubrir la hora en curso si el servidor estuvo apagado
+        enqueueReminderSweep('startup');
+    } catch (error) {
+        console.error('❌ Error iniciando cron job de recordatorios:', error);
+    }
+};
+
+export const stopReminderCron = () => {
+    reminderCron.stop();
+    state.running = false;
+    console.log('⏹️ Cron job de recordatorios detenido');
+};
+
+export const getReminderCronStatus = async () => {
+    const lock = await JobLock.findOne({ name: JOB_NAME }).lean();
+
+    return {
+        running: state.running,
+        instance: INSTANCE_ID,
+        schedule: CRON_EXPRESSION,
+        timezone: TIMEZONE,
+        startedAt: state.startedAt,
+        lastRun: state.lastRun,
+        lock: lock ? {
+            owner: lock.owner,
+            lockedUntil: lock.lockedUntil,
+            lastRunAt: lock.lastRunAt,
+            lastRunBy: lock.lastRunBy,
+            lastResult: lock.lastResult
+        } : null
+    };
+};
+
+export default {
+    findPendingReminders,
+    runReminderSweep,
+    startReminderCron,
+    stopReminderCron,
+    getReminderCronStatus
+};
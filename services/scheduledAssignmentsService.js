@@ -1,36 +1,125 @@
+import os from 'os';
 import cron from 'node-cron';
+import Assignment from '../models/Assignment.js';
+import JobLock from '../models/JobLock.js';
 import { publishScheduledAssignments } from '../controllers/assignmentController.js';
+import { enqueueScheduledPublishing } from './backgroundJobs.js';
+
+const JOB_NAME = 'scheduled-assignments';
+const INTERVAL_MINUTES = 5;
+const CRON_EXPRESSION = `*/${INTERVAL_MINUTES} * * * *`;
+const TIMEZONE = 'America/Mexico_City';
+
+// Si una instancia se cae con el candado tomado, otra puede tomarlo pasado este tiempo
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Estado local de esta instancia (el estado compartido vive en JobLock)
+const state = {
+    running: false,
+    executing: false,
+    startedAt: null,
+    lastRun: null
+};
+
+/**
+ * Ejecuta la publicación con el candado de Mongo tomado, de modo que
+ * dos instancias nunca publiquen a la vez. Las fechas de publicación que
+ * pasaron mientras el servidor estaba caído se publican en la primera ejecución.
+ * @param {string} trigger - 'cron' | 'startup' | 'manual'
+ */
+const runWithLock = async (trigger) => {
+    if (state.executing) {
+        return { success: true, skipped: true, reason: 'already-running', trigger };
+    }
+
+    const acquired = await JobLock.acquire(JOB_NAME, INSTANCE_ID, LOCK_TTL_MS);
+    if (!acquired) {
+        console.log('⏭️ Otra instancia está publicando asignaciones programadas, se omite esta ejecución');
+        return { success: true, skipped: true, reason: 'locked', trigger };
+    }
+
+    state.executing = true;
+    let result;
 
-// Configurar el cron job para ejecutarse cada 5 minutos
-// Esto verificará si hay asignaciones programadas que deben ser publicadas
-const scheduledAssignmentsCron = cron.schedule('*/5 * * * *', async () => {
-    console.log('🔄 Ejecutando verificación de asignaciones programadas...');
-    
     try {
-        const result = await publishScheduledAssignments();
-        
-        if (result.success) {
-            if (result.publishedCount > 0) {
-                console.log(`✅ Se publicaron ${result.publishedCount} asignaciones programadas`);
-            } else {
-                console.log('ℹ️ No hay asignaciones programadas para publicar en este momento');
-            }
-        } else {
-            console.error('❌ Error en la verificación de asignaciones programadas:', result.error);
+        const missedThreshold = new Date(Date.now() - INTERVAL_MINUTES * 60 * 1000);
+        const caughtUpCount = await Assignment.countDocuments({
+            scheduledPublish: true,
+            status: 'scheduled',
+            publishDate: { $lt: missedThreshold }
+        });
+
+        if (caughtUpCount > 0) {
+            console.log(`⏪ Recuperando ${caughtUpCount} publicaciones programadas atrasadas`);
         }
+
+        result = { ...(await publishScheduledAssignments()), caughtUpCount, trigger };
     } catch (error) {
-        console.error('❌ Error ejecutando cron job de asignaciones programadas:', error);
+        result = { success: false, error: error.message, trigger };
+    } finally {
+        state.executing = false;
+        state.lastRun = { at: new Date(), ...result };
+        await JobLock.release(JOB_NAME, INSTANCE_ID, result).catch(error => {
+            console.error('❌ Error liberando el candado de asignaciones programadas:', error);
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Publicación ejecutada por la cola de trabajos (ver services/jobHandlers.js)
+ */
+export const runScheduledAssignmentsPublish = async (trigger) => {
+    const result = await runWithLock(trigger);
+
+    if (!result.skipped && result.success) {
+        if (result.publishedCount > 0) {
+            console.log(`✅ Se publicaron ${result.publishedCount} asignaciones programadas`);
+        } else {
+            console.log('ℹ️ No hay asignaciones programadas para publicar en este momento');
+        }
     }
+
+    return result;
+};
+
+// Configurar el cron job para ejecutarse cada 5 minutos
+// Solo encola la publicación: la cola la ejecuta con reintentos
+const scheduledAssignmentsCron = cron.schedule(CRON_EXPRESSION, async () => {
+    console.log('🔄 Encolando verificación de asignaciones programadas...');
+    await enqueueScheduledPublishing('cron');
 }, {
     scheduled: false, // No iniciar automáticamente
-    timezone: "America/Mexico_City" // Timezone de México
+    timezone: TIMEZONE // Timezone de México
 });
 
+// Próximo múltiplo de INTERVAL_MINUTES (así es como node-cron evalúa "*/5")
+const getNextExecution = () => {
+    const next = new Date();
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+    while (next.getMinutes() % INTERVAL_MINUTES !== 0) {
+        next.setMinutes(next.getMinutes() + 1);
+    }
+    return next;
+};
+
 // Función para iniciar el cron job
 export const startScheduledAssignmentsCron = () => {
+    if (state.running) {
+        return;
+    }
+
     try {
         scheduledAssignmentsCron.start();
+        state.running = true;
+        state.startedAt = new Date();
         console.log('🚀 Cron job de asignaciones programadas iniciado - Se ejecuta cada 5 minutos');
+
+        // Publicar de inmediato lo que quedó pendiente mientras el servidor estaba apagado
+        enqueueScheduledPublishing('startup');
     } catch (error) {
         console.error('❌ Error iniciando cron job de asignaciones programadas:', error);
     }
@@ -40,26 +129,49 @@ export const startScheduledAssignmentsCron = () => {
 export const stopScheduledAssignmentsCron = () => {
     try {
         scheduledAssignmentsCron.stop();
+        state.running = false;
         console.log('⏹️ Cron job de asignaciones programadas detenido');
     } catch (error) {
         console.error('❌ Error deteniendo cron job de asignaciones programadas:', error);
     }
 };
 
-// Función para verificar el estado del cron job
-export const getScheduledAssignmentsCronStatus = () => {
+// Función para verificar el estado del cron job (local y compartido entre instancias)
+export const getScheduledAssignmentsCronStatus = async () => {
+    const now = new Date();
+    const [lock, pendingCount, overdueCount] = await Promise.all([
+        JobLock.findOne({ name: JOB_NAME }).lean(),
+        Assignment.countDocuments({ scheduledPublish: true, status: 'scheduled' }),
+        Assignment.countDocuments({ scheduledPublish: true, status: 'scheduled', publishDate: { $lte: now } })
+    ]);
+
     return {
-        running: scheduledAssignmentsCron.getStatus() === 'scheduled',
-        nextExecution: scheduledAssignmentsCron.nextDates(1)
+        running: state.running,
+        executing: state.executing,
+        instance: INSTANCE_ID,
+        schedule: CRON_EXPRESSION,
+        timezone: TIMEZONE,
+        startedAt: state.startedAt,
+        nextExecution: state.running ? getNextExecution() : null,
+        lastRun: state.lastRun,
+        lock: lock ? {
+            owner: lock.owner,
+            lockedUntil: lock.lockedUntil,
+            lastRunAt: lock.lastRunAt,
+            lastRunBy: lock.lastRunBy,
+            lastResult: lock.lastResult
+        } : null,
+        pendingCount,
+        overdueCount
     };
 };
 
-// Función para ejecutar manualmente la verificación (útil para testing)
+// Función para ejecutar manualmente la verificación (respeta el candado)
 export const runScheduledAssignmentsCheck = async () => {
     console.log('🔧 Ejecutando verificación manual de asignaciones programadas...');
-    
+
     try {
-        const result = await publishScheduledAssignments();
+        const result = await runWithLock('manual');
         console.log('📊 Resultado de verificación manual:', result);
         return result;
     } catch (error) {
@@ -72,6 +184,7 @@ export const runScheduledAssignmentsCheck = async () => {
 };
 
 export default {
+    runScheduledAssignmentsPublish,
     startScheduledAssignmentsCron,
     stopScheduledAssignmentsCron,
     getScheduledAssignmentsCronStatus,
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { signAccessToken } from '../config/jwt.js';
+import notificationService from './notificationService.js';
+
+// Vigencia del refresh token (por defecto 30 días)
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Margen en que el token anterior a una rotación aún se reconoce (refrescos simultáneos)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * El refresh token tiene la forma "<sessionId>.<secreto aleatorio>";
+ * solo se guarda el hash del secreto.
+ */
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Crea una sesión nueva y emite el par de tokens
+ * @param {object} user - Usuario autenticado
+ * @param {object} req - Request de Express (para user-agent e IP)
+ * @param {string} method - 'password' | 'biometric'
+ */
+export const createSession = async (user, req, method = 'password') => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+    method,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, secret)
+  };
+};
+
+// El token anterior a la última rotación, presentado dentro del margen
+const isRecentlyRotated = (session, hash, now = new Date()) =>
+  session.previousRefreshTokenHash === hash
+  && session.rotatedAt
+  && now.getTime() - session.rotatedAt.getTime() <= ROTATION_GRACE_MS;
+
+/**
+ * Rota un refresh token: invalida el anterior y emite uno nuevo. La comparación y el
+ * cambio son una sola operación atómica, así que solo una petición gana la rotación.
+ * - El token recién rotado (otra pestaña ganó la carrera) devuelve { superseded: true }
+ *   sin revocar nada.
+ * - Cualquier otro token ya rotado se asume robado y se revoca la sesión.
+ * @returns {object|null} - { session, refreshToken, userId }, { superseded: true } o null si no es válido
+ */
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const now = new Date();
+  const hash = hashToken(parsed.secret);
+  const secret = crypto.randomBytes(48).toString('base64url');
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      session,
+      userId: session.user,
+      refreshToken: buildRefreshToken(session, secret)
+    };
+  }
+
+  const current = await Session.findById(parsed.sessionId);
+  if (!current || !current.isActive()) {
+    return null;
+  }
+  if (isRecentlyRotated(current, hash, now)) {
+    return { superseded: true };
+  }
+
+  console.warn('⚠️ Reutilización de refresh token detectada, revocando sesión:', current._id.toString());
+  await Session.updateOne(
+    { _id: current._id, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'refresh-token-reuse' } }
+  );
+  notificationService.disconnectSession(current._id);
+  return null;
+};
+
+/**
+ * Localiza la sesión a la que pertenece un refresh token (sin rotarlo). También acepta
+ * el token anterior dentro del margen de rotación: una pestaña que perdió la carrera
+ * del refresco puede cerrar sesión.
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+  const hash = hashToken(parsed.secret);
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHash: hash }]
+  });
+  if (!session || (session.refreshTokenHash !== hash && !isRecentlyRotated(session, hash))) {
+    return null;
+  }
+  return session;
+};
+
+// Revocar una sesión también cierra sus conexiones de notificaciones en tiempo real.
+// Solo se modifican los campos de revocación para no pisar una rotación simultánea.
+export const revokeSession = async (session, reason) => {
+  const revokedAt = new Date();
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt, revokedReason: reason } }
+  );
+  session.revokedAt = revokedAt;
+  session.revokedReason = reason;
+  notificationService.disconnectSession(session._id);
+};
+
+export const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const revoked = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  notificationService.disconnectUser(userId, exceptSessionId);
+  return revoked;
+};
+
+export default {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { getJwtSecret } from '../config/jwt.js';
+
+// Eventos con canal de correo configurable ('all' los desactiva todos)
+export const EMAIL_EVENTS = ['newAssignment', 'statusChange', 'deadlineApproaching', 'adminReview'];
+
+const API_URL = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+const sign = (userId, event) =>
+  crypto.createHmac('sha256', getJwtSecret()).update(`unsubscribe:${userId}:${event}`).digest('base64url');
+
+/**
+ * Token de baja "<userId>.<evento>.<firma>". No caduca: el enlace de un correo
+ * antiguo debe seguir funcionando, y solo permite desactivar correos.
+ */
+export const createUnsubscribeToken = (userId, event = 'all') =>
+  `${userId}.${event}.${sign(userId.toString(), event)}`;
+
+/**
+ * @returns {object|null} - { userId, event } si la firma es válida
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const [userId, event, signature] = String(token || '').split('.');
+  if (!userId || !signature || (event !== 'all' && !EMAIL_EVENTS.includes(event))) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(userId, event));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { userId, event };
+};
+
+export const buildUnsubscribeUrl = (userId, event = 'all') =>
+  `${API_URL()}/api/notifications/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId, event))}`;
+
+/**
+ * Desactiva el correo del evento indicado (o de todos) para el usuario del token
+ * @returns {Promise<object|null>} - { user, event } o null si el token no es válido
+ */
+export const applyUnsubscribe = async (token) => {
+  const parsed = verifyUnsubscribeToken(token);
+  if (!parsed) {
+    return null;
+  }
+
+  const events = parsed.event === 'all' ? EMAIL_EVENTS : [parsed.event];
+  const update = Object.fromEntries(
+    events.map(event => [`notificationPreferences.events.${event}.email`, false])
+  );
+
+  const user = await User.findByIdAndUpdate(parsed.userId, { $set: update }, { new: true })
+    .select('email notificationPreferences');
+  if (!user) {
+    return null;
+  }
+
+  return { user, event: parsed.event };
+};
+
+export default {
+  EMAIL_EVENTS,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  applyUnsubscribe
+};
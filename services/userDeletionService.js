@@ -0,0 +1,177 @@
+import Assignment from '../models/Assignment.js';
+import DailyRecord from '../models/DailyRecord.js';
+import Session from '../models/Session.js';
+import TeacherStats from '../models/TeacherStats.js';
+import ArchivedUserData from '../models/ArchivedUserData.js';
+import Notification from '../models/Notification.js';
+import NotificationDigestItem from '../models/NotificationDigestItem.js';
+import notificationService from './notificationService.js';
+
+/**
+ * Prepara el traslado de las entregas del usuario a `reassignTo` cuando es posible; el
+ * resto se agrega al archivo. Una entrega no se reasigna si el destinatario ya tiene la
+ * suya en esa asignación. Las prórrogas del usuario se archivan y se quitan siempre (no
+ * se trasladan). No guarda nada: devuelve las asignaciones modificadas.
+ */
+const planAssignments = async (user, reassignTo, archive, summary) => {
+  const assignments = await Assignment.find({
+    $or: [{ 'responses.user': user._id }, { assignedTo: user._id }, { 'extensions.teacher': user._id }]
+  });
+
+  for (const assignment of assignments) {
+    const targetHasResponse = reassignTo
+      && assignment.responses.some(r => r.user?.equals(reassignTo._id));
+
+    assignment.responses = assignment.responses.filter(response => {
+      if (!response.user?.equals(user._id)) {
+        return true;
+      }
+      if (reassignTo && !targetHasResponse) {
+        response.user = reassignTo._id;
+        summary.responsesReassigned++;
+        return true;
+      }
+      archive.responses.push({
+        assignment: assignment._id,
+        assignmentTitle: assignment.title,
+        response: response.toObject()
+      });
+      summary.responsesArchived++;
+      return false;
+    });
+
+    assignment.extensions = assignment.extensions.filter(extension => {
+      if (!extension.teacher?.equals(user._id)) {
+        return true;
+      }
+      archive.extensions.push({
+        assignment: assignment._id,
+        assignmentTitle: assignment.title,
+        extension: extension.toObject()
+      });
+      summary.extensionsArchived++;
+      return false;
+    });
+
+    const wasAssigned = assignment.assignedTo.some(id => id.equals(user._id));
+    assignment.assignedTo = assignment.assignedTo.filter(id => !id.equals(user._id));
+    if (wasAssigned && reassignTo && !assignment.assignedTo.some(id => id.equals(reassignTo._id))) {
+      assignment.assignedTo.push(reassignTo._id);
+    }
+  }
+
+  return assignments;
+};
+
+/**
+ * Prepara el traslado de los registros diarios a `reassignTo` salvo los de fechas en
+ * las que el destinatario ya tiene registro (índice único usuario + fecha); esos se
+ * agregan al archivo. No modifica nada: devuelve { reassignable, toArchive }.
+ */
+const planDailyRecords = async (user, reassignTo, archive, summary) => {
+  const records = await DailyRecord.find({ usuario: user._id }).lean();
+  let reassignable = [];
+  let toArchive = records;
+
+  if (reassignTo) {
+    const takenDates = new Set(
+      (await DailyRecord.find({
+        usuario: reassignTo._id,
+        fecha: { $in: records.map(r => r.fecha) }
+      }).select('fecha').lean()).map(r => r.fecha.getTime())
+    );
+
+    reassignable = records.filter(r => !takenDates.has(r.fecha.getTime()));
+    toArchive = records.filter(r => takenDates.has(r.fecha.getTime()));
+  }
+
+  archive.dailyRecords.push(...toArchive);
+  summary.dailyRecordsReassigned = reassignable.length;
+  summary.dailyRecordsArchived = toArchive.length;
+
+  return { reassignable, toArchive };
+};
+
+/**
+ * Elimina un usuario junto con sus datos dependientes.
+ * - Con `reassignTo`: entregas, asignaciones y registros diarios pasan a ese usuario
+ *   (lo que no pueda moverse sin conflicto se archiva).
+ * - Sin `reassignTo`: todo se archiva en ArchivedUserData.
+ * Las asignaciones creadas por el usuario pasan al administrador que lo elimina.
+ * @param {object} user - Usuario a eliminar
+ * @param {object} options - { reassignTo, actor }
+ * @returns {Promise<object>} - { archiveId, summary }
+ */
+export const deleteUserWithData = async (user, { reassignTo = null, actor }) => {
+  const archive = { responses: [], dailyRecords: [], extensions: [] };
+  const summary = {
+    responsesReassigned: 0,
+    responsesArchived: 0,
+    dailyRecordsReassigned: 0,
+    dailyRecordsArchived: 0,
+    extensionsArchived: 0,
+    assignmentsTransferred: 0
+  };
+
+  const assignments = await planAssignments(user, reassignTo, archive, summary);
+  const dailyRecords = await planDailyRecords(user, reassignTo, archive, summary);
+
+  // El archivo se guarda antes de quitar nada: si algo falla después, los datos siguen
+  // en su lugar o ya están archivados. También sirve como registro de la baja.
+  const archiveDoc = await ArchivedUserData.create({
+    user: user._id,
+    userSnapshot: {
+      email: user.email,
+      numeroControl: user.numeroControl,
+      nombre: user.nombre,
+      apellidoPaterno: user.apellidoPaterno,
+      apellidoMaterno: user.apellidoMaterno,
+      carrera: user.carrera,
+      role: user.role
+    },
+    responses: archive.responses,
+    dailyRecords: archive.dailyRecords,
+    extensions: archive.extensions,
+    reassignedTo: reassignTo?._id || null,
+    archivedBy: actor._id
+  });
+
+  for (const assignment of assignments) {
+    await assignment.save();
+  }
+
+  if (dailyRecords.reassignable.length > 0) {
+    await DailyRecord.updateMany(
+      { _id: { $in: dailyRecords.reassignable.map(r => r._id) } },
+      { $set: { usuario: reassignTo._id } }
+    );
+  }
+  if (dailyRecords.toArchive.length > 0) {
+    await DailyRecord.deleteMany({ _id: { $in: dailyRecords.toArchive.map(r => r._id) } });
+  }
+
+  const transferred = await Assignment.updateMany(
+    { createdBy: user._id },
+    { $set: { createdBy: actor._id } }
+  );
+  summary.assignmentsTransferred = transferred.modifiedCount;
+
+  await Session.deleteMany({ user: user._id });
+  notificationService.disconnectUser(user._id);
+  await TeacherStats.deleteOne({ teacher: user._id });
+  await Notification.deleteMany({ recipient: user._id });
+  await NotificationDigestItem.deleteMany({ user: user._id });
+  await user.deleteOne();
+
+  if (reassignTo) {
+    await TeacherStats.updateTeacherStats(reassignTo._id);
+  }
+
+  console.log(`🗑️ Usuario ${user.email} eliminado por ${actor.email}:`, summary);
+
+  return { archiveId: archiveDoc._id, summary };
+};
+
+export default {
+  deleteUserWithData
+};